@@ -2,11 +2,21 @@
 /**
  * alignment_analyzer.js
  *
- * HTMLスライドと台本TXTの対応関係を分析し、動画生成前の品質チェックを行う。
+ * スライド資料（HTML / PDF）と台本TXTの対応関係を分析し、動画生成前の品質チェックを行う。
+ * スライドは slide_sources.js のアダプタで開く（自動判定、video.config.json の slides で上書き）。
+ * 台本の区切り・言語は video.config.json の script（script_markers.js）に従い、
+ * 区切りにならなかったマーカーの表記ゆれ・区切り行の書き損じも報告する（MARKER_NEAR_MISS）。
+ * スライドの表示もチェックし（slideAPI の契約、表示が切り替わるか、コンソールエラー・読み込めないリソース・
+ * フォントの読み込み）、キャプチャ前に問題を報告する。
+ * レイアウトの不備（はみ出し・切れ・小さすぎる文字・コントラスト不足）は要素のセレクタと
+ * 切り出したスクリーンショット（reports/layout/<baseName>/）付きで報告する。
+ * 表示は video_generator.js のキャプチャと同じビューポート・倍率（--preset から算出、output_presets.js）で行う。
+ * スライド-セグメント間の類似度の計算方法は video.config.json の similarity.strategy で選ぶ（text_similarity.js）。
  *
  * Usage:
  *   node src/alignment_analyzer.js --project /path/to/project --all
  *   node src/alignment_analyzer.js --project /path/to/project 01-01_api_wo_5fun_de_taiken
+ *   node src/alignment_analyzer.js --project /path/to/project --all --preset 4k
  */
 
 const { chromium } = require('playwright');
@@ -14,6 +24,16 @@ const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const { discoverTopics, findTopic, getTopicDir, DEFAULT_LIMIT, LEVEL_LABELS } = require('./topic_sort');
+const { findTopicAudio } = require('./audio_sources');
+const { loadProjectConfig, topicConfig } = require('./project_config');
+const {
+  DEFAULT_SCRIPT, languageOf, splitScript, stripStepMarkers, findNearMisses,
+} = require('./script_markers');
+const { DEFAULT_ADAPTER, findSlideDeck, openDeck } = require('./slide_sources');
+const { createScorer } = require('./text_similarity');
+const {
+  CAPTURE_VIEWPORT, DEFAULT_PRESETS, PRESETS, resolvePresets, captureScaleFactor,
+} = require('./output_presets');
 
 // ── CLI引数パーサー ────────────────────────────────
 function parseArgs() {
@@ -22,6 +42,7 @@ function parseArgs() {
   let all = false;
   let limit = DEFAULT_LIMIT;
   let noLimit = false;
+  let presets = DEFAULT_PRESETS;
   const baseNames = [];
 
   for (let i = 0; i < args.length; i++) {
@@ -33,48 +54,47 @@ function parseArgs() {
       limit = parseInt(args[++i], 10);
     } else if (args[i] === '--no-limit') {
       noLimit = true;
+    } else if (args[i] === '--preset' && args[i + 1]) {
+      presets = args[++i].split(',');
     } else if (!args[i].startsWith('--')) {
       baseNames.push(args[i]);
     }
   }
 
-  return { projectDir, all, baseNames, limit, noLimit };
+  return { projectDir, all, baseNames, limit, noLimit, presets };
 }
 
 // ── 定数 ──────────────────────────────────────────
-const MARKER = '次のスライドに進んでください。';
-const VIEWPORT = { width: 1920, height: 1080 };
 const FONT_WAIT_MS = 1500;
 const SLIDE_ANIM_MS = 500;
+const FONT_READY_TIMEOUT_MS = 10000; // フォント読み込みを待つ上限（超えたら FONT_NOT_READY）
+const LAYOUT_DIR = 'layout';         // reports/ 内のレイアウト問題の切り出し画像
+const CROP_PADDING = 16;             // 切り出し画像の余白（CSS px）
+const MIN_CROP = 120;                // 切り出し画像の最小の幅・高さ（CSS px）
+const DEFAULT_SCALE_FACTOR = captureScaleFactor(resolvePresets(DEFAULT_PRESETS)); // 1080p は 1.5
 
-// 判定閾値
-const JACCARD_FAIL = 0.15;     // これ未満は MISMATCH_HIGH
-const JACCARD_WARN = 0.30;     // 0.15〜0.30 は MISMATCH_LOW
+// 判定閾値（スライド-セグメント間の類似度の閾値は text_similarity.js の戦略ごと）
 const RATIO_SKEW_LIMIT = 0.25; // 1セグメントが全体の25%超
 const MIN_SEGMENT_SEC = 3;     // 推定3秒未満は TOO_SHORT
-
-// 日本語話速（文字/秒）
-const CHARS_PER_SEC = 5;
-
-// 日本語助詞フィルタ（キーワード抽出時に除外）
-const STOP_WORDS = new Set([
-  'の', 'に', 'は', 'を', 'た', 'が', 'で', 'て', 'と', 'し', 'れ',
-  'さ', 'ある', 'いる', 'も', 'する', 'から', 'な', 'こと', 'として',
-  'い', 'や', 'れる', 'など', 'なっ', 'なり', 'でき', 'これ', 'それ',
-  'あり', 'ため', 'この', 'その', 'よう', 'また', 'もの', 'という',
-  'あっ', 'よる', 'だっ', 'まし', 'ます', 'です', 'ませ', 'でし',
-  'ましょ', 'ください', 'ところ', 'ほう', 'ほど', 'だけ', 'まで',
-  'ない', 'なく', 'なか', 'なけれ', 'ここ', 'そこ', 'どう', 'どの',
+const MIN_FONT_PX = 20;        // キャプチャ画像（CSS px × deviceScaleFactor）でこれ未満の文字は SMALL_FONT
+const MIN_CONTRAST = 4.5;      // WCAG AA（通常の文字）
+const MIN_CONTRAST_LARGE = 3;  // WCAG AA（大きい文字: 24px 以上、または太字 18.66px 以上）
+const MAX_LAYOUT_ISSUES = 10;  // 1スライドあたりのレイアウト問題の上限
+
+// 動画生成ができない（またはスライドを正しくキャプチャできない）問題。それ以外の問題は WARN
+const FAIL_ISSUES = new Set([
+  'STRUCTURE_MISMATCH', 'DECK_OPEN_FAILED', 'SLIDE_API_MISSING', 'SLIDE_API_ERROR',
+  'ACTIVE_SLIDE_COUNT', 'ACTIVE_SLIDE_MISMATCH',
 ]);
 
 // ── ユーティリティ ─────────────────────────────────
 
-/** ffprobe で MP3 の再生秒数を取得 */
-function getAudioDuration(mp3Path) {
-  if (!fs.existsSync(mp3Path)) return null;
+/** ffprobe で音声の再生秒数を取得 */
+function getAudioDuration(audioPath) {
+  if (!fs.existsSync(audioPath)) return null;
   try {
     const out = execSync(
-      `ffprobe -v quiet -show_entries format=duration -of csv=p=0 "${mp3Path}"`,
+      `ffprobe -v quiet -show_entries format=duration -of csv=p=0 "${audioPath}"`,
       { encoding: 'utf8' }
     );
     return parseFloat(out.trim());
@@ -83,47 +103,6 @@ function getAudioDuration(mp3Path) {
   }
 }
 
-/** テキストからキーワードを抽出 */
-function extractKeywords(text) {
-  const keywords = new Set();
-
-  // CJK文字の2文字以上の連続を抽出
-  const cjkPattern = /[\u3400-\u9FFF\uF900-\uFAFF]{2,}/g;
-  let match;
-  while ((match = cjkPattern.exec(text)) !== null) {
-    const word = match[0];
-    if (!STOP_WORDS.has(word)) {
-      keywords.add(word);
-    }
-  }
-
-  // カタカナの2文字以上の連続を抽出
-  const katakanaPattern = /[\u30A0-\u30FF]{2,}/g;
-  while ((match = katakanaPattern.exec(text)) !== null) {
-    const word = match[0];
-    if (!STOP_WORDS.has(word)) {
-      keywords.add(word);
-    }
-  }
-
-  // ASCII英数字の3文字以上の単語を抽出（小文字化）
-  const asciiPattern = /[A-Za-z0-9]{3,}/g;
-  while ((match = asciiPattern.exec(text)) !== null) {
-    keywords.add(match[0].toLowerCase());
-  }
-
-  return keywords;
-}
-
-/** Jaccard類似度を算出 */
-function jaccardSimilarity(setA, setB) {
-  if (setA.size === 0 && setB.size === 0) return 1.0;
-  const intersection = new Set([...setA].filter(x => setB.has(x)));
-  const union = new Set([...setA, ...setB]);
-  if (union.size === 0) return 1.0;
-  return intersection.size / union.size;
-}
-
 /** YAML用に文字列をエスケープ */
 function yamlStr(s) {
   if (typeof s !== 'string') return String(s);
@@ -139,52 +118,421 @@ function yamlArray(arr, indent) {
   return '[' + arr.map(v => yamlStr(v)).join(', ') + ']';
 }
 
-// ── 分析処理 ─────────────────────────────────────
+// ── スライドの表示チェック ─────────────────────────────
 
-async function analyzeTopic(baseName, browser, contentDir) {
-  const htmlPath = path.join(contentDir, `${baseName}.html`);
-  const txtPath = path.join(contentDir, `${baseName}.txt`);
-  const mp3Path = path.join(contentDir, `${baseName}.mp3`);
+/** Playwright のエラーメッセージの1行目（"page.evaluate: " を除く） */
+function errorSummary(err) {
+  return err.message.split('\n')[0].replace(/^\w+\.\w+: /, '');
+}
 
-  console.log(`  🔍 Analyzing: ${baseName}`);
+/** ページのフォントの状態（読み込み中なら timeoutMs まで待つ） */
+function fontState(page, timeoutMs) {
+  return page.evaluate(async (ms) => {
+    const start = performance.now();
+    const pending = document.fonts.status !== 'loaded';
+    const ready = await Promise.race([
+      document.fonts.ready.then(() => true),
+      new Promise(resolve => setTimeout(() => resolve(false), ms)),
+    ]);
+    return {
+      pending,
+      ready,
+      waitedMs: Math.round(performance.now() - start),
+      failed: [...document.fonts].filter(f => f.status === 'error').map(f => f.family.replace(/["']/g, '')),
+    };
+  }, timeoutMs);
+}
 
-  // ── 台本をセグメントに分割 ──
-  const scriptText = fs.readFileSync(txtPath, 'utf8');
-  const segments = scriptText.split(MARKER);
-  const txtSegments = segments.length;
+/** slideAPI の必須メソッド・組で必要なメソッドの欠落 */
+function checkSlideApi(page) {
+  return page.evaluate(() => {
+    const api = window.slideAPI;
+    const slides = document.querySelectorAll('.slide').length;
+    if (api === undefined || api === null) {
+      return [`window.slideAPI is not defined (${slides} .slide elements found)`];
+    }
+    const problems = [];
+    for (const name of ['getTotalSlides', 'showSlide']) {
+      if (typeof api[name] !== 'function') problems.push(`slideAPI.${name} is not a function`);
+    }
+    if ((typeof api.getSteps === 'function') !== (typeof api.showStep === 'function')) {
+      problems.push('slideAPI.getSteps and slideAPI.showStep must be defined together');
+    }
+    if (slides === 0) problems.push('no .slide elements found');
+    return problems;
+  });
+}
 
-  // ── Playwrightでスライドテキスト抽出 ──
-  const context = await browser.newContext({ viewport: VIEWPORT });
-  const page = await context.newPage();
-  const fileUrl = `file://${htmlPath}`;
-  await page.goto(fileUrl, { waitUntil: 'networkidle' });
-  await page.waitForTimeout(FONT_WAIT_MS);
+/**
+ * 表示中のスライドのレイアウトの問題
+ *   OVERFLOW     — 要素がスライド（画面）の外にはみ出している
+ *   CLIPPED      — overflow: hidden / clip の要素で中身が切れている
+ *   SMALL_FONT   — キャプチャ画像での文字サイズ（CSS px × deviceScaleFactor）が MIN_FONT_PX 未満
+ *   LOW_CONTRAST — 文字色と背景色のコントラスト比が WCAG AA 未満（背景が画像・グラデーションなら判定しない）
+ * はみ出した要素の子孫は報告しない。セレクタはスライドの要素からの相対。rect は CSS px
+ *
+ * @param {import('playwright').Page} page - キャプチャと同じビューポートで開いたページ
+ * @param {number} deviceScaleFactor - キャプチャ倍率
+ * @returns {Promise<Array<{type: string, selector: string, rect: {x: number, y: number, width: number, height: number},
+ *   detail: string}>>}
+ */
+function findLayoutIssues(page, deviceScaleFactor) {
+  return page.evaluate(({ attr, scaleFactor, minFontPx, minContrast, minContrastLarge, maxIssues }) => {
+    const root = document.querySelector(`[${attr}]`);
+    if (!root) return [];
+    const rootRect = root.getBoundingClientRect();
+    const bounds = {
+      left: Math.max(0, rootRect.left), top: Math.max(0, rootRect.top),
+      right: Math.min(window.innerWidth, rootRect.right), bottom: Math.min(window.innerHeight, rootRect.bottom),
+    };
+
+    const selectorOf = (el) => {
+      const parts = [];
+      for (let e = el; e && e !== root; e = e.parentElement) {
+        if (e.id) {
+          parts.unshift(`#${CSS.escape(e.id)}`);
+          break;
+        }
+        const classes = [...e.classList].slice(0, 2).map(c => `.${CSS.escape(c)}`).join('');
+        const sameTag = e.parentElement ? [...e.parentElement.children].filter(c => c.tagName === e.tagName) : [];
+        const nth = sameTag.length > 1 ? `:nth-of-type(${sameTag.indexOf(e) + 1})` : '';
+        parts.unshift(`${e.tagName.toLowerCase()}${classes}${nth}`);
+      }
+      return parts.join(' > ');
+    };
+    const parseColor = (value) => {
+      const m = value.match(/^rgba?\(([^)]+)\)$/);
+      if (!m) return null;
+      const [r, g, b, a = 1] = m[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+      return { r, g, b, a };
+    };
+    const over = (top, bottom) => ({
+      r: top.r * top.a + bottom.r * (1 - top.a),
+      g: top.g * top.a + bottom.g * (1 - top.a),
+      b: top.b * top.a + bottom.b * (1 - top.a),
+      a: 1,
+    });
+    // 背景色（半透明は重ねて合成、画像・グラデーションや解釈できない色なら null）
+    const backgroundOf = (el) => {
+      const layers = [];
+      for (let e = el; e; e = e.parentElement) {
+        const style = getComputedStyle(e);
+        if (style.backgroundImage !== 'none') return null;
+        const color = parseColor(style.backgroundColor);
+        if (!color) return null;
+        if (color.a > 0) layers.push(color);
+        if (color.a >= 1) break;
+      }
+      return layers.reverse().reduce((bg, layer) => over(layer, bg), { r: 255, g: 255, b: 255, a: 1 });
+    };
+    const luminance = ({ r, g, b }) => {
+      const [lr, lg, lb] = [r, g, b].map((v) => {
+        const c = v / 255;
+        return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+      });
+      return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+    };
+    const contrast = (a, b) => {
+      const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+      return (hi + 0.05) / (lo + 0.05);
+    };
+
+    const issues = [];
+    const overflowed = [];
+    const push = (type, el, rect, detail) => {
+      issues.push({
+        type,
+        selector: selectorOf(el),
+        rect: { x: rect.left, y: rect.top, width: rect.width, height: rect.height },
+        detail,
+      });
+    };
+
+    for (const el of root.querySelectorAll('*')) {
+      if (issues.length >= maxIssues) break;
+      if (!(el instanceof HTMLElement) || ['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT'].includes(el.tagName)) continue;
+      const style = getComputedStyle(el);
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0 || style.visibility === 'hidden' || Number(style.opacity) === 0) continue;
+
+      if (!overflowed.some(o => o.contains(el))) {
+        const outside = [
+          ['left', bounds.left - rect.left], ['top', bounds.top - rect.top],
+          ['right', rect.right - bounds.right], ['bottom', rect.bottom - bounds.bottom],
+        ].filter(([, px]) => px > 1);
+        if (outside.length > 0) {
+          overflowed.push(el);
+          const sides = outside.map(([side, px]) => `${side} ${Math.round(px)}px`).join(', ');
+          push('OVERFLOW', el, rect, `extends beyond the slide (${sides})`);
+          continue;
+        }
+      }
+
+      const clipX = /hidden|clip/.test(style.overflowX) && el.scrollWidth > el.clientWidth + 1;
+      const clipY = /hidden|clip/.test(style.overflowY) && el.scrollHeight > el.clientHeight + 1;
+      if (clipX || clipY) {
+        const hidden = [clipX ? `${el.scrollWidth - el.clientWidth}px wide` : '', clipY ? `${el.scrollHeight - el.clientHeight}px tall` : '']
+          .filter(Boolean).join(', ');
+        push('CLIPPED', el, rect, `clips its content (${hidden} hidden by overflow: ${style.overflow})`);
+      }
+
+      const text = [...el.childNodes].filter(n => n.nodeType === Node.TEXT_NODE).map(n => n.textContent).join('')
+        .replace(/\s+/g, ' ').trim();
+      if (!text) continue;
+      const snippet = text.length > 20 ? `${text.slice(0, 20)}…` : text;
+      // transform（reveal.js の縮小や Marp の SVG など）を含めた表示上の大きさ
+      const scale = el.offsetHeight > 0 ? rect.height / el.offsetHeight : 1;
+      const fontPx = parseFloat(style.fontSize) * scale;
+      const outputPx = fontPx * scaleFactor;
+      if (outputPx < minFontPx) {
+        push('SMALL_FONT', el, rect,
+          `"${snippet}" is ${outputPx.toFixed(1)}px in the capture (< ${minFontPx}px; ${fontPx.toFixed(1)} CSS px × ${scaleFactor})`);
+      }
+
+      const color = parseColor(style.color);
+      const background = backgroundOf(el);
+      if (color && background) {
+        const large = fontPx >= 24 || (fontPx >= 18.66 && Number(style.fontWeight) >= 700);
+        const ratio = contrast(over(color, background), background);
+        const required = large ? minContrastLarge : minContrast;
+        if (ratio < required) {
+          push('LOW_CONTRAST', el, rect,
+            `"${snippet}" contrast ${ratio.toFixed(2)}:1 (< ${required}:1, ${style.color} on rgb(${[background.r, background.g, background.b].map(Math.round).join(', ')}))`);
+        }
+      }
+    }
+    return issues;
+  }, {
+    attr: 'data-capture-active', scaleFactor: deviceScaleFactor, minFontPx: MIN_FONT_PX, minContrast: MIN_CONTRAST,
+    minContrastLarge: MIN_CONTRAST_LARGE, maxIssues: MAX_LAYOUT_ISSUES,
+  });
+}
 
-  const totalSlides = await page.evaluate(() => window.slideAPI.getTotalSlides());
+/** 問題の要素のまわりを切り出す範囲（画面内に収め、画面外の要素は近い縁を MIN_CROP 以上切り出す） */
+function cropRect(rect, viewport) {
+  const span = (start, end, size) => {
+    let a = Math.max(0, Math.floor(start - CROP_PADDING));
+    let b = Math.min(size, Math.ceil(end + CROP_PADDING));
+    if (b - a < MIN_CROP) {
+      const mid = Math.min(Math.max((a + b) / 2, MIN_CROP / 2), size - MIN_CROP / 2);
+      a = Math.round(mid - MIN_CROP / 2);
+      b = a + MIN_CROP;
+    }
+    return [a, b];
+  };
+  const [x1, x2] = span(rect.x, rect.x + rect.width, viewport.width);
+  const [y1, y2] = span(rect.y, rect.y + rect.height, viewport.height);
+  return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
 
+/**
+ * スライドを1枚ずつ表示してテキストを抽出し、表示の問題を調べる
+ *   DECK_OPEN_FAILED      — スライド資料を開けない（アダプタが判定できない など）
+ *   SLIDE_API_MISSING     — slideAPI がない・必須メソッドがない
+ *   SLIDE_API_ERROR       — getTotalSlides() / showSlide(n) が例外を投げる・不正な値を返す
+ *   ACTIVE_SLIDE_COUNT    — showSlide(n) 後の .slide.active が1枚でない
+ *   ACTIVE_SLIDE_MISMATCH — showSlide(n) が n 枚目以外の .slide を表示した
+ *   SLIDE_UNCHANGED       — 前のスライドと画面が同一（表示が切り替わっていない）
+ *   CONSOLE_ERROR         — コンソールエラー・未捕捉の例外
+ *   RESOURCE_FAILED       — 読み込めない画像・フォント・CSS など
+ *   FONT_SLOW / FONT_NOT_READY / FONT_LOAD_FAILED — 待機後もフォントが読み込み中・読み込めない
+ *   OVERFLOW / CLIPPED / SMALL_FONT / LOW_CONTRAST — レイアウト（findLayoutIssues、PDF は対象外）。
+ *     selector と、reportDir があれば切り出し画像（reports/layout/<baseName>/、reportDir からの相対パス）を付ける
+ *
+ * @param {import('playwright').Browser} browser
+ * @param {string} deckPath
+ * @param {Object} options
+ * @param {string} options.adapter - スライドアダプタ
+ * @param {string} options.baseName
+ * @param {string|null} [options.reportDir] - 切り出し画像の出力先（null なら画像なし）
+ * @param {number} [options.deviceScaleFactor] - キャプチャ倍率（video_generator.js と同じく出力プリセットから算出）
+ * @returns {Promise<{totalSlides: number, slideTexts: string[], issues: Array<{type: string, slide: number, detail: string}>}>}
+ *   slide はページ読み込み時の問題なら 0
+ */
+async function inspectSlides(browser, deckPath, {
+  adapter, baseName, reportDir = null, deviceScaleFactor = DEFAULT_SCALE_FACTOR,
+}) {
+  const layoutDir = reportDir ? path.join(reportDir, LAYOUT_DIR, baseName) : null;
+  if (layoutDir) fs.rmSync(layoutDir, { recursive: true, force: true }); // 前回の分析の画像を残さない
+  const issues = [];
   const slideTexts = [];
-  for (let i = 1; i <= totalSlides; i++) {
-    await page.evaluate((n) => window.slideAPI.showSlide(n), i);
-    await page.waitForTimeout(SLIDE_ANIM_MS);
-
-    // SVGとscript要素を除去してテキスト抽出
-    const text = await page.evaluate(() => {
-      const active = document.querySelector('.slide.active');
-      if (!active) return '';
-      const clone = active.cloneNode(true);
-      clone.querySelectorAll('svg, script, style').forEach(el => el.remove());
-      return clone.textContent || '';
+  let totalSlides = 0;
+  let currentSlide = 0;
+  const seen = new Set();
+  const report = (type, slide, detail) => {
+    const key = `${type}\t${detail}`;
+    if (seen.has(key)) return; // 同じエラーは最初のスライドだけ
+    seen.add(key);
+    issues.push({ type, slide, detail });
+  };
+  const resourceName = (url) => (url.startsWith('file://')
+    ? path.relative(path.dirname(deckPath), decodeURIComponent(new URL(url).pathname))
+    : url);
+
+  const context = await browser.newContext({ viewport: CAPTURE_VIEWPORT, deviceScaleFactor });
+  let deck = null;
+  try {
+    const page = await context.newPage();
+    page.on('console', (msg) => {
+      // 読み込めないリソースは RESOURCE_FAILED で報告する
+      if (msg.type() === 'error' && !msg.text().startsWith('Failed to load resource')) {
+        report('CONSOLE_ERROR', currentSlide, msg.text());
+      }
     });
-    slideTexts.push(text.replace(/\s+/g, ' ').trim());
+    page.on('pageerror', err => report('CONSOLE_ERROR', currentSlide, `Uncaught ${err.message}`));
+    page.on('requestfailed', (req) => {
+      report('RESOURCE_FAILED', currentSlide, `${resourceName(req.url())} (${req.failure()?.errorText || 'failed'})`);
+    });
+    page.on('response', (res) => {
+      if (res.status() >= 400) report('RESOURCE_FAILED', currentSlide, `${resourceName(res.url())} (HTTP ${res.status()})`);
+    });
+
+    try {
+      deck = await openDeck(page, deckPath, { adapter, scale: deviceScaleFactor });
+    } catch (err) {
+      // slideAPI 向けの資料（slideAPI か .slide がある）なら契約の不備として報告する
+      const slideDeck = await page.evaluate(() => window.slideAPI != null || document.querySelector('.slide') !== null)
+        .catch(() => false);
+      const problems = slideDeck ? await checkSlideApi(page) : [];
+      if (problems.length > 0) {
+        for (const problem of problems) report('SLIDE_API_MISSING', 0, problem);
+      } else {
+        report('DECK_OPEN_FAILED', 0, errorSummary(err));
+      }
+      return { totalSlides, slideTexts, issues };
+    }
+    await page.waitForTimeout(FONT_WAIT_MS);
+
+    const fonts = await fontState(page, FONT_READY_TIMEOUT_MS);
+    if (!fonts.ready) {
+      report('FONT_NOT_READY', 0, `fonts still loading ${FONT_WAIT_MS + FONT_READY_TIMEOUT_MS}ms after load`);
+    } else if (fonts.pending) {
+      report('FONT_SLOW', 0, `fonts still loading ${FONT_WAIT_MS}ms after load (ready ${fonts.waitedMs}ms later)`);
+    }
+
+    // slideAPI の契約（slideAPI を公開している資料のみ）
+    const slideApi = deck.adapter === 'slideapi';
+    if (slideApi || await page.evaluate(() => window.slideAPI != null)) {
+      for (const problem of await checkSlideApi(page)) report('SLIDE_API_MISSING', 0, problem);
+      if (slideApi && issues.some(i => i.type === 'SLIDE_API_MISSING')) return { totalSlides, slideTexts, issues };
+    }
+
+    try {
+      const count = await deck.count();
+      if (!Number.isInteger(count) || count < 1) {
+        report('SLIDE_API_ERROR', 0, `getTotalSlides() returned ${JSON.stringify(count)}`);
+        return { totalSlides, slideTexts, issues };
+      }
+      totalSlides = count;
+    } catch (err) {
+      report('SLIDE_API_ERROR', 0, `getTotalSlides() threw: ${errorSummary(err)}`);
+      return { totalSlides, slideTexts, issues };
+    }
+
+    let prevShot = null;
+    for (let i = 1; i <= totalSlides; i++) {
+      currentSlide = i;
+      try {
+        await deck.show(i);
+      } catch (err) {
+        report('SLIDE_API_ERROR', i, `showSlide(${i}) threw: ${errorSummary(err)}`);
+        slideTexts.push('');
+        prevShot = null;
+        continue;
+      }
+      await page.waitForTimeout(SLIDE_ANIM_MS);
+
+      if (slideApi) {
+        const active = await page.evaluate(() => {
+          const slides = [...document.querySelectorAll('.slide')];
+          const actives = slides.filter(el => el.classList.contains('active'));
+          return { count: actives.length, index: slides.indexOf(actives[0]) + 1 };
+        });
+        if (active.count !== 1) {
+          report('ACTIVE_SLIDE_COUNT', i, `showSlide(${i}) left ${active.count} .slide.active elements (expected 1)`);
+        } else if (active.index !== i) {
+          report('ACTIVE_SLIDE_MISMATCH', i, `showSlide(${i}) activated .slide #${active.index}`);
+        }
+      }
+
+      const slideFonts = await fontState(page, FONT_READY_TIMEOUT_MS);
+      if (!slideFonts.ready) {
+        report('FONT_NOT_READY', i, `fonts still loading ${SLIDE_ANIM_MS + FONT_READY_TIMEOUT_MS}ms after showing the slide`);
+      } else if (slideFonts.pending) {
+        report('FONT_SLOW', i, `fonts still loading ${SLIDE_ANIM_MS}ms after showing the slide (ready ${slideFonts.waitedMs}ms later)`);
+      }
+
+      // 前のスライドと同じ画面なら表示が切り替わっていない
+      const shot = await page.screenshot({ type: 'png' });
+      if (prevShot && shot.equals(prevShot)) {
+        report('SLIDE_UNCHANGED', i, `looks identical to slide ${i - 1}`);
+      }
+      prevShot = shot;
+
+      // レイアウト（PDF はページ画像のため対象外）
+      const layoutIssues = deck.adapter === 'pdf' ? [] : await findLayoutIssues(page, deviceScaleFactor);
+      for (const [k, { type, selector, rect, detail }] of layoutIssues.entries()) {
+        const issue = { type, slide: i, detail, selector };
+        if (layoutDir) {
+          const file = path.join(layoutDir, `slide_${String(i).padStart(3, '0')}_${String(k + 1).padStart(2, '0')}_${type.toLowerCase()}.png`);
+          fs.mkdirSync(layoutDir, { recursive: true });
+          await page.screenshot({ path: file, clip: cropRect(rect, CAPTURE_VIEWPORT) });
+          issue.screenshot = path.relative(reportDir, file);
+        }
+        issues.push(issue);
+      }
+
+      // SVGとscript要素を除いたテキスト
+      slideTexts.push((await deck.text()).replace(/\s+/g, ' ').trim());
+    }
+
+    const failedFonts = [...new Set((await fontState(page, 0)).failed)];
+    if (failedFonts.length > 0) report('FONT_LOAD_FAILED', 0, `could not load: ${failedFonts.join(', ')}`);
+  } finally {
+    await context.close();
+    if (deck) deck.close();
   }
 
-  await context.close();
+  return { totalSlides, slideTexts, issues };
+}
 
-  // ── 音声時間取得 ──
-  const audioDuration = getAudioDuration(mp3Path);
+// ── 分析処理 ─────────────────────────────────────
+
+async function analyzeTopic(baseName, browser, contentDir, {
+  script = DEFAULT_SCRIPT, adapter = DEFAULT_ADAPTER, reportDir = null, scorer = null,
+  deviceScaleFactor = DEFAULT_SCALE_FACTOR,
+} = {}) {
+  scorer = scorer || await createScorer(); // 既定は keywords
+  const deckPath = findSlideDeck(contentDir, baseName);
+  if (!deckPath) throw new Error(`slide deck not found: ${baseName}.html / ${baseName}.pdf`);
+  const txtPath = path.join(contentDir, `${baseName}.txt`);
+  const audioSource = findTopicAudio(contentDir, baseName);
+
+  console.log(`  🔍 Analyzing: ${baseName}`);
+
+  // ── 台本をセグメントに分割 ──
+  const scriptText = stripStepMarkers(fs.readFileSync(txtPath, 'utf8'));
+  const { segments } = splitScript(scriptText, script);
+  const txtSegments = segments.length;
+  const { charsPerSec } = languageOf(script);
+
+  // ── Playwrightでスライドテキスト抽出 + 表示チェック ──
+  const inspection = await inspectSlides(browser, deckPath, { adapter, baseName, reportDir, deviceScaleFactor });
+  const { totalSlides, slideTexts } = inspection;
+
+  // ── 音声時間取得（スライドごとの音声は各ファイルの長さが表示秒数） ──
+  const slideDurations = audioSource && audioSource.type === 'slides'
+    ? audioSource.files.map(getAudioDuration) : null;
+  let audioDuration = null;
+  if (slideDurations) {
+    if (slideDurations.every(d => d !== null)) audioDuration = slideDurations.reduce((a, b) => a + b, 0);
+  } else if (audioSource) {
+    audioDuration = getAudioDuration(audioSource.path);
+  }
 
   // ── 構造チェック ──
-  const structureMatch = totalSlides === txtSegments;
+  const audioMatch = !slideDurations || slideDurations.length === txtSegments;
+  const structureMatch = totalSlides === txtSegments && audioMatch;
 
   // ── 各スライド-セグメント対応チェック ──
   const issues = [];
@@ -194,28 +542,31 @@ async function analyzeTopic(baseName, browser, contentDir) {
   const analysisCount = Math.min(totalSlides, txtSegments);
 
   for (let i = 0; i < analysisCount; i++) {
-    const htmlKw = extractKeywords(slideTexts[i] || '');
-    const txtKw = extractKeywords(segments[i] || '');
-    const overlap = jaccardSimilarity(htmlKw, txtKw);
+    const similarity = scorer.compare(slideTexts[i] || '', segments[i] || '', script.language);
+    const { score: overlap, fail, warn, label } = similarity;
+    const htmlKw = similarity.slideFeatures;
+    const txtKw = similarity.scriptFeatures;
 
     const segChars = segments[i].replace(/\s+/g, '').length;
     const ratio = totalChars > 0 ? segChars / totalChars : 0;
-    const estSec = audioDuration ? ratio * audioDuration : segChars / CHARS_PER_SEC;
+    const estSec = slideDurations && slideDurations[i] !== null && i < slideDurations.length
+      ? slideDurations[i]
+      : audioDuration ? ratio * audioDuration : segChars / charsPerSec;
 
     let alignment = 'OK';
-    if (overlap < JACCARD_FAIL) {
+    if (overlap < fail) {
       alignment = 'MISMATCH_HIGH';
       issues.push({
         type: 'MISMATCH_HIGH',
         slide: i + 1,
-        detail: `Jaccard ${overlap.toFixed(2)} < ${JACCARD_FAIL}`,
+        detail: `${label} ${overlap.toFixed(2)} < ${fail}`,
       });
-    } else if (overlap < JACCARD_WARN) {
+    } else if (overlap < warn) {
       alignment = 'MISMATCH_LOW';
       issues.push({
         type: 'MISMATCH_LOW',
         slide: i + 1,
-        detail: `Jaccard ${overlap.toFixed(2)} < ${JACCARD_WARN}`,
+        detail: `${label} ${overlap.toFixed(2)} < ${warn}`,
       });
     }
 
@@ -249,17 +600,37 @@ async function analyzeTopic(baseName, browser, contentDir) {
     });
   }
 
-  if (!structureMatch) {
+  // 区切りにならなかったマーカーの表記ゆれ・区切り行の書き損じ
+  for (const miss of findNearMisses(segments, script)) {
+    issues.push({
+      type: 'MARKER_NEAR_MISS',
+      slide: miss.slide,
+      detail: miss.similarity !== null
+        ? `"${miss.text}" resembles marker "${miss.expected}" (similarity ${miss.similarity}) but does not split`
+        : `"${miss.text}" looks like a delimiter line but is not "${miss.expected}"`,
+    });
+  }
+
+  issues.push(...inspection.issues);
+
+  if (totalSlides !== txtSegments) {
     issues.unshift({
       type: 'STRUCTURE_MISMATCH',
       slide: 0,
       detail: `HTML has ${totalSlides} slides but TXT has ${txtSegments} segments`,
     });
   }
+  if (!audioMatch) {
+    issues.unshift({
+      type: 'STRUCTURE_MISMATCH',
+      slide: 0,
+      detail: `${path.basename(audioSource.dir)}/ has ${slideDurations.length} audio files but TXT has ${txtSegments} segments`,
+    });
+  }
 
   // ── 総合判定 ──
   let status = 'PASS';
-  if (issues.some(i => i.type === 'STRUCTURE_MISMATCH')) {
+  if (issues.some(i => FAIL_ISSUES.has(i.type))) {
     status = 'FAIL';
   } else if (issues.length > 0) {
     status = 'WARN';
@@ -271,9 +642,11 @@ async function analyzeTopic(baseName, browser, contentDir) {
     structure: {
       html_slides: totalSlides,
       txt_segments: txtSegments,
+      audio_files: slideDurations ? slideDurations.length : null,
       match: structureMatch,
     },
     audio_duration_sec: audioDuration ? parseFloat(audioDuration.toFixed(1)) : null,
+    similarity: scorer.strategyFor(script.language),
     slides: slideAnalysis,
     issues,
   };
@@ -302,8 +675,10 @@ function generateYaml(results) {
     yaml += `    structure:\n`;
     yaml += `      html_slides: ${r.structure.html_slides}\n`;
     yaml += `      txt_segments: ${r.structure.txt_segments}\n`;
+    if (r.structure.audio_files != null) yaml += `      audio_files: ${r.structure.audio_files}\n`;
     yaml += `      match: ${r.structure.match}\n`;
     yaml += `    audio_duration_sec: ${r.audio_duration_sec ?? 'null'}\n`;
+    if (r.similarity) yaml += `    similarity: ${yamlStr(r.similarity)}\n`;
     yaml += `    slides:\n`;
 
     for (const s of r.slides) {
@@ -326,6 +701,8 @@ function generateYaml(results) {
         yaml += `      - type: ${yamlStr(issue.type)}\n`;
         yaml += `        slide: ${issue.slide}\n`;
         yaml += `        detail: ${yamlStr(issue.detail)}\n`;
+        if (issue.selector) yaml += `        selector: ${yamlStr(issue.selector)}\n`;
+        if (issue.screenshot) yaml += `        screenshot: ${yamlStr(issue.screenshot)}\n`;
       }
     }
   }
@@ -336,7 +713,7 @@ function generateYaml(results) {
 // ── CLI エントリポイント ─────────────────────────────
 
 async function main() {
-  const { projectDir, all, baseNames, limit, noLimit } = parseArgs();
+  const { projectDir, all, baseNames, limit, noLimit, presets } = parseArgs();
 
   if (!projectDir) {
     console.log('Usage:');
@@ -348,6 +725,15 @@ async function main() {
     console.log('  --all             トピックを分析（デフォルト: 視聴順で先頭5件）');
     console.log('  --limit <N>       分析件数を指定（デフォルト: 5）');
     console.log('  --no-limit        全件分析');
+    console.log(`  --preset <a,b>    生成時の出力プリセット（キャプチャ倍率の算出用）: ${Object.keys(PRESETS).join(' / ')}（デフォルト: 1080p）`);
+    process.exit(1);
+  }
+
+  let deviceScaleFactor;
+  try {
+    deviceScaleFactor = captureScaleFactor(resolvePresets(presets));
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
     process.exit(1);
   }
 
@@ -372,7 +758,7 @@ async function main() {
 
   let targets;
   if (all) {
-    const allTopics = discoverTopics(contentDir, { requireMp3: false });
+    const allTopics = discoverTopics(contentDir, { requireAudio: false });
     targets = noLimit ? allTopics : allTopics.slice(0, limit);
     if (!noLimit && allTopics.length > targets.length) {
       console.log(`📋 視聴順で先頭 ${targets.length} / ${allTopics.length} 件を分析 (--no-limit で全件)`);
@@ -384,6 +770,10 @@ async function main() {
   console.log(`🔍 Alignment Analyzer - ${targets.length} topic(s)`);
   console.log(`   Project: ${projectDir}`);
   console.log(`   Content: ${usingWorkspace ? '.video-work/content/ (安全モード)' : 'content/ (直接)'}`);
+  const projectConfig = loadProjectConfig(projectDir);
+  const scorer = await createScorer(projectConfig.similarity);
+  console.log(`   Similarity: ${scorer.strategy}`);
+  console.log(`   Capture: ${CAPTURE_VIEWPORT.width}x${CAPTURE_VIEWPORT.height} CSS px × ${deviceScaleFactor} (${presets.join(', ')})`);
   for (let i = 0; i < targets.length; i++) {
     const t = targets[i];
     const label = LEVEL_LABELS[t.sortKey[0]] || '';
@@ -400,7 +790,14 @@ async function main() {
     for (const topic of targets) {
       const topicDir = getTopicDir(contentDir, topic);
       try {
-        const result = await analyzeTopic(topic.baseName, browser, topicDir);
+        const config = topicConfig(projectConfig, topic.baseName);
+        const result = await analyzeTopic(topic.baseName, browser, topicDir, {
+          script: config.script,
+          adapter: config.slides ? config.slides.adapter : DEFAULT_ADAPTER,
+          reportDir,
+          scorer,
+          deviceScaleFactor,
+        });
         results.push(result);
 
         const icon = result.status === 'PASS' ? '✅' :
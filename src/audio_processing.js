@@ -0,0 +1,140 @@
+/**
+ * audio_processing.js
+ *
+ * エンコード前の音声処理（ラウドネス正規化・前後の無音トリム・ノイズ除去）
+ *
+ * 収録セッションごとに音量が異なるMP3を揃えるため、EBU R128 loudnorm を
+ * 2パス（1パス目で計測、2パス目で計測値を与えて線形補正）で適用する。
+ * 処理結果は作業ディレクトリに WAV で書き出し、各プリセットのエンコードに使う。
+ */
+
+const { execAsync } = require('./job_pool');
+
+// ── 定数 ──────────────────────────────────────────
+const DEFAULT_LOUDNORM_TARGET = -14;  // YouTube の基準ラウドネス（LUFS）
+const LOUDNORM_TRUE_PEAK = -1.5;      // 最大トゥルーピーク（dBTP）
+const LOUDNORM_LRA = 11;              // ラウドネスレンジ（LU）
+const TRIM_PAD_SEC = 0.2;             // トリム時に前後へ残す余白
+const TRIM_EDGE_SEC = 0.05;           // 先頭/末尾に接しているとみなす無音の誤差
+const DENOISE_FILTER = 'highpass=f=80,afftdn=nf=-25'; // 低域ノイズ除去 + FFTデノイズ
+const SAMPLE_RATE = 48000;
+const FFMPEG_TIMEOUT_MS = 600000;
+
+// ── トリム範囲 ─────────────────────────────────────
+
+/**
+ * 先頭・末尾の無音区間からトリム範囲を求める
+ * @param {Array<{start: number, end: number}>} silences - detectSilences() の結果
+ * @param {number} totalDuration - 音声の再生秒数
+ * @returns {{start: number, end: number}|null} 残す区間（トリム不要なら null）
+ */
+function findTrimRange(silences, totalDuration, pad = TRIM_PAD_SEC) {
+  let start = 0;
+  let end = totalDuration;
+  const first = silences[0];
+  const last = silences[silences.length - 1];
+  if (first && first.start <= TRIM_EDGE_SEC) {
+    start = Math.max(first.end - pad, 0);
+  }
+  if (last && last.end >= totalDuration - TRIM_EDGE_SEC && last.start > start) {
+    end = Math.min(last.start + pad, totalDuration);
+  }
+  if (start === 0 && end === totalDuration) return null;
+  return { start, end };
+}
+
+// ── loudnorm ──────────────────────────────────────
+
+/** ffmpeg の出力から loudnorm の JSON（print_format=json）を取り出す */
+function parseLoudnormJson(output) {
+  const start = output.lastIndexOf('{');
+  const end = output.lastIndexOf('}');
+  if (start < 0 || end < start) {
+    throw new Error('loudnorm measurement not found in ffmpeg output');
+  }
+  return JSON.parse(output.substring(start, end + 1));
+}
+
+/** トリム・ノイズ除去のフィルタ列（loudnorm の前段） */
+function preFilters({ trim, denoise }) {
+  const filters = [];
+  if (trim) {
+    filters.push(`atrim=start=${trim.start.toFixed(4)}:end=${trim.end.toFixed(4)}`, 'asetpts=PTS-STARTPTS');
+  }
+  if (denoise) filters.push(DENOISE_FILTER);
+  return filters;
+}
+
+function loudnormParams(target) {
+  return `I=${target}:TP=${LOUDNORM_TRUE_PEAK}:LRA=${LOUDNORM_LRA}`;
+}
+
+/**
+ * 1パス目: 前段フィルタ適用後のラウドネスを計測
+ * @returns {Promise<Object>} loudnorm の計測値（input_i, input_tp, input_lra, input_thresh, target_offset）
+ */
+async function measureLoudness(audioPath, { trim = null, denoise = false, target = DEFAULT_LOUDNORM_TARGET } = {}) {
+  const filters = [...preFilters({ trim, denoise }), `loudnorm=${loudnormParams(target)}:print_format=json`];
+  const out = await execAsync(
+    `ffmpeg -hide_banner -nostats -i "${audioPath}" -af "${filters.join(',')}" -f null - 2>&1`,
+    { timeout: FFMPEG_TIMEOUT_MS }
+  );
+  return parseLoudnormJson(out);
+}
+
+// ── 処理 ──────────────────────────────────────────
+
+/**
+ * 音声処理を適用して WAV に書き出す
+ *
+ * @param {string} inPath - 元の音声ファイル
+ * @param {string} outPath - 出力 WAV
+ * @param {Object} options
+ * @param {{start: number, end: number}|null} [options.trim] - 残す区間
+ * @param {boolean} [options.denoise] - ハイパス + デノイズ
+ * @param {number|null} [options.loudnorm] - 目標ラウドネス（LUFS）。null なら正規化しない
+ * @returns {Promise<{input: Object, output: Object, normalizationType: string}|null>}
+ *   計測したラウドネス（正規化しない場合は null）。input / output は {i: LUFS, tp: dBTP, lra: LU}
+ */
+async function processAudio(inPath, outPath, { trim = null, denoise = false, loudnorm = null } = {}) {
+  const filters = preFilters({ trim, denoise });
+  let loudness = null;
+
+  if (loudnorm !== null) {
+    const m = await measureLoudness(inPath, { trim, denoise, target: loudnorm });
+    filters.push(
+      `loudnorm=${loudnormParams(loudnorm)}` +
+      `:measured_I=${m.input_i}:measured_TP=${m.input_tp}:measured_LRA=${m.input_lra}` +
+      `:measured_thresh=${m.input_thresh}:offset=${m.target_offset}:linear=true:print_format=json`
+    );
+    const result = parseLoudnormJson(await runFilters(inPath, outPath, filters));
+    loudness = {
+      input: { i: parseFloat(m.input_i), tp: parseFloat(m.input_tp), lra: parseFloat(m.input_lra) },
+      output: { i: parseFloat(result.output_i), tp: parseFloat(result.output_tp), lra: parseFloat(result.output_lra) },
+      normalizationType: result.normalization_type,
+    };
+  } else {
+    await runFilters(inPath, outPath, filters);
+  }
+
+  return loudness;
+}
+
+/** フィルタ列を適用して WAV を書き出し、ffmpeg の出力を返す */
+async function runFilters(inPath, outPath, filters) {
+  const af = filters.length > 0 ? `-af "${filters.join(',')}"` : '';
+  try {
+    return await execAsync(
+      `ffmpeg -y -hide_banner -nostats -i "${inPath}" ${af} -ar ${SAMPLE_RATE} -c:a pcm_s16le "${outPath}" 2>&1`,
+      { timeout: FFMPEG_TIMEOUT_MS }
+    );
+  } catch (err) {
+    const output = (err.stdout || '').toString();
+    throw new Error(`audio processing failed: ${output.split('\n').slice(-3).join('\n')}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_LOUDNORM_TARGET, DENOISE_FILTER,
+  findTrimRange, parseLoudnormJson, measureLoudness, processAudio,
+};
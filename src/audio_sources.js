@@ -0,0 +1,131 @@
+/**
+ * audio_sources.js
+ *
+ * トピックのナレーション音声の検出
+ *
+ *   1ファイル     — <baseName>.mp3 / .wav / .m4a / .ogg / .flac（この順に優先）
+ *   スライドごと — <baseName>/slide_001.wav, slide_002.wav, ...（形式は混在してよい）
+ *
+ * スライドごとの音声は1本の WAV に連結して使い、スライドの表示秒数は各ファイルの長さをそのまま使う
+ * （マーカー検出は不要）。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execAsync } = require('./job_pool');
+
+// ── 定数 ──────────────────────────────────────────
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.ogg', '.flac'];
+const SLIDE_AUDIO_PATTERN = /^slide_(\d{3})\.(mp3|wav|m4a|ogg|flac)$/i;
+const CONCAT_SAMPLE_RATE = 48000;
+
+/** 音声ファイルか（拡張子で判定） */
+function isAudioFile(fileName) {
+  return AUDIO_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+/**
+ * スライドごとの音声ファイル（slide_001.* から連番）
+ * @param {string} slideAudioDir - <baseName>/ ディレクトリ
+ * @returns {string[]} 番号順のパス（なければ空配列）
+ */
+function listSlideAudio(slideAudioDir) {
+  if (!fs.existsSync(slideAudioDir) || !fs.statSync(slideAudioDir).isDirectory()) return [];
+  const byNumber = new Map();
+  for (const f of fs.readdirSync(slideAudioDir)) {
+    const m = f.match(SLIDE_AUDIO_PATTERN);
+    if (!m) continue;
+    const n = parseInt(m[1], 10);
+    if (byNumber.has(n)) {
+      throw new Error(`duplicate slide audio: ${byNumber.get(n)} and ${f} in ${slideAudioDir}`);
+    }
+    byNumber.set(n, f);
+  }
+  const files = [];
+  for (let n = 1; n <= byNumber.size; n++) {
+    if (!byNumber.has(n)) {
+      throw new Error(`slide audio is not numbered consecutively: slide_${String(n).padStart(3, '0')}.* is missing in ${slideAudioDir}`);
+    }
+    files.push(path.join(slideAudioDir, byNumber.get(n)));
+  }
+  return files;
+}
+
+/**
+ * トピックの音声を探す
+ * @param {string} dir - トピックのコンテンツディレクトリ
+ * @param {string} baseName
+ * @returns {{type: 'file', path: string}|{type: 'slides', dir: string, files: string[]}|null}
+ */
+function findTopicAudio(dir, baseName) {
+  for (const ext of AUDIO_EXTENSIONS) {
+    const p = path.join(dir, `${baseName}${ext}`);
+    if (fs.existsSync(p)) return { type: 'file', path: p };
+  }
+  const slideAudioDir = path.join(dir, baseName);
+  const files = listSlideAudio(slideAudioDir);
+  return files.length > 0 ? { type: 'slides', dir: slideAudioDir, files } : null;
+}
+
+/** ログ・エラー表示用の名前（01-01_xxx.wav / 01-01_xxx/ (12 files)） */
+function audioLabel(source) {
+  return source.type === 'file'
+    ? path.basename(source.path)
+    : `${path.basename(source.dir)}/ (${source.files.length} files)`;
+}
+
+/** 音声の入力ファイル一覧（ハッシュ用） */
+function audioFiles(source) {
+  return source.type === 'file' ? [source.path] : source.files;
+}
+
+// ── ffmpeg / ffprobe ───────────────────────────────
+
+/** ffprobe で再生秒数を取得 */
+async function probeAudioDuration(audioPath) {
+  const out = await execAsync(
+    `ffprobe -v quiet -show_entries format=duration -of csv=p=0 "${audioPath}"`,
+    { timeout: 30000 }
+  );
+  return parseFloat(out.trim());
+}
+
+/** スライドごとの音声の再生秒数 */
+async function slideAudioDurations(files) {
+  const durations = [];
+  for (const f of files) durations.push(await probeAudioDuration(f));
+  return durations;
+}
+
+/**
+ * スライドごとの音声を1本の WAV に連結（形式・サンプルレート・チャンネル数の違いは揃える）
+ * @param {string[]} files - 連結順の音声ファイル
+ * @param {string} outPath - 出力 WAV
+ */
+async function concatSlideAudio(files, outPath) {
+  const filterPath = `${outPath}.filter.txt`;
+  const chains = files.map((_, i) =>
+    `[${i}:a]aresample=${CONCAT_SAMPLE_RATE},aformat=sample_fmts=s16:channel_layouts=stereo[a${i}]`);
+  chains.push(`${files.map((_, i) => `[a${i}]`).join('')}concat=n=${files.length}:v=0:a=1[aout]`);
+  fs.writeFileSync(filterPath, chains.join(';'));
+  try {
+    await execAsync([
+      'ffmpeg -y -hide_banner -nostats',
+      ...files.map(f => `-i "${f}"`),
+      `-filter_complex_script "${filterPath}"`,
+      '-map "[aout]" -c:a pcm_s16le',
+      `"${outPath}"`,
+    ].join(' '), { timeout: 300000 });
+  } catch (err) {
+    throw new Error(`slide audio concat failed: ${err.stderr?.toString().split('\n').slice(-3).join('\n')}`);
+  } finally {
+    fs.rmSync(filterPath, { force: true });
+  }
+  return outPath;
+}
+
+module.exports = {
+  AUDIO_EXTENSIONS,
+  isAudioFile, listSlideAudio, findTopicAudio, audioLabel, audioFiles,
+  probeAudioDuration, slideAudioDurations, concatSlideAudio,
+};
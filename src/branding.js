@@ -0,0 +1,176 @@
+/**
+ * branding.js
+ *
+ * イントロ / アウトロのバンパーとロゴ透かし
+ *
+ *   バンパー — HTMLテンプレートの {{courseName}} {{title}} {{topic}} {{nextTitle}} {{nextTopic}} を
+ *              置換してスライドと同じ Playwright コンテキストでキャプチャする。
+ *              音声（なければ無音）を本編音声の前後に連結し、動画の尺と字幕をその分ずらす。
+ *   透かし   — ロゴ画像を指定の隅に不透明度付きで重ねる（バンパー区間を除く）
+ */
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { execAsync } = require('./job_pool');
+const { hasCommand } = require('./commands');
+
+// ── 定数 ──────────────────────────────────────────
+const BUMPER_DEFAULT_SEC = { intro: 3, outro: 5 };
+const WATERMARK_DEFAULTS = { position: 'top-right', opacity: 0.6, size: 0.1, margin: 0.03 }; // size / margin は出力幅比
+const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const SAMPLE_RATE = 48000;
+
+// ── テンプレート ───────────────────────────────────
+
+/**
+ * スライド資料のタイトルを抽出（"タイトル | 研修名" 形式はタイトル部分）
+ * HTML は <title>、PDF は文書情報の Title（poppler の pdfinfo がなければ null）
+ */
+function extractTitle(deckPath) {
+  if (!deckPath || !fs.existsSync(deckPath)) return null;
+  const ext = path.extname(deckPath).toLowerCase();
+  let title = null;
+  if (ext === '.pdf') {
+    title = pdfTitle(deckPath);
+  } else if (ext === '.html') {
+    const match = fs.readFileSync(deckPath, 'utf8').match(/<title>(.*?)<\/title>/i);
+    title = match ? match[1] : null;
+  }
+  return title ? title.split('|')[0].trim() || null : null;
+}
+
+/** PDF の文書情報の Title */
+function pdfTitle(pdfPath) {
+  if (!hasCommand('pdfinfo')) return null;
+  try {
+    const info = execSync(`pdfinfo -enc UTF-8 "${pdfPath}"`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+    const match = info.match(/^Title:\s*(.*)$/m);
+    return match ? match[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+/** HTML用エスケープ */
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+  ));
+}
+
+/** {{key}} を値で置換（未定義のキーは空文字） */
+function fillTemplate(html, vars) {
+  return html.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => escapeHtml(vars[key] ?? ''));
+}
+
+/**
+ * バンパーテンプレートをキャプチャ
+ * テンプレートを開いてから置換済みHTMLを流し込むため、相対パスの画像・CSSはテンプレート基準で解決される
+ *
+ * @param {import('playwright').BrowserContext} context - スライドキャプチャと同じコンテキスト
+ * @param {string} templatePath - テンプレートHTML
+ * @param {Object} vars - 置換変数
+ * @param {string|null} outPath - 出力PNG（null ならファイルに書かない）
+ * @param {number} waitMs - フォント・アニメーション待機
+ * @returns {Promise<Buffer>} PNG
+ */
+async function renderBumper(context, templatePath, vars, outPath, waitMs) {
+  const page = await context.newPage();
+  try {
+    await page.goto(`file://${templatePath}`, { waitUntil: 'load' });
+    await page.setContent(fillTemplate(fs.readFileSync(templatePath, 'utf8'), vars), { waitUntil: 'networkidle' });
+    await page.waitForTimeout(waitMs);
+    return await page.screenshot(outPath ? { path: outPath, type: 'png' } : { type: 'png' });
+  } finally {
+    await page.close();
+  }
+}
+
+// ── 音声 ──────────────────────────────────────────
+
+/**
+ * バンパーの表示秒数
+ * 音声があれば音声の長さ（duration 指定がそれより長ければ無音で延長）、なければ duration
+ */
+function bumperDuration(name, bumper, getAudioDuration) {
+  const configured = bumper.duration ?? (bumper.audio ? 0 : BUMPER_DEFAULT_SEC[name]);
+  return bumper.audio ? Math.max(getAudioDuration(bumper.audio), configured) : configured;
+}
+
+/**
+ * [イントロ音声 | 本編音声 | アウトロ音声] を連結した WAV を書き出す
+ * バンパーは音声ファイル（表示秒数まで無音で延長）または無音
+ *
+ * @param {string} outPath - 出力 WAV
+ * @param {string} mainAudio - 本編音声
+ * @param {{audio?: string, duration: number}|null} intro
+ * @param {{audio?: string, duration: number}|null} outro
+ */
+async function buildBumperAudio(outPath, mainAudio, intro, outro) {
+  const inputs = [];
+  const chains = [];
+  const labels = [];
+  const format = `aresample=${SAMPLE_RATE},aformat=sample_fmts=s16:channel_layouts=stereo`;
+
+  const addPart = (part, isMain) => {
+    const n = inputs.length;
+    if (isMain) {
+      inputs.push(`-i "${mainAudio}"`);
+      chains.push(`[${n}:a]${format}[a${n}]`);
+    } else if (part.audio) {
+      inputs.push(`-i "${part.audio}"`);
+      chains.push(`[${n}:a]${format},apad,atrim=0:${part.duration.toFixed(4)}[a${n}]`);
+    } else {
+      inputs.push(`-f lavfi -t ${part.duration.toFixed(4)} -i anullsrc=r=${SAMPLE_RATE}:cl=stereo`);
+      chains.push(`[${n}:a]${format}[a${n}]`);
+    }
+    labels.push(`[a${n}]`);
+  };
+  if (intro) addPart(intro, false);
+  addPart(null, true);
+  if (outro) addPart(outro, false);
+
+  const filter = `${chains.join(';')};${labels.join('')}concat=n=${labels.length}:v=0:a=1[aout]`;
+  try {
+    await execAsync(
+      `ffmpeg -y -hide_banner -nostats ${inputs.join(' ')} -filter_complex "${filter}" -map "[aout]" -c:a pcm_s16le "${outPath}"`,
+      { timeout: 300000 }
+    );
+  } catch (err) {
+    throw new Error(`bumper audio failed: ${err.stderr?.toString().split('\n').slice(-3).join('\n')}`);
+  }
+}
+
+// ── 透かし ─────────────────────────────────────────
+
+/**
+ * ロゴ透かしのフィルタチェーン
+ *
+ * @param {Object} watermark - 設定（image, position, opacity, size, margin）
+ * @param {{width: number}} preset - 出力プリセット
+ * @param {number} input - ロゴ画像の入力インデックス
+ * @param {string} inLabel - 重ねる映像のラベル
+ * @param {string} outLabel - 出力ラベル
+ * @param {{from: number, to: number}} range - 表示区間（秒）
+ * @returns {string[]} -filter_complex のチェーン
+ */
+function watermarkChains(watermark, preset, input, inLabel, outLabel, range) {
+  const wm = { ...WATERMARK_DEFAULTS, ...watermark };
+  if (!WATERMARK_POSITIONS.includes(wm.position)) {
+    throw new Error(`Unknown watermark position: ${wm.position} (${WATERMARK_POSITIONS.join(' / ')})`);
+  }
+  const width = Math.round(preset.width * wm.size);
+  const margin = Math.round(preset.width * wm.margin);
+  const x = wm.position.endsWith('left') ? `${margin}` : `W-w-${margin}`;
+  const y = wm.position.startsWith('top') ? `${margin}` : `H-h-${margin}`;
+  return [
+    `[${input}:v]scale=${width}:-1:flags=lanczos,format=rgba,colorchannelmixer=aa=${wm.opacity}[wm]`,
+    `[${inLabel}][wm]overlay=x=${x}:y=${y}:enable='between(t,${range.from.toFixed(4)},${range.to.toFixed(4)})'[${outLabel}]`,
+  ];
+}
+
+module.exports = {
+  BUMPER_DEFAULT_SEC, WATERMARK_POSITIONS,
+  extractTitle, escapeHtml, fillTemplate, renderBumper, bumperDuration, buildBumperAudio, watermarkChains,
+};
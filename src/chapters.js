@@ -0,0 +1,110 @@
+/**
+ * chapters.js
+ *
+ * 動画コンテナに埋め込むチャプターとメタデータ（ffmetadata 形式）
+ *
+ *   チャプター — スライドごと（見出しが同じ連続スライドは1つにまとめる）。
+ *                タイトルはスライドの見出し（h1〜h3）、なければ台本の最初の1文
+ *   タグ       — title（<title>）/ artist・album（研修名）/ comment（台本冒頭の要約）
+ *
+ * ffmpeg には -i metadata.txt -map_metadata N -map_chapters N で渡す（mp4 / webm 共通）。
+ */
+
+const fs = require('fs');
+const { splitSentences } = require('./script_markers');
+
+// ── 定数 ──────────────────────────────────────────
+const MAX_TITLE_CHARS = 40;
+const MAX_COMMENT_SENTENCES = 4;
+const BUMPER_TITLES = { intro: 'イントロ', outro: 'アウトロ' };
+
+/** 長すぎるタイトルを切り詰め */
+function truncate(text, max) {
+  return text.length > max ? `${text.substring(0, max)}...` : text;
+}
+
+/** 台本セグメントの最初の1文 */
+function firstSentence(segment) {
+  return splitSentences(segment.trim())[0].replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * スライドごとのチャプタータイトル
+ * @param {Array<string|null>|null} headings - キャプチャ時に取得したスライドの見出し
+ * @param {string[]} segments - 台本セグメント（見出しがないスライドの代替）
+ * @param {number} [maxChars] - タイトルの最大文字数（台本の言語の1行の長さ）
+ * @returns {string[]}
+ */
+function slideTitles(headings, segments, maxChars = MAX_TITLE_CHARS) {
+  return segments.map((seg, i) => {
+    const title = (headings && headings[i]) || firstSentence(seg) || `スライド ${i + 1}`;
+    return truncate(title, maxChars);
+  });
+}
+
+/**
+ * チャプター一覧を組み立てる（見出しが同じ連続スライドはまとめる）
+ *
+ * @param {Object} options
+ * @param {number[]} options.starts - スライドの開始秒数（動画先頭から）
+ * @param {string[]} options.titles - スライドのタイトル
+ * @param {number} options.introSec - イントロの秒数（0 ならチャプターなし）
+ * @param {number} options.outroSec - アウトロの秒数（0 ならチャプターなし）
+ * @param {number} options.duration - 動画の長さ（秒）
+ * @returns {Array<{title: string, start: number, end: number}>}
+ */
+function buildChapters({ starts, titles, introSec = 0, outroSec = 0, duration }) {
+  const chapters = [];
+  if (introSec > 0) chapters.push({ title: BUMPER_TITLES.intro, start: 0 });
+  titles.forEach((title, i) => {
+    if (i > 0 && chapters[chapters.length - 1].title === title) return;
+    chapters.push({ title, start: starts[i] });
+  });
+  if (outroSec > 0) chapters.push({ title: BUMPER_TITLES.outro, start: duration - outroSec });
+  return chapters.map((c, i) => ({ ...c, end: i + 1 < chapters.length ? chapters[i + 1].start : duration }));
+}
+
+/** 台本冒頭の数文（comment タグ用） */
+function summarize(segments) {
+  const sentences = splitSentences((segments[0] || '').trim());
+  return sentences.slice(0, MAX_COMMENT_SENTENCES).join('').replace(/\s+/g, ' ').trim();
+}
+
+// ── ffmetadata ─────────────────────────────────────
+
+/** ffmetadata の値のエスケープ（= ; # \ 改行） */
+function escapeMetadata(value) {
+  return String(value).replace(/[=;#\\\n]/g, c => `\\${c}`);
+}
+
+/**
+ * ffmetadata 形式の文字列
+ * @param {{tags: Object<string, string>, chapters: Array<{title: string, start: number, end: number}>}} metadata
+ */
+function formatFfmetadata({ tags, chapters }) {
+  const lines = [';FFMETADATA1'];
+  for (const [key, value] of Object.entries(tags)) {
+    if (value) lines.push(`${key}=${escapeMetadata(value)}`);
+  }
+  for (const c of chapters) {
+    lines.push(
+      '',
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(c.start * 1000)}`,
+      `END=${Math.round(c.end * 1000)}`,
+      `title=${escapeMetadata(c.title)}`,
+    );
+  }
+  return lines.join('\n') + '\n';
+}
+
+/** ffmetadata ファイルを書き出す */
+function writeFfmetadata(outPath, metadata) {
+  fs.writeFileSync(outPath, formatFfmetadata(metadata), 'utf8');
+  return outPath;
+}
+
+module.exports = {
+  slideTitles, buildChapters, summarize, formatFfmetadata, writeFfmetadata,
+};
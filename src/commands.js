@@ -0,0 +1,19 @@
+/**
+ * commands.js
+ *
+ * 外部コマンド（ffmpeg / whisper / pdftoppm / TTS など）の有無の確認
+ */
+
+const { execSync } = require('child_process');
+
+/** コマンドが PATH 上に存在するか */
+function hasCommand(cmd) {
+  try {
+    execSync(`command -v ${cmd}`, { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { hasCommand };
@@ -0,0 +1,74 @@
+/**
+ * draft.js
+ *
+ * ナレーション未収録のトピックの下書き動画（--draft）
+ *
+ *   タイミング — 台本の文字数 ÷ 話速（文字/秒、省略時は台本の言語ごとの値）でスライドごとの表示秒数を推定
+ *   音声       — 無音（silence）または小さな音量の持続音（tone）
+ *   表示       — キャプチャ時に全スライドの右上へ「下書き」バッジを重ね、出力は <baseName>.draft.* に分ける
+ *
+ * 台本を字幕として焼き込むには --burn-subtitles を併用する。
+ */
+
+const { execAsync } = require('./job_pool');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./script_markers');
+
+// ── 定数 ──────────────────────────────────────────
+const DEFAULT_SPEECH_RATE = LANGUAGES[DEFAULT_LANGUAGE].charsPerSec; // 日本語の話速（文字/秒）
+const MIN_DRAFT_SLIDE_SEC = 2; // 推定秒数の下限
+const DRAFT_AUDIO = ['silence', 'tone'];
+const DEFAULT_DRAFT_AUDIO = 'silence';
+const DRAFT_SUFFIX = '.draft';
+const DRAFT_LABEL = '下書き（音声未収録）';
+const TONE = { frequency: 440, volume: 0.05 };
+const SAMPLE_RATE = 48000;
+
+/**
+ * 文字数から表示秒数を推定
+ * @param {number[]} charCounts - セグメントごとの文字数
+ * @param {number} speechRate - 話速（文字/秒）
+ * @returns {number[]}
+ */
+function estimateTimings(charCounts, speechRate = DEFAULT_SPEECH_RATE) {
+  return charCounts.map(c => Math.max(c / speechRate, MIN_DRAFT_SLIDE_SEC));
+}
+
+/**
+ * 下書き用の音声トラック（WAV）を作る
+ * @param {string} outPath - 出力 WAV
+ * @param {number} duration - 長さ（秒）
+ * @param {'silence'|'tone'} kind
+ */
+async function buildDraftAudio(outPath, duration, kind = DEFAULT_DRAFT_AUDIO) {
+  const source = kind === 'tone'
+    ? `sine=frequency=${TONE.frequency}:sample_rate=${SAMPLE_RATE},volume=${TONE.volume},aformat=channel_layouts=stereo`
+    : `anullsrc=r=${SAMPLE_RATE}:cl=stereo`;
+  try {
+    await execAsync(
+      `ffmpeg -y -hide_banner -nostats -f lavfi -i "${source}" -t ${duration.toFixed(4)} -c:a pcm_s16le "${outPath}"`,
+      { timeout: 120000 }
+    );
+  } catch (err) {
+    throw new Error(`draft audio failed: ${err.stderr?.toString().split('\n').slice(-3).join('\n')}`);
+  }
+  return outPath;
+}
+
+/** キャプチャするページに「下書き」バッジを重ねる（スライドを切り替えても残る） */
+async function addDraftBadge(page, label = DRAFT_LABEL) {
+  await page.evaluate((text) => {
+    const badge = document.createElement('div');
+    badge.textContent = text;
+    badge.setAttribute('style', [
+      'position: fixed', 'top: 24px', 'right: 24px', 'z-index: 2147483647',
+      'padding: 8px 20px', 'border-radius: 6px', 'background: rgba(198, 40, 40, 0.9)', 'color: #fff',
+      'font: bold 28px sans-serif', 'letter-spacing: 0.1em', 'pointer-events: none',
+    ].join(';'));
+    document.body.appendChild(badge);
+  }, label);
+}
+
+module.exports = {
+  DEFAULT_SPEECH_RATE, DRAFT_AUDIO, DEFAULT_DRAFT_AUDIO, DRAFT_SUFFIX, DRAFT_LABEL,
+  estimateTimings, buildDraftAudio, addDraftBadge,
+};
@@ -0,0 +1,116 @@
+/**
+ * job_pool.js
+ *
+ * トピックの並列生成（--jobs）のための並列実行ユーティリティ
+ *
+ *   runPool        — 最大 N 件を同時に処理するワーカープール
+ *   execAsync      — 外部プロセス（ffmpeg / whisper）の非同期実行。同時実行数は setProcessLimit() で制限
+ *   withLogPrefix  — ワーカー内の console.log / console.error の各行にトピック名を付ける
+ */
+
+const { exec } = require('child_process');
+const { AsyncLocalStorage } = require('async_hooks');
+const util = require('util');
+
+// ── 同時実行数の制限 ───────────────────────────────
+
+/**
+ * 同時実行数を制限する関数を作る
+ * @returns {(fn: () => Promise<any>) => Promise<any>}
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve().then(fn).then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return fn => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * items を最大 concurrency 件ずつ worker で処理（結果は items と同じ順）
+ * @returns {Promise<any[]>}
+ */
+async function runPool(items, concurrency, worker) {
+  const limit = createLimiter(Math.max(1, concurrency));
+  return Promise.all(items.map((item, i) => limit(() => worker(item, i))));
+}
+
+// ── 外部プロセス ───────────────────────────────────
+
+let processLimit = createLimiter(1);
+
+/** execAsync の同時実行数を設定（キャプチャとは別枠） */
+function setProcessLimit(concurrency) {
+  processLimit = createLimiter(Math.max(1, concurrency));
+}
+
+/**
+ * シェルコマンドを非同期で実行して stdout を返す
+ * 失敗時のエラーは execSync と同様に stdout / stderr を持つ
+ *
+ * @param {string} cmd
+ * @param {{timeout?: number, maxBuffer?: number, input?: Buffer|string}} [options] - input は stdin に書き込む
+ * @returns {Promise<string>}
+ */
+function execAsync(cmd, { timeout = 0, maxBuffer = 64 * 1024 * 1024, input } = {}) {
+  return processLimit(() => new Promise((resolve, reject) => {
+    const child = exec(cmd, { encoding: 'utf8', timeout, maxBuffer }, (err, stdout, stderr) => {
+      if (err) {
+        err.stdout = stdout;
+        err.stderr = stderr;
+        reject(err);
+      } else {
+        resolve(stdout);
+      }
+    });
+    if (input !== undefined) {
+      child.stdin.on('error', () => {}); // 途中で終了したプロセスへの書き込みエラーは exec 側で扱う
+      child.stdin.end(input);
+    }
+  }));
+}
+
+// ── ログ ──────────────────────────────────────────
+
+const logContext = new AsyncLocalStorage();
+let consolePatched = false;
+
+/** console.log / console.error をプレフィックス対応にする（並列実行時に一度だけ呼ぶ） */
+function installLogPrefix() {
+  if (consolePatched) return;
+  consolePatched = true;
+  for (const method of ['log', 'error']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      const prefix = logContext.getStore();
+      if (!prefix) return original(...args);
+      const text = args.map(a => (typeof a === 'string' ? a : util.inspect(a))).join(' ');
+      original(text.split('\n').filter(line => line.trim()).map(line => `${prefix}${line}`).join('\n'));
+    };
+  }
+}
+
+/** fn 内のログにプレフィックスを付けて実行 */
+function withLogPrefix(prefix, fn) {
+  return logContext.run(prefix, fn);
+}
+
+/** 現在のログプレフィックス（並列実行中でなければ undefined） */
+function logPrefix() {
+  return logContext.getStore();
+}
+
+module.exports = {
+  createLimiter, runPool, setProcessLimit, execAsync,
+  installLogPrefix, withLogPrefix, logPrefix,
+};
@@ -0,0 +1,498 @@
+#!/usr/bin/env node
+/**
+ * marker_detector.js
+ *
+ * 音声中のスライド境界マーカー（「次のスライドに進んでください。」など、script_markers.js）の
+ * タイムスタンプを検出するプロバイダ群
+ *
+ * プロバイダ（デフォルトの試行順）:
+ *   transcript — 事前に用意した文字起こしJSON（<baseName>.transcript.json）を読む
+ *   whisper    — ローカルの Whisper で文字起こし（whisper CLI → Python の whisper モジュール → whisper.cpp の順）
+ *   silence    — ffmpeg silencedetect で文字数比率の境界を近くの無音区間にスナップ
+ *
+ * 各プロバイダは { name, isAvailable(ctx), detect(ctx) } を実装し、
+ * detect() は { timestamps, words, confidence } または null を返す（Promise も可）。
+ *
+ * 発話しない区切り行（script.delimiter）の遷移は transcript / whisper では検出できず、
+ * silence のみが全遷移を対象にする（結果の allBoundaries: true）。
+ * silence の結果はマーカーの発話位置ではなく無音にスナップした推定境界（結果の snapped: true）。
+ *
+ * Usage（単体実行・合成音声での動作確認用）:
+ *   node src/marker_detector.js <audio> [--txt script.txt] [--provider silence] [--transcript x.json] [--language en] [--words]
+ *
+ *   --words 指定時は単語タイムスタンプも出力する（そのまま <baseName>.transcript.json として保存できる形式）:
+ *   {"provider": "whisper", "confidence": 1, "transitions": [...], "words": [{"word": "...", "start": 0.0, "end": 0.4}, ...]}
+ */
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execAsync } = require('./job_pool');
+const { hasCommand } = require('./commands');
+const {
+  LANGUAGES, DEFAULT_SCRIPT, scriptSpec, splitScript, segmentCharCounts, normalizeSpoken, markerPatterns,
+} = require('./script_markers');
+
+// ── 定数 ──────────────────────────────────────────
+const MARKER_LOOKBACK_WORDS = 8;     // 末尾語から遡って特異語を探す単語数
+const WHISPER_MODEL = 'small';
+const WHISPER_TIMEOUT_MS = 600000;
+const SILENCE_NOISE_DB = -35;        // silencedetect の無音判定レベル
+const SILENCE_MIN_SEC = 0.3;         // silencedetect の最小無音長
+const SILENCE_SNAP_WINDOW_SEC = 5;   // 期待境界からこの範囲内の無音のみ採用
+const MIN_BOUNDARY_GAP_SEC = 0.5;    // スナップ後の境界の最小間隔
+const DEFAULT_PROVIDERS = ['transcript', 'whisper', 'silence'];
+
+// ── ユーティリティ ─────────────────────────────────
+
+/**
+ * 期待される遷移点の時刻（文字数比率）
+ * @param {number[]} charCounts - script_markers.js の segmentCharCounts()（マーカー長を含む）
+ */
+function expectedBoundaries(charCounts, totalDuration) {
+  const totalChars = charCounts.reduce((a, b) => a + b, 0);
+  const boundaries = [];
+  let cum = 0;
+  for (let i = 0; i < charCounts.length - 1; i++) {
+    cum += charCounts[i];
+    boundaries.push(totalChars > 0 ? (cum / totalChars) * totalDuration : 0);
+  }
+  return boundaries;
+}
+
+/** 検出数と期待数の一致度（0〜1） */
+function countAgreement(found, expected) {
+  if (!expected) return found === 0 ? 1 : 0;
+  return Math.min(found, expected) / Math.max(found, expected);
+}
+
+/**
+ * 単語タイムスタンプ列からマーカー発話の終了時刻を抽出
+ *
+ * Whisperはサブワード単位でトークン化する（例: "ス" "ライ" "ド"）ため、
+ * 個別トークンではなく、先行トークンの結合テキストでマーカーを判定する。
+ * また「進んで」が「するんで」等に誤認識される場合があるため、
+ * 末尾語と特異語（「スライド」など、十分に特異的な単語）の存在のみで判定する。
+ *
+ * @param {Array} words - 単語タイムスタンプ
+ * @param {Object} [script] - script_markers.js の scriptSpec()
+ * @returns {{timestamps: number[], probabilities: number[]}}
+ */
+function findMarkersInWords(words, script = DEFAULT_SCRIPT) {
+  const patterns = markerPatterns(script);
+  const timestamps = [];
+  const probabilities = [];
+  let lastMatch = -1;
+
+  for (let i = 0; i < words.length; i++) {
+    const from = Math.max(lastMatch + 1, i - MARKER_LOOKBACK_WORDS);
+    const current = normalizeSpoken(words[i].word);
+    const joined = normalizeSpoken(words.slice(from, i + 1).map(w => w.word).join(''));
+    // 末尾語がトークンに含まれるか、サブワードに分かれていれば結合テキストの末尾に来る
+    const matched = patterns.some(p =>
+      (current.includes(p.tail) || joined.endsWith(p.tail)) && joined.includes(p.keyword));
+    if (!matched) continue;
+
+    timestamps.push(Math.round(words[i].end * 100) / 100);
+    if (typeof words[i].probability === 'number') probabilities.push(words[i].probability);
+    lastMatch = i;
+  }
+
+  return { timestamps, probabilities };
+}
+
+/** マーカー検出結果の信頼度（件数一致度 × 認識確率の平均） */
+function markerConfidence(found, expected, probabilities) {
+  const prob = probabilities.length > 0
+    ? probabilities.reduce((a, b) => a + b, 0) / probabilities.length
+    : 1;
+  return countAgreement(found, expected) * prob;
+}
+
+/**
+ * 各種文字起こしJSONを単語タイムスタンプ配列に正規化
+ * 対応形式: openai-whisper（segments[].words）, whisper.cpp（transcription[]）, { words: [...] }
+ */
+function normalizeTranscriptWords(data) {
+  if (Array.isArray(data.words)) {
+    return data.words.map(w => ({ word: w.word ?? w.text, start: w.start, end: w.end, probability: w.probability }));
+  }
+  if (Array.isArray(data.segments)) {
+    return data.segments.flatMap(seg => (seg.words || []).map(w => ({
+      word: w.word, start: w.start, end: w.end, probability: w.probability,
+    })));
+  }
+  if (Array.isArray(data.transcription)) {
+    // whisper.cpp: offsets はミリ秒
+    return data.transcription.map(t => ({
+      word: t.text, start: t.offsets.from / 1000, end: t.offsets.to / 1000,
+    }));
+  }
+  return [];
+}
+
+// ── プロバイダ: transcript ──────────────────────────
+
+const transcriptProvider = {
+  name: 'transcript',
+
+  isAvailable({ transcriptPath }) {
+    return Boolean(transcriptPath) && fs.existsSync(transcriptPath);
+  },
+
+  /**
+   * 事前計算済みJSONを読む。遷移点の配列（旧 detect_markers.py 出力）、
+   * { transitions, words }、または Whisper 形式の文字起こしを受け付ける
+   */
+  detect({ transcriptPath, expected, script }) {
+    const data = JSON.parse(fs.readFileSync(transcriptPath, 'utf8'));
+
+    if (Array.isArray(data) || Array.isArray(data.transitions)) {
+      const timestamps = Array.isArray(data) ? data : data.transitions;
+      const words = Array.isArray(data.words) ? normalizeTranscriptWords(data) : [];
+      return { timestamps, words, confidence: countAgreement(timestamps.length, expected) };
+    }
+
+    const words = normalizeTranscriptWords(data);
+    if (words.length === 0) return null;
+    const { timestamps, probabilities } = findMarkersInWords(words, script);
+    return { timestamps, words, confidence: markerConfidence(timestamps.length, expected, probabilities) };
+  },
+};
+
+// ── プロバイダ: whisper ─────────────────────────────
+
+/** whisper.cpp の実行ファイル名（見つからなければ null） */
+function findWhisperCpp() {
+  return ['whisper-cli', 'whisper-cpp'].find(hasCommand) || null;
+}
+
+/** whisper モジュールを import できる Python（WHISPER_PYTHON、既定 python3） */
+function whisperPython() {
+  return process.env.WHISPER_PYTHON || 'python3';
+}
+
+/** Python から whisper モジュールを使えるか（読み込みは重いので find_spec で確認のみ） */
+function hasWhisperModule() {
+  try {
+    execSync(`${whisperPython()} -c "import importlib.util, sys; sys.exit(importlib.util.find_spec('whisper') is None)"`,
+      { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// 旧 detect_markers.py と同じく whisper モジュールで文字起こしし、単語タイムスタンプを JSON に書き出す
+const WHISPER_PYTHON_SCRIPT = `import json, sys
+import whisper
+model_name, audio_path, language, out_path = sys.argv[1:5]
+model = whisper.load_model(model_name)
+result = model.transcribe(audio_path, language=language, word_timestamps=True)
+with open(out_path, 'w', encoding='utf-8') as f:
+    json.dump({'segments': [{'text': s['text'], 'words': s.get('words', [])} for s in result['segments']]}, f, ensure_ascii=False)
+`;
+
+/** openai-whisper CLI で単語タイムスタンプ付き文字起こし */
+async function transcribeWithWhisperCli(audioPath, outDir, model, language) {
+  await execAsync(
+    `whisper "${audioPath}" --model ${model} --language ${language} --word_timestamps True ` +
+    `--output_format json --output_dir "${outDir}"`,
+    { timeout: WHISPER_TIMEOUT_MS }
+  );
+  const jsonPath = path.join(outDir, `${path.parse(audioPath).name}.json`);
+  return normalizeTranscriptWords(JSON.parse(fs.readFileSync(jsonPath, 'utf8')));
+}
+
+/** Python の whisper モジュールで単語タイムスタンプ付き文字起こし（CLI が PATH にない環境向け） */
+async function transcribeWithWhisperPython(audioPath, outDir, model, language) {
+  const scriptPath = path.join(outDir, 'transcribe.py');
+  const jsonPath = path.join(outDir, 'transcript.json');
+  fs.writeFileSync(scriptPath, WHISPER_PYTHON_SCRIPT);
+  await execAsync(
+    `${whisperPython()} "${scriptPath}" ${model} "${audioPath}" ${language} "${jsonPath}"`,
+    { timeout: WHISPER_TIMEOUT_MS }
+  );
+  return normalizeTranscriptWords(JSON.parse(fs.readFileSync(jsonPath, 'utf8')));
+}
+
+/** whisper.cpp で単語単位の文字起こし（16kHz WAV に変換してから実行） */
+async function transcribeWithWhisperCpp(bin, audioPath, outDir, modelPath, language) {
+  const wavPath = path.join(outDir, 'input.wav');
+  await execAsync(
+    `ffmpeg -y -i "${audioPath}" -ar 16000 -ac 1 -c:a pcm_s16le "${wavPath}"`,
+    { timeout: WHISPER_TIMEOUT_MS }
+  );
+  const outBase = path.join(outDir, 'transcript');
+  await execAsync(
+    `${bin} -m "${modelPath}" -l ${language} -ml 1 -sow -oj -of "${outBase}" -f "${wavPath}"`,
+    { timeout: WHISPER_TIMEOUT_MS }
+  );
+  return normalizeTranscriptWords(JSON.parse(fs.readFileSync(`${outBase}.json`, 'utf8')));
+}
+
+const whisperProvider = {
+  name: 'whisper',
+
+  isAvailable() {
+    return hasCommand('whisper') || hasWhisperModule() || (Boolean(process.env.WHISPER_CPP_MODEL) && findWhisperCpp() !== null);
+  },
+
+  async detect({ audioPath, expected, script, whisperModel = process.env.WHISPER_MODEL || WHISPER_MODEL }) {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'marker-whisper-'));
+    try {
+      let words;
+      if (hasCommand('whisper')) {
+        words = await transcribeWithWhisperCli(audioPath, outDir, whisperModel, script.language);
+      } else if (hasWhisperModule()) {
+        words = await transcribeWithWhisperPython(audioPath, outDir, whisperModel, script.language);
+      } else {
+        words = await transcribeWithWhisperCpp(findWhisperCpp(), audioPath, outDir, process.env.WHISPER_CPP_MODEL, script.language);
+      }
+      if (words.length === 0) return null;
+      const { timestamps, probabilities } = findMarkersInWords(words, script);
+      return { timestamps, words, confidence: markerConfidence(timestamps.length, expected, probabilities) };
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  },
+};
+
+// ── プロバイダ: silence ─────────────────────────────
+
+/** ffmpeg silencedetect の出力をパース */
+function parseSilenceDetect(output) {
+  const silences = [];
+  let start = null;
+  for (const line of output.split('\n')) {
+    const s = line.match(/silence_start:\s*(-?[\d.]+)/);
+    if (s) {
+      start = Math.max(parseFloat(s[1]), 0);
+      continue;
+    }
+    const e = line.match(/silence_end:\s*([\d.]+)/);
+    if (e && start !== null) {
+      silences.push({ start, end: parseFloat(e[1]) });
+      start = null;
+    }
+  }
+  return silences;
+}
+
+/**
+ * ffmpeg silencedetect で無音区間を検出
+ * @returns {Promise<Array<{start: number, end: number}>>}
+ */
+async function detectSilences(audioPath, { noiseDb = SILENCE_NOISE_DB, minSec = SILENCE_MIN_SEC } = {}) {
+  const out = await execAsync(
+    `ffmpeg -hide_banner -nostats -i "${audioPath}" -af silencedetect=noise=${noiseDb}dB:d=${minSec} -f null - 2>&1`,
+    { timeout: WHISPER_TIMEOUT_MS }
+  );
+  return parseSilenceDetect(out);
+}
+
+/**
+ * 境界を順序を保ったまま近くの無音区間の中央にスナップする（video_generator の無音スナップも使用）
+ *
+ * 先頭・末尾の境界（音声の開始・終了）は動かさない。各境界は前後の境界から minGap 以上離れた範囲でのみ動かし、
+ * 無音の中央が範囲外なら無音区間内で範囲に寄せる。window 内に使える無音がない境界と
+ * movable(i) が false の境界は元の位置のまま。
+ *
+ * @param {number[]} boundaries - 昇順の境界（秒）。先頭は音声開始、末尾は音声終了
+ * @param {Array<{start: number, end: number}>} silences - 無音区間
+ * @param {number} [window] - 境界から探索する範囲（±秒）
+ * @param {Object} [options]
+ * @param {number} [options.minGap] - スナップ後の境界の最小間隔（秒）
+ * @param {(i: number) => boolean} [options.movable] - 境界 i を動かしてよいか
+ * @returns {{boundaries: number[], snapped: boolean[], confidence: number}}
+ *   confidence は動かせる境界の近さ（1 - 距離 / window、スナップできなければ 0）の平均
+ */
+function snapBoundariesToSilences(boundaries, silences, window = SILENCE_SNAP_WINDOW_SEC, {
+  minGap = MIN_BOUNDARY_GAP_SEC, movable = () => true,
+} = {}) {
+  const result = [...boundaries];
+  const snapped = boundaries.map(() => false);
+  let closeness = 0;
+  let candidates = 0;
+
+  for (let i = 1; i < boundaries.length - 1; i++) {
+    if (!movable(i)) continue;
+    candidates++;
+    const t = boundaries[i];
+    const lo = result[i - 1] + minGap;
+    const hi = boundaries[i + 1] - minGap;
+    if (lo > hi) continue;
+
+    let best = null;
+    let bestDist = Infinity;
+    for (const sil of silences) {
+      if (sil.end < t - window || sil.start > t + window) continue;
+      const mid = Math.min(Math.max((sil.start + sil.end) / 2, lo), hi);
+      if (mid < sil.start || mid > sil.end) continue;
+      const dist = Math.abs(mid - t);
+      if (dist <= window && dist < bestDist) {
+        bestDist = dist;
+        best = mid;
+      }
+    }
+    if (best === null) continue;
+
+    result[i] = best;
+    snapped[i] = true;
+    closeness += 1 - bestDist / window;
+  }
+
+  return { boundaries: result, snapped, confidence: candidates > 0 ? closeness / candidates : 0 };
+}
+
+const silenceProvider = {
+  name: 'silence',
+
+  isAvailable({ segments, boundaries }) {
+    return hasCommand('ffmpeg') && Array.isArray(segments) && segments.length > 1 && Array.isArray(boundaries);
+  },
+
+  /** 区切り行の遷移も含めた全遷移を対象にする */
+  async detect({ audioPath, segments, boundaries, totalDuration, silenceWindow = SILENCE_SNAP_WINDOW_SEC }) {
+    const silences = await detectSilences(audioPath);
+    if (silences.length === 0) return null;
+    const expected = expectedBoundaries(segmentCharCounts({ segments, boundaries }), totalDuration);
+    const snap = snapBoundariesToSilences([0, ...expected, totalDuration], silences, silenceWindow);
+    // 無音が見つからなかった境界は返さない（後段のハイブリッド補間に任せる）
+    const timestamps = snap.boundaries.slice(1, -1)
+      .filter((_, i) => snap.snapped[i + 1])
+      .map(t => Math.round(t * 100) / 100);
+    return { timestamps, words: [], confidence: snap.confidence, allBoundaries: true, snapped: true };
+  },
+};
+
+// ── プロバイダ選択 ─────────────────────────────────
+
+const PROVIDERS = {
+  transcript: transcriptProvider,
+  whisper: whisperProvider,
+  silence: silenceProvider,
+};
+
+/**
+ * 利用可能なプロバイダを順に試し、最初にマーカーを検出できた結果を返す
+ *
+ * @param {string} audioPath - 音声ファイルのパス
+ * @param {Object} options
+ * @param {string[]} [options.providers] - 試行するプロバイダ名（順序どおり）
+ * @param {Object} [options.script] - script_markers.js の scriptSpec()（マーカー文言・言語）
+ * @param {string[]} [options.segments] - splitScript() のセグメント
+ * @param {Array<{text: string, spoken: boolean}>} [options.boundaries] - splitScript() の区切り
+ * @param {number} [options.totalDuration] - 音声の再生秒数
+ * @param {string} [options.transcriptPath] - 事前計算済み文字起こしJSONのパス
+ * @param {(msg: string) => void} [options.log] - 進捗ログ出力
+ * @returns {Promise<{provider: string, confidence: number, timestamps: number[], words: Array,
+ *   allBoundaries?: boolean, snapped?: boolean} | null>} allBoundaries が true なら区切り行を含む全遷移、
+ *   それ以外は発話マーカーのみ。snapped が true なら無音にスナップした推定境界
+ */
+async function detectMarkers(audioPath, { providers = DEFAULT_PROVIDERS, log = () => {}, script = DEFAULT_SCRIPT, ...rest } = {}) {
+  const ctx = { audioPath, script, ...rest };
+  ctx.expected = ctx.boundaries ? ctx.boundaries.filter(b => b.spoken).length : undefined;
+
+  for (const name of providers) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      log(`⚠️  Unknown marker provider: ${name}`);
+      continue;
+    }
+    if (!provider.isAvailable(ctx)) {
+      log(`${name}: not available`);
+      continue;
+    }
+    try {
+      const result = await provider.detect(ctx);
+      if (result && result.timestamps.length > 0) {
+        return { provider: name, ...result, confidence: Math.round(result.confidence * 100) / 100 };
+      }
+      log(`${name}: no markers detected`);
+    } catch (err) {
+      log(`${name}: failed (${err.message.split('\n')[0]})`);
+    }
+  }
+
+  return null;
+}
+
+// ── CLI エントリポイント ─────────────────────────────
+
+async function main() {
+  const args = process.argv.slice(2);
+  let audioPath = null;
+  let txtPath = null;
+  let transcriptPath = null;
+  let providers = DEFAULT_PROVIDERS;
+  let language = null;
+  let withWords = false;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--txt' && args[i + 1]) {
+      txtPath = args[++i];
+    } else if (args[i] === '--transcript' && args[i + 1]) {
+      transcriptPath = args[++i];
+    } else if (args[i] === '--provider' && args[i + 1]) {
+      providers = args[++i].split(',');
+    } else if (args[i] === '--language' && args[i + 1]) {
+      language = args[++i];
+    } else if (args[i] === '--words') {
+      withWords = true;
+    } else if (!args[i].startsWith('--')) {
+      audioPath = args[i];
+    }
+  }
+
+  if (!audioPath) {
+    console.log('Usage: node src/marker_detector.js <audio> [--txt script.txt] [--provider a,b] [--transcript x.json] [--language ja|en|zh] [--words]');
+    process.exit(1);
+  }
+  if (language && !LANGUAGES[language]) {
+    console.error(`❌ --language must be one of: ${Object.keys(LANGUAGES).join(', ')}`);
+    process.exit(1);
+  }
+
+  const script = scriptSpec(language ? { language } : null);
+  const { segments, boundaries } = txtPath ? splitScript(fs.readFileSync(txtPath, 'utf8'), script) : {};
+  const totalDuration = parseFloat(execSync(
+    `ffprobe -v quiet -show_entries format=duration -of csv=p=0 "${audioPath}"`,
+    { encoding: 'utf8' }
+  ).trim());
+
+  const result = await detectMarkers(audioPath, {
+    providers, script, segments, boundaries, totalDuration, transcriptPath,
+    log: msg => console.error(`  ${msg}`),
+  });
+  if (!result) {
+    console.log(JSON.stringify(null));
+    process.exit(1);
+  }
+  if (withWords) {
+    const { provider, confidence, timestamps, words } = result;
+    console.log(JSON.stringify({ provider, confidence, transitions: timestamps, words }, null, 2));
+  } else {
+    console.log(JSON.stringify({ ...result, words: result.words.length }, null, 2));
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULT_PROVIDERS,
+  PROVIDERS,
+  detectMarkers,
+  detectSilences,
+  parseSilenceDetect,
+  snapBoundariesToSilences,
+  findMarkersInWords,
+  normalizeTranscriptWords,
+  expectedBoundaries,
+};
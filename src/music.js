@@ -0,0 +1,84 @@
+/**
+ * music.js
+ *
+ * BGM をナレーションの下にミックスする（サイドチェインによる自動ダッキング）
+ *
+ * BGM は動画の長さに合わせてループ（または切り詰め）し、音量・フェードを適用してから
+ * ナレーションをサイドチェイン入力とした sidechaincompress で圧縮する。
+ * ナレーション中は BGM が下がり、間やイントロ / アウトロ（無音のバンパー）では元の音量に戻る。
+ */
+
+const { execAsync } = require('./job_pool');
+
+// ── 定数 ──────────────────────────────────────────
+const MUSIC_DEFAULTS = {
+  volume: 0.15,   // BGM の音量（倍率）
+  loop: true,     // 動画より短ければループ
+  fadeIn: 2,      // フェードイン（秒）
+  fadeOut: 3,     // フェードアウト（秒）
+};
+const DUCKING_DEFAULTS = {
+  ratio: 8,         // 圧縮比（大きいほど深く下がる、1〜20）
+  threshold: 0.02,  // ナレーションとみなすレベル（0〜1）
+  attack: 20,       // 下がり始めるまで（ms）
+  release: 600,     // 戻り始めるまで（ms）
+};
+const SAMPLE_RATE = 48000;
+
+/**
+ * BGM ミックスのフィルタグラフ（入力0: ナレーション、入力1: BGM）
+ *
+ * @param {Object} music - 設定（volume, fadeIn, fadeOut, ducking）
+ * @param {number} duration - 動画の長さ（秒）
+ * @returns {string} -filter_complex 用（出力ラベル [aout]）
+ */
+function buildMusicFilter(music, duration) {
+  const m = { ...MUSIC_DEFAULTS, ...music };
+  const format = `aresample=${SAMPLE_RATE},aformat=sample_fmts=fltp:channel_layouts=stereo`;
+  const fadeOut = Math.min(m.fadeOut, duration);
+
+  const bgm = [
+    format,
+    `atrim=0:${duration.toFixed(4)}`,
+    'asetpts=PTS-STARTPTS',
+    `volume=${m.volume}`,
+    m.fadeIn > 0 ? `afade=t=in:st=0:d=${m.fadeIn}` : null,
+    fadeOut > 0 ? `afade=t=out:st=${(duration - fadeOut).toFixed(4)}:d=${fadeOut}` : null,
+  ].filter(Boolean).join(',');
+
+  if (m.ducking === false) {
+    return `[0:a]${format}[voice];[1:a]${bgm}[bgm];[voice][bgm]amix=inputs=2:duration=first:normalize=0[aout]`;
+  }
+
+  const d = { ...DUCKING_DEFAULTS, ...m.ducking };
+  return [
+    `[0:a]${format},asplit=2[voice][sc]`,
+    `[1:a]${bgm}[bgm]`,
+    `[bgm][sc]sidechaincompress=threshold=${d.threshold}:ratio=${d.ratio}:attack=${d.attack}:release=${d.release}[ducked]`,
+    '[voice][ducked]amix=inputs=2:duration=first:normalize=0[aout]',
+  ].join(';');
+}
+
+/**
+ * ナレーション音声に BGM をミックスして WAV に書き出す
+ *
+ * @param {string} outPath - 出力 WAV
+ * @param {string} narrationPath - ナレーション音声（バンパー連結済み）
+ * @param {Object} music - project_config.js の music セクション（file は解決済み）
+ * @param {number} duration - 動画の長さ（秒）
+ */
+async function mixMusic(outPath, narrationPath, music, duration) {
+  const loop = music.loop ?? MUSIC_DEFAULTS.loop;
+  const filter = buildMusicFilter(music, duration);
+  try {
+    await execAsync(
+      `ffmpeg -y -hide_banner -nostats -i "${narrationPath}" ${loop ? '-stream_loop -1 ' : ''}-i "${music.file}" ` +
+      `-filter_complex "${filter}" -map "[aout]" -t ${duration.toFixed(4)} -c:a pcm_s16le "${outPath}"`,
+      { timeout: 300000 }
+    );
+  } catch (err) {
+    throw new Error(`music mix failed: ${err.stderr?.toString().split('\n').slice(-3).join('\n')}`);
+  }
+}
+
+module.exports = { MUSIC_DEFAULTS, DUCKING_DEFAULTS, buildMusicFilter, mixMusic };
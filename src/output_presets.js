@@ -0,0 +1,99 @@
+/**
+ * output_presets.js
+ *
+ * 動画の出力プリセット（解像度・コーデック・コンテナ）
+ *
+ * 1回のキャプチャから複数プリセットを出力できるよう、キャプチャは
+ * 選択プリセット中の最大解像度に合わせた deviceScaleFactor で行い、
+ * 各プリセットはそこから縮小（またはレターボックス / クロップ）する。
+ */
+
+// ── 定数 ──────────────────────────────────────────
+const CAPTURE_VIEWPORT = { width: 1280, height: 720 }; // スライドのCSSピクセルサイズ
+const DEFAULT_PRESETS = ['1080p'];
+
+const H264 = '-c:v libx264 -preset medium';
+const AAC = '-c:a aac';
+
+/**
+ * プリセット定義
+ *   suffix — 出力ファイル名の接尾辞（<baseName><suffix>.<ext>）
+ *   fit    — scale: 全面拡縮 / letterbox: 縦長画面に余白付きで収める / crop: 縦長画面を埋めて左右を切る
+ */
+const PRESETS = {
+  '1080p': {
+    width: 1920, height: 1080, fps: 30, fit: 'scale', ext: 'mp4', suffix: '',
+    videoArgs: `${H264} -crf 18`, audioArgs: `${AAC} -b:a 192k`,
+  },
+  '4k': {
+    width: 3840, height: 2160, fps: 30, fit: 'scale', ext: 'mp4', suffix: '.4k',
+    videoArgs: `${H264} -crf 18`, audioArgs: `${AAC} -b:a 192k`,
+  },
+  '720p': {
+    width: 1280, height: 720, fps: 30, fit: 'scale', ext: 'mp4', suffix: '.720p',
+    videoArgs: `${H264} -crf 23`, audioArgs: `${AAC} -b:a 128k`,
+  },
+  shorts: {
+    width: 1080, height: 1920, fps: 30, fit: 'letterbox', ext: 'mp4', suffix: '.shorts',
+    videoArgs: `${H264} -crf 18`, audioArgs: `${AAC} -b:a 192k`,
+  },
+  'shorts-crop': {
+    width: 1080, height: 1920, fps: 30, fit: 'crop', ext: 'mp4', suffix: '.shorts',
+    videoArgs: `${H264} -crf 18`, audioArgs: `${AAC} -b:a 192k`,
+  },
+  webm: {
+    width: 1920, height: 1080, fps: 30, fit: 'scale', ext: 'webm', suffix: '',
+    videoArgs: '-c:v libvpx-vp9 -crf 32 -b:v 0 -row-mt 1', audioArgs: '-c:a libopus -b:a 128k',
+  },
+};
+
+/** プリセット名の配列を検証して定義を返す */
+function resolvePresets(names) {
+  const unknown = names.filter(n => !PRESETS[n]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown output preset: ${unknown.join(', ')} (${Object.keys(PRESETS).join(' / ')})`);
+  }
+  const outputs = names.map(n => ({ name: n, ...PRESETS[n] }));
+  const files = new Set();
+  for (const o of outputs) {
+    const file = `${o.suffix}.${o.ext}`;
+    if (files.has(file)) throw new Error(`Output presets write the same file: ${names.join(', ')}`);
+    files.add(file);
+  }
+  return outputs;
+}
+
+/** 出力ファイル名（videos/ からの相対） */
+function outputFileName(baseName, preset) {
+  return `${baseName}${preset.suffix}.${preset.ext}`;
+}
+
+/**
+ * キャプチャ時の deviceScaleFactor
+ * 縦長プリセットはスライド幅を出力幅に（crop は高さを出力高さに）合わせる
+ */
+function captureScaleFactor(presets) {
+  const factors = presets.map((p) => {
+    if (p.fit === 'letterbox') return p.width / CAPTURE_VIEWPORT.width;
+    if (p.fit === 'crop') return p.height / CAPTURE_VIEWPORT.height;
+    return Math.max(p.width / CAPTURE_VIEWPORT.width, p.height / CAPTURE_VIEWPORT.height);
+  });
+  return Math.max(1, ...factors);
+}
+
+/** キャプチャ画像 → 出力解像度の ffmpeg フィルタ */
+function scaleFilter(preset) {
+  const { width: w, height: h } = preset;
+  if (preset.fit === 'letterbox') {
+    return `scale=${w}:${h}:force_original_aspect_ratio=decrease:flags=lanczos,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2:color=black`;
+  }
+  if (preset.fit === 'crop') {
+    return `scale=${w}:${h}:force_original_aspect_ratio=increase:flags=lanczos,crop=${w}:${h}`;
+  }
+  return `scale=${w}:${h}:flags=lanczos`;
+}
+
+module.exports = {
+  CAPTURE_VIEWPORT, DEFAULT_PRESETS, PRESETS,
+  resolvePresets, outputFileName, captureScaleFactor, scaleFilter,
+};
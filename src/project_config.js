@@ -0,0 +1,241 @@
+/**
+ * project_config.js
+ *
+ * プロジェクト単位の動画設定（<projectDir>/video.config.json）の読み込み
+ *
+ * {
+ *   "courseName": "API入門",
+ *   "intro":     { "template": "branding/intro.html", "duration": 3, "audio": "branding/intro.mp3" },
+ *   "outro":     { "template": "branding/outro.html", "duration": 5 },
+ *   "watermark": { "image": "branding/logo.png", "position": "top-right", "opacity": 0.6 },
+ *   "music":     { "file": "branding/bgm.mp3", "volume": 0.15, "ducking": { "ratio": 8 } },
+ *   "thumbnail": { "template": "branding/thumbnail.html" },
+ *   "tts":       { "command": "open_jtalk ... -ow {output} {input}", "dictionary": "pronunciations.json" },
+ *   "script":    { "language": "ja", "markers": ["次のスライドに進んでください。", "次のスライドへ進みます。"], "delimiter": "---" },
+ *   "slides":    { "adapter": "reveal" },
+ *   "similarity": { "strategy": "tokens", "synonyms": { "Kubernetes": ["クバネティス", "k8s"] } },
+ *   "topics": {
+ *     "01-01_introduction": { "intro": false, "watermark": { "opacity": 0.3 } },
+ *     "03-01_advanced": { "music": false },
+ *     "05-01_english": { "script": { "language": "en" } }
+ *   }
+ * }
+ *
+ * パスはプロジェクトルートからの相対。topics.<baseName> の各セクションは
+ * プロジェクト設定に上書きマージされ、false を指定するとそのトピックでは無効になる。
+ * tts はナレーション合成（tts.js）の設定で、プロジェクト単位のみ（動画の設定には含めない）。
+ * script は台本の区切りと言語（script_markers.js）、slides はスライド資料のアダプタ（slide_sources.js、
+ * 省略時は自動判定）で、いずれも設定した場合のみトピック設定に含める。
+ * similarity はアライメント分析の類似度（text_similarity.js）で、プロジェクト単位のみ。
+ * synonyms は表（代表表記 → 別表記）かそのファイルのパスで、省略時は synonyms.json があれば使う。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { scriptSpec } = require('./script_markers');
+const { SLIDE_ADAPTERS, DEFAULT_ADAPTER } = require('./slide_sources');
+const { SIMILARITY_STRATEGIES, DEFAULT_STRATEGY } = require('./text_similarity');
+
+// ── 定数 ──────────────────────────────────────────
+const CONFIG_FILE = 'video.config.json';
+const PRONUNCIATIONS_FILE = 'pronunciations.json'; // tts.dictionary 省略時の発音辞書
+const SYNONYMS_FILE = 'synonyms.json';             // similarity.synonyms 省略時の同義語表
+
+// セクション → プロジェクトルート基準で解決するパスのキー（先頭は必須）
+const SECTION_PATHS = {
+  intro: ['template', 'audio'],
+  outro: ['template', 'audio'],
+  watermark: ['image'],
+  music: ['file'],
+  thumbnail: ['template'],
+};
+
+/** セクション内の相対パスを絶対パスに解決し、存在を確認する */
+function resolveSection(name, section, projectDir) {
+  if (section === false || section == null) return null;
+  if (typeof section !== 'object') {
+    throw new Error(`${CONFIG_FILE}: "${name}" must be an object or false`);
+  }
+  const resolved = { ...section };
+  const required = SECTION_PATHS[name][0];
+  if (!resolved[required]) {
+    throw new Error(`${CONFIG_FILE}: ${name}.${required} is required`);
+  }
+  for (const key of SECTION_PATHS[name]) {
+    if (!resolved[key]) continue;
+    resolved[key] = path.resolve(projectDir, resolved[key]);
+    if (!fs.existsSync(resolved[key])) {
+      throw new Error(`${CONFIG_FILE}: ${name}.${key} not found: ${resolved[key]}`);
+    }
+  }
+  return resolved;
+}
+
+/** ナレーション合成の設定（dictionary はパス解決済み、なければ null） */
+function resolveTts(tts, projectDir) {
+  if (tts != null && (typeof tts !== 'object' || Array.isArray(tts))) {
+    throw new Error(`${CONFIG_FILE}: "tts" must be an object`);
+  }
+  const { command = null, dictionary = null } = tts || {};
+  if (command !== null && typeof command !== 'string') {
+    throw new Error(`${CONFIG_FILE}: tts.command must be a string`);
+  }
+  const dictPath = path.resolve(projectDir, dictionary || PRONUNCIATIONS_FILE);
+  if (dictionary && !fs.existsSync(dictPath)) {
+    throw new Error(`${CONFIG_FILE}: tts.dictionary not found: ${dictPath}`);
+  }
+  return { command, dictionary: fs.existsSync(dictPath) ? dictPath : null };
+}
+
+/** 台本の区切り・言語の設定（未設定なら null） */
+function resolveScript(script) {
+  if (script == null || script === false) return null;
+  if (typeof script !== 'object' || Array.isArray(script)) {
+    throw new Error(`${CONFIG_FILE}: "script" must be an object or false`);
+  }
+  try {
+    return scriptSpec(script);
+  } catch (err) {
+    throw new Error(`${CONFIG_FILE}: ${err.message}`);
+  }
+}
+
+/** スライドアダプタの設定（未設定・auto なら null） */
+function resolveSlides(slides) {
+  if (slides == null || slides === false) return null;
+  if (typeof slides !== 'object' || Array.isArray(slides)) {
+    throw new Error(`${CONFIG_FILE}: "slides" must be an object or false`);
+  }
+  const adapter = slides.adapter || DEFAULT_ADAPTER;
+  if (adapter !== DEFAULT_ADAPTER && !SLIDE_ADAPTERS.includes(adapter)) {
+    throw new Error(`${CONFIG_FILE}: slides.adapter must be one of: ${[DEFAULT_ADAPTER, ...SLIDE_ADAPTERS].join(', ')}`);
+  }
+  return adapter === DEFAULT_ADAPTER ? null : { adapter };
+}
+
+/** 同義語表（代表表記 → 別表記の配列または文字列）を検証する */
+function checkSynonyms(table, source) {
+  if (!table || typeof table !== 'object' || Array.isArray(table)) {
+    throw new Error(`${source} must be an object (term → variants)`);
+  }
+  for (const [term, variants] of Object.entries(table)) {
+    if (![].concat(variants).every(v => typeof v === 'string')) {
+      throw new Error(`${source}: variants of "${term}" must be a string or an array of strings`);
+    }
+  }
+  return table;
+}
+
+/** アライメント分析の類似度の設定（synonyms はファイルなら読み込み済み） */
+function resolveSimilarity(similarity, projectDir) {
+  if (similarity != null && (typeof similarity !== 'object' || Array.isArray(similarity))) {
+    throw new Error(`${CONFIG_FILE}: "similarity" must be an object`);
+  }
+  const { strategy = DEFAULT_STRATEGY, synonyms = null } = similarity || {};
+  if (!SIMILARITY_STRATEGIES.includes(strategy)) {
+    throw new Error(`${CONFIG_FILE}: similarity.strategy must be one of: ${SIMILARITY_STRATEGIES.join(', ')}`);
+  }
+  if (synonyms !== null && typeof synonyms === 'object') {
+    return { strategy, synonyms: checkSynonyms(synonyms, `${CONFIG_FILE}: similarity.synonyms`) };
+  }
+  if (synonyms !== null && typeof synonyms !== 'string') {
+    throw new Error(`${CONFIG_FILE}: similarity.synonyms must be an object or a file path`);
+  }
+  const filePath = path.resolve(projectDir, synonyms || SYNONYMS_FILE);
+  if (!fs.existsSync(filePath)) {
+    if (synonyms) throw new Error(`${CONFIG_FILE}: similarity.synonyms not found: ${filePath}`);
+    return { strategy, synonyms: {} };
+  }
+  let table;
+  try {
+    table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`${path.basename(filePath)}: ${err.message}`);
+  }
+  return { strategy, synonyms: checkSynonyms(table, path.basename(filePath)) };
+}
+
+/**
+ * プロジェクト設定を読み込む（ファイルがなければ既定値）
+ * @returns {{courseName: string, configPath: string|null, sections: Object, topics: Object,
+ *   tts: {command: string|null, dictionary: string|null}, script: Object|null, slides: Object|null,
+ *   similarity: {strategy: string, synonyms: Object}}}
+ */
+function loadProjectConfig(projectDir) {
+  const configPath = path.join(projectDir, CONFIG_FILE);
+  let raw = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+      throw new Error(`${CONFIG_FILE}: ${err.message}`);
+    }
+  }
+
+  const sections = {};
+  for (const name of Object.keys(SECTION_PATHS)) {
+    sections[name] = raw[name] ?? null;
+    resolveSection(name, sections[name], projectDir); // 起動時に検証
+  }
+
+  const config = {
+    courseName: raw.courseName || path.basename(projectDir),
+    configPath: fs.existsSync(configPath) ? configPath : null,
+    projectDir,
+    sections,
+    topics: raw.topics || {},
+    tts: resolveTts(raw.tts, projectDir),
+    similarity: resolveSimilarity(raw.similarity, projectDir),
+    script: raw.script ?? null,
+    slides: raw.slides ?? null,
+  };
+  resolveScript(config.script); // 起動時に検証
+  resolveSlides(config.slides);
+  return config;
+}
+
+/**
+ * トピック単位の設定を返す（topics.<baseName> を上書きマージ、パス解決済み）
+ * @returns {{courseName: string, intro: Object|null, outro: Object|null, watermark: Object|null, music: Object|null,
+ *   thumbnail: Object|null, script?: Object, slides?: {adapter: string}}}
+ *   script / slides は設定した場合のみ（未設定のプロジェクトの入力ハッシュを変えないため）
+ */
+function topicConfig(config, baseName) {
+  const overrides = config.topics[baseName] || {};
+  const result = { courseName: overrides.courseName || config.courseName };
+  for (const [name, base] of Object.entries(config.sections)) {
+    let section = base;
+    if (name in overrides) {
+      const o = overrides[name];
+      section = o && typeof o === 'object' && base ? { ...base, ...o } : o;
+    }
+    result[name] = resolveSection(name, section, config.projectDir);
+  }
+  // 言語だけを上書きしたトピックはその言語の既定マーカーを使う
+  let script = config.script;
+  if ('script' in overrides) {
+    const o = overrides.script;
+    script = o && typeof o === 'object' && script
+      ? { ...script, ...(o.language && !o.markers ? { markers: undefined } : {}), ...o }
+      : o;
+  }
+  script = resolveScript(script);
+  if (script) result.script = script;
+  const slides = resolveSlides('slides' in overrides ? overrides.slides : config.slides);
+  if (slides) result.slides = slides;
+  return result;
+}
+
+/** トピック設定が参照するファイル（テンプレート・音声・画像）の一覧 */
+function configFiles(topic) {
+  const files = [];
+  for (const [name, keys] of Object.entries(SECTION_PATHS)) {
+    if (!topic[name]) continue;
+    for (const key of keys) {
+      if (topic[name][key]) files.push(topic[name][key]);
+    }
+  }
+  return files;
+}
+
+module.exports = { CONFIG_FILE, loadProjectConfig, topicConfig, configFiles };
@@ -0,0 +1,187 @@
+/**
+ * render_cache.js
+ *
+ * 再生成時に変更のない処理を省くためのコンテンツハッシュキャッシュとマニフェスト
+ *
+ *   キャッシュ   — <projectDir>/.video-cache/
+ *     captures/<hash>/  スライド（+バンパー）のキャプチャ画像。HTML・参照アセット・キャプチャ設定のハッシュ
+ *     timings/<hash>.json  Step 1 のタイミング算出結果。TXT・MP3・補正ファイル・タイミング設定のハッシュ
+ *   マニフェスト — videos/manifest.json
+ *     出力ファイルごとに入力ハッシュと設定のハッシュを記録し、再生成せずに古いかどうかを判定できる
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ── 定数 ──────────────────────────────────────────
+const CACHE_DIR_NAME = '.video-cache';
+const MANIFEST_FILE = 'manifest.json';
+const CACHE_VERSION = 1; // キャッシュ・マニフェストの互換性が変わったら上げる
+
+// ── ハッシュ ───────────────────────────────────────
+
+function hashString(s) {
+  return crypto.createHash('sha256').update(s).digest('hex');
+}
+
+/** ファイル内容のハッシュ（存在しなければ null） */
+function hashFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/** キー順に依存しない JSON ハッシュ */
+function hashJson(value) {
+  const stable = (v) => {
+    if (Array.isArray(v)) return v.map(stable);
+    if (v && typeof v === 'object') {
+      return Object.keys(v).sort().reduce((o, k) => { o[k] = stable(v[k]); return o; }, {});
+    }
+    return v;
+  };
+  return hashString(JSON.stringify({ v: CACHE_VERSION, value: stable(value) }));
+}
+
+/**
+ * HTML / CSS が参照するローカルファイルを列挙（src / href / url()）
+ * CSS はその中の url() も1段だけ辿る
+ */
+function findLocalAssets(filePath, depth = 0) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const dir = path.dirname(filePath);
+  const refs = [
+    ...text.matchAll(/(?:src|href)\s*=\s*["']([^"'#?]+)/gi),
+    ...text.matchAll(/url\(\s*["']?([^"')#?]+)/gi),
+  ].map(m => m[1].trim());
+
+  const assets = new Set();
+  for (const ref of refs) {
+    if (!ref || /^[a-z][a-z0-9+.-]*:/i.test(ref) || ref.startsWith('//')) continue;
+    const abs = path.resolve(dir, decodeURIComponent(ref));
+    if (!fs.existsSync(abs) || !fs.statSync(abs).isFile()) continue;
+    assets.add(abs);
+    if (depth === 0 && abs.endsWith('.css')) {
+      for (const nested of findLocalAssets(abs, depth + 1)) assets.add(nested);
+    }
+  }
+  return [...assets].sort();
+}
+
+/** HTML と参照ローカルアセットをまとめたハッシュ（PDF などはファイル自体のハッシュ） */
+function hashHtmlWithAssets(htmlPath) {
+  if (path.extname(htmlPath).toLowerCase() !== '.html') return hashFile(htmlPath);
+  const parts = { html: hashFile(htmlPath) };
+  for (const asset of findLocalAssets(htmlPath)) {
+    parts[path.relative(path.dirname(htmlPath), asset)] = hashFile(asset);
+  }
+  return hashJson(parts);
+}
+
+// ── キャッシュ ─────────────────────────────────────
+
+/** キャッシュしたタイミング算出結果を読む（なければ null） */
+function readTimingCache(cacheDir, key) {
+  const file = path.join(cacheDir, 'timings', `${key}.json`);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeTimingCache(cacheDir, key, result) {
+  const dir = path.join(cacheDir, 'timings');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify(result), 'utf8');
+}
+
+/**
+ * キャッシュしたキャプチャ画像を destDir にコピーする
+ * @returns {{slideImages: string[][], bumperImages: Object<string, string>, headings: string[]|null}|null}
+ *   コピー先のパスとスライドの見出し（なければ null）
+ */
+function restoreCapture(cacheDir, key, destDir) {
+  const dir = path.join(cacheDir, 'captures', key);
+  const indexPath = path.join(dir, 'capture.json');
+  if (!fs.existsSync(indexPath)) return null;
+  const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  const names = [...index.slides.flat(), ...Object.values(index.bumpers)];
+  if (!names.every(n => fs.existsSync(path.join(dir, n)))) return null;
+
+  fs.mkdirSync(destDir, { recursive: true });
+  for (const n of names) fs.copyFileSync(path.join(dir, n), path.join(destDir, n));
+  const bumperImages = {};
+  for (const [name, file] of Object.entries(index.bumpers)) bumperImages[name] = path.join(destDir, file);
+  return {
+    slideImages: index.slides.map(imgs => imgs.map(n => path.join(destDir, n))),
+    bumperImages,
+    headings: index.headings || null,
+  };
+}
+
+/** キャプチャ画像（とスライドの見出し）をキャッシュに保存 */
+function storeCapture(cacheDir, key, slideImages, bumperImages, headings = null) {
+  const dir = path.join(cacheDir, 'captures', key);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  const files = [...slideImages.flat(), ...Object.values(bumperImages)];
+  for (const f of files) fs.copyFileSync(f, path.join(dir, path.basename(f)));
+  const index = {
+    slides: slideImages.map(imgs => imgs.map(f => path.basename(f))),
+    bumpers: Object.fromEntries(Object.entries(bumperImages).map(([k, f]) => [k, path.basename(f)])),
+    headings,
+  };
+  fs.writeFileSync(path.join(dir, 'capture.json'), JSON.stringify(index), 'utf8');
+}
+
+// ── マニフェスト ───────────────────────────────────
+
+function loadManifest(videoDir) {
+  const file = path.join(videoDir, MANIFEST_FILE);
+  if (!fs.existsSync(file)) return { version: CACHE_VERSION, outputs: {} };
+  try {
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { version: CACHE_VERSION, outputs: manifest.outputs || {} };
+  } catch {
+    return { version: CACHE_VERSION, outputs: {} };
+  }
+}
+
+/**
+ * 出力ファイルのエントリを更新して保存（他トピックのエントリは読み直して保持する）
+ * @param {string} videoDir
+ * @param {Object<string, Object>} entries - 出力ファイル名 → { hash, inputs, ... }
+ */
+function updateManifest(videoDir, entries) {
+  const manifest = loadManifest(videoDir);
+  Object.assign(manifest.outputs, entries);
+  const sorted = Object.keys(manifest.outputs).sort()
+    .reduce((o, k) => { o[k] = manifest.outputs[k]; return o; }, {});
+  fs.mkdirSync(videoDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(videoDir, MANIFEST_FILE),
+    JSON.stringify({ version: CACHE_VERSION, outputs: sorted }, null, 2) + '\n',
+    'utf8'
+  );
+}
+
+/**
+ * 出力ファイルの状態
+ * @returns {'missing'|'fresh'|'stale'|'unknown'} unknown はマニフェスト導入前の出力、検証に失敗した出力は stale
+ */
+function outputStatus(manifest, outPath, hash) {
+  if (!fs.existsSync(outPath)) return 'missing';
+  const entry = manifest.outputs[path.basename(outPath)];
+  if (!entry) return 'unknown';
+  // 品質検証に失敗した出力は作り直す
+  return entry.hash === hash && entry.verification !== 'failed' ? 'fresh' : 'stale';
+}
+
+module.exports = {
+  CACHE_DIR_NAME, MANIFEST_FILE,
+  hashString, hashFile, hashJson, findLocalAssets, hashHtmlWithAssets,
+  readTimingCache, writeTimingCache, restoreCapture, storeCapture,
+  loadManifest, updateManifest, outputStatus,
+};
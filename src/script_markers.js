@@ -0,0 +1,228 @@
+/**
+ * script_markers.js
+ *
+ * 台本（<baseName>.txt）のスライド区切りと言語ごとの扱い
+ *
+ *   markers   — 発話するマーカー文言（いずれかに一致すれば区切り）。既定は言語ごとの1文
+ *   delimiter — 発話しない区切り行（例: "---"）。行全体が一致した場合のみ区切りとし、読み上げ・字幕・文字数には含めない
+ *   language  — ja / en / zh。既定のマーカー、文字起こしの言語、話速、字幕の1行の長さ、キーワード抽出を切り替える
+ *
+ * video.config.json の "script" セクションで設定し、topics.<baseName>.script で上書きできる:
+ *   "script": { "language": "en", "markers": ["Next slide, please.", "Let's move on."], "delimiter": "---" }
+ *
+ * セグメント内の "[step]"（STEP_MARKER）はステップ切替位置を示す発話しない構造マーカーで、設定によらず共通。
+ */
+
+// ── 定数 ──────────────────────────────────────────
+const LANGUAGES = {
+  ja: {
+    markers: ['次のスライドに進んでください。'],
+    keyword: 'スライド',   // マーカー判定用の特異語（文字起こし照合・表記ゆれ検出）
+    charsPerSec: 5,        // 話速（文字/秒、空白を除く）
+    maxLineChars: 40,      // 字幕・概要文の1行の長さ
+    spaced: false,         // 単語を空白で区切る言語か
+    contentsHeading: '【内容】',
+  },
+  en: {
+    markers: ['Next slide, please.'],
+    keyword: 'slide',
+    charsPerSec: 14,
+    maxLineChars: 80,
+    spaced: true,
+    contentsHeading: '[Contents]',
+  },
+  zh: {
+    markers: ['请看下一张幻灯片。'],
+    keyword: '幻灯片',
+    charsPerSec: 4,
+    maxLineChars: 30,
+    spaced: false,
+    contentsHeading: '【内容】',
+  },
+};
+const DEFAULT_LANGUAGE = 'ja';
+const DEFAULT_SCRIPT = { language: DEFAULT_LANGUAGE, markers: LANGUAGES[DEFAULT_LANGUAGE].markers, delimiter: null };
+const STEP_MARKER = '[step]'; // 台本中のステップ切替位置（発話しない構造マーカー）
+const SENTENCE_SPLIT = /(?<=[。！？!?])|(?<=\.)(?=\s)/;
+const NEAR_MISS_SIMILARITY = 0.6; // マーカー文言との類似度がこれ以上で不一致なら表記ゆれとみなす
+const DELIMITER_LIKE = /^[-‐−ー—–=＝_＿*＊~〜]{2,}$/; // 区切り行の書き損じらしい行（script.delimiter 設定時のみ判定）
+
+/**
+ * 台本設定を正規化する（markers を省略すると言語の既定マーカー）
+ * @param {{language?: string, markers?: string[], delimiter?: string|null}} [section]
+ * @returns {{language: string, markers: string[], delimiter: string|null}}
+ */
+function scriptSpec(section) {
+  if (!section) return DEFAULT_SCRIPT;
+  const language = section.language || DEFAULT_LANGUAGE;
+  if (!LANGUAGES[language]) {
+    throw new Error(`script.language must be one of: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+  const markers = section.markers || LANGUAGES[language].markers;
+  if (!Array.isArray(markers) || markers.length === 0 || markers.some(m => typeof m !== 'string' || !m.trim())) {
+    throw new Error('script.markers must be a non-empty array of strings');
+  }
+  const delimiter = section.delimiter || null;
+  if (delimiter !== null && (typeof delimiter !== 'string' || !delimiter.trim() || delimiter.includes('\n'))) {
+    throw new Error('script.delimiter must be a single-line string');
+  }
+  return { language, markers, delimiter: delimiter && delimiter.trim() };
+}
+
+/** 言語ごとの設定 */
+function languageOf(spec = DEFAULT_SCRIPT) {
+  return LANGUAGES[spec.language];
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 台本をスライドごとのセグメントに分割する
+ * @param {string} text - 台本（ステップマーカーは除去済みでもそのままでもよい）
+ * @param {Object} [spec] - scriptSpec() の結果
+ * @returns {{segments: string[], boundaries: Array<{text: string, spoken: boolean}>}}
+ *   boundaries[i] はセグメント i と i+1 の間の区切り（マーカー文言 / 区切り行）
+ */
+function splitScript(text, spec = DEFAULT_SCRIPT) {
+  const alternatives = [...spec.markers].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  if (spec.delimiter) alternatives.unshift(`^[ \\t]*${escapeRegExp(spec.delimiter)}[ \\t]*$`);
+  const pattern = new RegExp(alternatives.join('|'), 'gm');
+
+  const segments = [];
+  const boundaries = [];
+  let last = 0;
+  for (const m of text.matchAll(pattern)) {
+    segments.push(text.slice(last, m.index));
+    const spoken = spec.markers.includes(m[0]);
+    boundaries.push({ text: spoken ? m[0] : '', spoken });
+    last = m.index + m[0].length;
+  }
+  segments.push(text.slice(last));
+  return { segments, boundaries };
+}
+
+/** ステップマーカーで分割（マーカーがなければ要素1つ） */
+function splitSteps(text) {
+  return text.split(STEP_MARKER);
+}
+
+/** 台本からステップマーカーを除去（読み上げ・タイミング・字幕・分析用） */
+function stripStepMarkers(text) {
+  return splitSteps(text).join('');
+}
+
+/** 発話する文字数（空白を除く） */
+function spokenLength(text) {
+  return text.replace(/\s+/g, '').length;
+}
+
+/** セグメントごとの文字数（直後の区切りがマーカーならその文字数を含む） */
+function segmentCharCounts({ segments, boundaries }) {
+  return segments.map((seg, i) => spokenLength(seg) + (boundaries[i] ? spokenLength(boundaries[i].text) : 0));
+}
+
+/** 文に分割（句点・感嘆符・疑問符、英文のピリオド + 空白） */
+function splitSentences(text) {
+  return text.split(SENTENCE_SPLIT);
+}
+
+// ── 文字起こしとの照合 ──────────────────────────────
+
+/** 照合用に正規化（小文字化し、空白・句読点・括弧を除く） */
+function normalizeSpoken(text) {
+  return text.toLowerCase().replace(/[\s。、，,.．！？!?「」『』（）()・…"'“”‘’]/g, '');
+}
+
+/**
+ * マーカー文言ごとの照合パターン
+ *   keyword — 特異語（言語の keyword を含む文言ならそれ、なければ文言の先頭4文字）
+ *   tail    — 末尾語（この語の終了時刻を遷移点とする）。英語は最後の単語、日本語は末尾のかな4文字まで、
+ *             それ以外は末尾2文字
+ * @returns {Array<{keyword: string, tail: string}>}
+ */
+function markerPatterns(spec = DEFAULT_SCRIPT) {
+  const lang = languageOf(spec);
+  const langKeyword = normalizeSpoken(lang.keyword);
+  return spec.markers.map((phrase) => {
+    const norm = normalizeSpoken(phrase);
+    const keyword = norm.includes(langKeyword) ? langKeyword : norm.slice(0, 4);
+    let tail;
+    if (lang.spaced) {
+      tail = normalizeSpoken(phrase.trim().split(/\s+/).pop());
+    } else {
+      const kana = norm.match(/[ぁ-ゟ]+$/);
+      tail = kana ? kana[0].slice(-4) : norm.slice(-2);
+    }
+    return { keyword, tail: tail || norm };
+  });
+}
+
+// ── 表記ゆれ検出 ───────────────────────────────────
+
+/** 文字バイグラムの Dice 係数（0〜1） */
+function bigramSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const grams = (s) => {
+    const m = new Map();
+    for (let i = 0; i < s.length - 1; i++) {
+      const g = s.slice(i, i + 2);
+      m.set(g, (m.get(g) || 0) + 1);
+    }
+    return m;
+  };
+  const ga = grams(a);
+  const gb = grams(b);
+  let overlap = 0;
+  for (const [g, n] of ga) overlap += Math.min(n, gb.get(g) || 0);
+  return (2 * overlap) / (a.length - 1 + b.length - 1);
+}
+
+/**
+ * 区切りとして扱われなかったマーカーらしき文・区切り行らしき行を探す
+ * 区切り行らしき行は script.delimiter を設定している場合のみ対象（未設定なら --- などは台本の本文）
+ * @param {string[]} segments - splitScript() のセグメント
+ * @param {Object} [spec]
+ * @returns {Array<{slide: number, text: string, expected: string, similarity: number|null}>}
+ */
+function findNearMisses(segments, spec = DEFAULT_SCRIPT) {
+  const markers = spec.markers.map(m => ({ phrase: m, norm: normalizeSpoken(m) }));
+  const misses = [];
+
+  segments.forEach((seg, i) => {
+    for (const line of seg.split('\n')) {
+      const trimmed = line.trim();
+      if (!trimmed) continue;
+
+      if (spec.delimiter && (DELIMITER_LIKE.test(trimmed) || trimmed.startsWith(spec.delimiter))) {
+        misses.push({ slide: i + 1, text: trimmed, expected: spec.delimiter, similarity: null });
+        continue;
+      }
+
+      for (const sentence of splitSentences(trimmed)) {
+        const norm = normalizeSpoken(sentence);
+        if (!norm) continue;
+        let best = null;
+        for (const m of markers) {
+          const similarity = bigramSimilarity(norm, m.norm);
+          if (similarity >= NEAR_MISS_SIMILARITY && (!best || similarity > best.similarity)) {
+            best = { expected: m.phrase, similarity };
+          }
+        }
+        if (best) {
+          misses.push({ slide: i + 1, text: sentence.trim(), ...best, similarity: Math.round(best.similarity * 100) / 100 });
+        }
+      }
+    }
+  });
+
+  return misses;
+}
+
+module.exports = {
+  LANGUAGES, DEFAULT_LANGUAGE, DEFAULT_SCRIPT, STEP_MARKER,
+  scriptSpec, splitSteps, stripStepMarkers, languageOf, splitScript, spokenLength, segmentCharCounts, splitSentences,
+  normalizeSpoken, markerPatterns, bigramSimilarity, findNearMisses,
+};
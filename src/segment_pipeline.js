@@ -0,0 +1,203 @@
+/**
+ * segment_pipeline.js
+ *
+ * キャプチャ画像を tmp に書き出さずに動画を組み立てるパイプライン（--pipeline segments）
+ *
+ *   1. スライドをキャプチャするたびに PNG を ffmpeg の stdin に流し、プリセットごとの短いセグメントにエンコード
+ *   2. 全セグメントを concat demuxer でロスレス連結（-c:v copy）し、音声を多重化
+ *
+ * 完了したセグメントは progress.json に記録し、中断した実行は最後に完了したスライドの次から再開する。
+ * セグメント境界は動画全体のフレーム位置で丸めるため、連結しても表示タイミングはずれない。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execAsync } = require('./job_pool');
+const { scaleFilter } = require('./output_presets');
+const { watermarkChains } = require('./branding');
+
+// ── 定数 ──────────────────────────────────────────
+const PIPELINES = ['images', 'segments'];
+const DEFAULT_PIPELINE = 'images';
+const PROGRESS_FILE = 'progress.json';
+
+// ── フレーム計算 ───────────────────────────────────
+
+/**
+ * 表示秒数の列をフレーム数に変換（動画先頭からの累積位置で丸めて誤差を溜めない）
+ * @param {number} start - 最初の画像の開始秒数（動画先頭から）
+ * @param {number[]} durations - 画像ごとの表示秒数
+ * @param {number} fps
+ * @returns {number[]} 画像ごとのフレーム数（0 の画像はセグメントを作らない）
+ */
+function frameCounts(start, durations, fps) {
+  const counts = [];
+  let t = start;
+  for (const d of durations) {
+    counts.push(Math.round((t + d) * fps) - Math.round(t * fps));
+    t += d;
+  }
+  return counts;
+}
+
+// ── エンコード ─────────────────────────────────────
+
+/**
+ * 1枚の画像（PNG バッファ）→ frames フレームの無音セグメント
+ *
+ * @param {Object} job
+ * @param {Buffer} job.image - PNG
+ * @param {string} job.outPath - 出力セグメント
+ * @param {number} job.frames - フレーム数
+ * @param {number} job.start - 動画先頭からの開始秒数（焼き込み字幕の位置合わせ用）
+ * @param {Object} job.preset - output_presets.js のプリセット
+ * @param {string} job.subtitleFilter - 焼き込み字幕フィルタ（subtitles='...'、なければ空文字）
+ * @param {Object|null} job.watermark - ロゴ透かし設定
+ */
+async function encodeSegment({ image, outPath, frames, start, preset, subtitleFilter, watermark }) {
+  const duration = frames / preset.fps;
+  const baseLabel = watermark ? 'vbase' : 'vout';
+  // 字幕は動画全体の時刻で描画するため、一時的にタイムスタンプを開始位置までずらす
+  const subtitles = subtitleFilter
+    ? `,setpts=PTS+${start.toFixed(4)}/TB,${subtitleFilter},setpts=PTS-STARTPTS`
+    : '';
+  const chains = [
+    `[0:v]${scaleFilter(preset)},tpad=stop_mode=clone:stop_duration=${(duration + 1).toFixed(4)},` +
+    `fps=${preset.fps}${subtitles},format=yuv420p[${baseLabel}]`,
+  ];
+  const inputArgs = ['-f image2pipe -c:v png -i -'];
+  if (watermark) {
+    inputArgs.push(`-i "${watermark.image}"`);
+    chains.push(...watermarkChains(watermark, preset, 1, baseLabel, 'vout', { from: 0, to: duration + 1 }));
+  }
+
+  const filterPath = `${outPath}.filter.txt`;
+  fs.writeFileSync(filterPath, chains.join(';'));
+  try {
+    await execAsync([
+      'ffmpeg -y -hide_banner -nostats',
+      ...inputArgs,
+      `-filter_complex_script "${filterPath}"`,
+      '-map "[vout]" -an',
+      `-frames:v ${frames}`,
+      preset.videoArgs,
+      preset.ext === 'mp4' ? '-video_track_timescale 90000' : '',
+      `"${outPath}"`,
+    ].filter(Boolean).join(' '), { timeout: 300000, input: image });
+  } catch (err) {
+    throw new Error(`segment encode failed (${path.basename(outPath)}): ${err.stderr?.toString().split('\n').slice(-3).join('\n')}`);
+  } finally {
+    fs.rmSync(filterPath, { force: true });
+  }
+}
+
+/**
+ * セグメントを連結して音声を多重化（映像は再エンコードしない）
+ *
+ * @param {Object} job
+ * @param {string[]} job.segments - 連結順のセグメント
+ * @param {string} job.audioPath - 音声ファイル
+ * @param {string} job.outPath - 出力ファイル
+ * @param {Object} job.preset - output_presets.js のプリセット
+ * @param {number} job.totalDuration - 動画の長さ（秒）
+ * @param {string} job.workDir - 作業ディレクトリ
+ * @param {string|null} [job.metadataPath] - チャプター・タグ（ffmetadata）
+ */
+async function concatSegments({ segments, audioPath, outPath, preset, totalDuration, workDir, metadataPath = null }) {
+  const listPath = path.join(workDir, `segments.${preset.name}.txt`);
+  fs.writeFileSync(listPath, segments.map(s => `file '${s}'\n`).join(''));
+  try {
+    await execAsync([
+      'ffmpeg -y -hide_banner -nostats',
+      `-f concat -safe 0 -i "${listPath}"`,
+      `-i "${audioPath}"`,
+      metadataPath ? `-i "${metadataPath}" -map_metadata 2 -map_chapters 2` : '',
+      '-map 0:v -map 1:a -c:v copy',
+      preset.audioArgs,
+      `-t ${totalDuration.toFixed(4)}`,
+      preset.ext === 'mp4' ? '-movflags +faststart' : '',
+      `"${outPath}"`,
+    ].filter(Boolean).join(' '), { timeout: 300000 });
+  } catch (err) {
+    throw new Error(`ffmpeg concat failed: ${err.stderr?.toString().split('\n').slice(-3).join('\n')}`);
+  }
+}
+
+// ── セグメントシンク ───────────────────────────────
+
+/**
+ * キャプチャ画像を受け取ってセグメントにエンコードするシンク（captureTopic の sink）
+ * エンコードは次の単位のキャプチャと並行して行う（同時実行数は job_pool の ffmpeg 枠）
+ *
+ * @param {Object} options
+ * @param {string} options.dir - セグメントの出力先（tmp/<baseName>/segments）
+ * @param {string} options.key - 再開可否の判定キー（タイミング・設定が変われば作り直す）
+ * @param {Object[]} options.outputs - エンコードするプリセット
+ * @param {(unit: string, count: number) => {start: number, durations: number[], watermark: boolean}} options.plan
+ *   単位（slide_001 / intro / outro）の開始秒数と画像ごとの表示秒数
+ * @param {string} options.subtitleFilter - 焼き込み字幕フィルタ
+ * @param {Object|null} options.watermark - ロゴ透かし設定
+ */
+function createSegmentSink({ dir, key, outputs, plan, subtitleFilter = '', watermark = null }) {
+  const progressPath = path.join(dir, PROGRESS_FILE);
+  let done = {};
+  if (fs.existsSync(progressPath)) {
+    try {
+      const progress = JSON.parse(fs.readFileSync(progressPath, 'utf8'));
+      if (progress.key === key) done = progress.done;
+    } catch {
+      // 壊れた進捗ファイルは最初から
+    }
+  }
+  if (Object.keys(done).length === 0) fs.rmSync(dir, { recursive: true, force: true });
+  for (const preset of outputs) fs.mkdirSync(path.join(dir, preset.name), { recursive: true });
+
+  const encodeUnit = async (unit, images) => {
+    const { start, durations, watermark: useWatermark } = plan(unit, images.length);
+    const names = {};
+    const jobs = [];
+    for (const preset of outputs) {
+      names[preset.name] = [];
+      const frames = frameCounts(start, durations, preset.fps);
+      let t = start;
+      images.forEach((image, k) => {
+        const name = images.length === 1 ? unit : `${unit}_s${String(k + 1).padStart(2, '0')}`;
+        if (frames[k] > 0) {
+          names[preset.name].push(name);
+          jobs.push(encodeSegment({
+            image, frames: frames[k], start: t, preset, subtitleFilter,
+            outPath: path.join(dir, preset.name, `${name}.${preset.ext}`),
+            watermark: useWatermark ? watermark : null,
+          }));
+        }
+        t += durations[k];
+      });
+    }
+    await Promise.all(jobs);
+    done[unit] = names;
+    fs.writeFileSync(progressPath, JSON.stringify({ key, done }), 'utf8');
+  };
+
+  let inflight = Promise.resolve();
+  return {
+    /** 前回の実行でエンコード済みの単位数 */
+    resumed: Object.keys(done).length,
+    has: unit => unit in done,
+    async write(unit, images) {
+      await inflight;
+      inflight = encodeUnit(unit, images);
+      inflight.catch(() => {}); // 失敗は次の write / finish で受け取る
+    },
+    finish: () => inflight,
+    /** プリセットの連結順セグメント */
+    segments(preset, units) {
+      return units.flatMap(unit => (done[unit]?.[preset.name] || [])
+        .map(name => path.join(dir, preset.name, `${name}.${preset.ext}`)));
+    },
+  };
+}
+
+module.exports = {
+  PIPELINES, DEFAULT_PIPELINE,
+  frameCounts, encodeSegment, concatSegments, createSegmentSink,
+};
@@ -0,0 +1,362 @@
+/**
+ * slide_sources.js
+ *
+ * スライド資料（<baseName>.html / <baseName>.pdf）をスライド単位で表示するアダプタ
+ *
+ * アダプタ（自動判定の順）:
+ *   slideapi — window.slideAPI（getTotalSlides / showSlide / getSteps / showStep）と .slide.active
+ *   reveal   — reveal.js（Reveal.getTotalSlides / Reveal.slide、フラグメントをステップとして扱う）
+ *   marp     — Marp / Marpit の HTML 出力（svg[data-marpit-svg] または .marpit > section）
+ *   section  — 各 <section>（入れ子でないもの）を1枚のスライドとする素の HTML
+ *   pdf      — PDF を1ページずつ画像にして表示（poppler の pdftoppm / pdftotext が必要）
+ *
+ * video.config.json の "slides": { "adapter": "reveal" } で自動判定を上書きできる（topics.<baseName>.slides も可）。
+ * 各アダプタは { name, detect, count, show } を実装し、表示中のスライドの要素に data-capture-active を付ける。
+ * テキスト・見出し・表紙の取得はこの属性を使って共通に行う。
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execAsync } = require('./job_pool');
+const { hasCommand } = require('./commands');
+const { escapeHtml } = require('./branding');
+
+// ── 定数 ──────────────────────────────────────────
+const DECK_EXTENSIONS = ['.html', '.pdf']; // この順に優先
+const SLIDE_ADAPTERS = ['slideapi', 'reveal', 'marp', 'section', 'pdf'];
+const DEFAULT_ADAPTER = 'auto';
+const ACTIVE_ATTR = 'data-capture-active';
+const READY_TIMEOUT_MS = 10000;
+const PDF_WIDTH = 1920; // PDF ページ画像の幅（deviceScaleFactor 倍）
+const PDF_TIMEOUT_MS = 120000;
+
+/**
+ * トピックのスライド資料を探す
+ * @returns {string|null} <baseName>.html（なければ .pdf）のパス
+ */
+function findSlideDeck(dir, baseName) {
+  for (const ext of DECK_EXTENSIONS) {
+    const p = path.join(dir, `${baseName}${ext}`);
+    if (fs.existsSync(p)) return p;
+  }
+  return null;
+}
+
+/** スライド資料のファイルか（拡張子で判定） */
+function isSlideDeck(fileName) {
+  return DECK_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+// ── ページ内の共通処理 ──────────────────────────────
+
+/** selector の n 番目（1始まり）に表示中の印を付ける（svg の場合は中の section） */
+function markActive(page, selector, n) {
+  return page.evaluate(([sel, i, attr]) => {
+    document.querySelectorAll(`[${attr}]`).forEach(el => el.removeAttribute(attr));
+    const el = document.querySelectorAll(sel)[i - 1];
+    if (!el) return;
+    (el.matches('svg') ? el.querySelector('section') || el : el).setAttribute(attr, '');
+  }, [selector, n, ACTIVE_ATTR]);
+}
+
+/** selector の n 番目だけを表示する（他は非表示、fixed なら画面全体に広げる） */
+function isolateSlide(page, selector, n, { fixed }) {
+  return page.evaluate(([sel, i, full]) => {
+    document.querySelectorAll(sel).forEach((el, k) => {
+      if (k !== i - 1) {
+        el.style.setProperty('display', 'none', 'important');
+        return;
+      }
+      el.style.removeProperty('display');
+      if (full) {
+        for (const [prop, value] of [
+          ['display', 'block'], ['position', 'fixed'], ['inset', '0'], ['width', '100vw'], ['height', '100vh'],
+          ['margin', '0'], ['z-index', '2147483646'], ['opacity', '1'], ['transform', 'none'], ['visibility', 'visible'],
+        ]) el.style.setProperty(prop, value, 'important');
+      }
+    });
+    window.scrollTo(0, 0);
+  }, [selector, n, fixed]);
+}
+
+/** ページに CSS を追加 */
+function addStyle(page, css) {
+  return page.evaluate((text) => {
+    const style = document.createElement('style');
+    style.textContent = text;
+    document.head.appendChild(style);
+  }, css);
+}
+
+// ── アダプタ ───────────────────────────────────────
+
+const slideApiAdapter = {
+  name: 'slideapi',
+  selector: '.slide',
+
+  detect(page) {
+    return page.evaluate(() => Boolean(window.slideAPI) && typeof window.slideAPI.getTotalSlides === 'function');
+  },
+
+  count(page) {
+    return page.evaluate(() => window.slideAPI.getTotalSlides());
+  },
+
+  async show(page, n) {
+    await page.evaluate((i) => window.slideAPI.showSlide(i), n);
+    await page.evaluate(([i, attr]) => {
+      document.querySelectorAll(`[${attr}]`).forEach(el => el.removeAttribute(attr));
+      const el = document.querySelector('.slide.active') || document.querySelectorAll('.slide')[i - 1];
+      if (el) el.setAttribute(attr, '');
+    }, [n, ACTIVE_ATTR]);
+  },
+
+  steps(page, n) {
+    return page.evaluate(i => (typeof window.slideAPI.getSteps === 'function' ? window.slideAPI.getSteps(i) || 0 : 0), n);
+  },
+
+  showStep(page, n, k) {
+    return page.evaluate(([i, step]) => window.slideAPI.showStep(i, step), [n, k]);
+  },
+};
+
+const revealAdapter = {
+  name: 'reveal',
+  selector: '.reveal .slides section:not(.stack)',
+
+  detect(page) {
+    return page.evaluate(() => Boolean(window.Reveal) && typeof window.Reveal.getTotalSlides === 'function');
+  },
+
+  /** 初期化を待ち、操作 UI とトランジションを止める */
+  async prepare(page) {
+    await page.waitForFunction(() => typeof window.Reveal.isReady !== 'function' || window.Reveal.isReady(),
+      null, { timeout: READY_TIMEOUT_MS });
+    await page.evaluate(() => window.Reveal.configure({
+      controls: false, progress: false, slideNumber: false, transition: 'none', backgroundTransition: 'none',
+    }));
+  },
+
+  count(page) {
+    return page.evaluate(() => window.Reveal.getTotalSlides());
+  },
+
+  /** n 枚目を全フラグメント表示の状態で表示（fragment を指定すればその段階まで） */
+  async show(page, n, fragment = null) {
+    await page.evaluate(([i, frag, sel, attr]) => {
+      const slides = typeof window.Reveal.getSlides === 'function'
+        ? window.Reveal.getSlides() : [...document.querySelectorAll(sel)];
+      const el = slides[i - 1];
+      const { h, v } = window.Reveal.getIndices(el);
+      const indices = [...el.querySelectorAll('.fragment')].map(f => Number(f.getAttribute('data-fragment-index')) || 0);
+      const last = indices.length > 0 ? Math.max(...indices) : undefined;
+      window.Reveal.slide(h, v, frag === null ? last : frag);
+      document.querySelectorAll(`[${attr}]`).forEach(e => e.removeAttribute(attr));
+      window.Reveal.getCurrentSlide().setAttribute(attr, '');
+    }, [n, fragment, this.selector, ACTIVE_ATTR]);
+  },
+
+  /** フラグメントの段階数 + 1（フラグメントがなければ 0） */
+  steps(page, n) {
+    return page.evaluate(([i, sel]) => {
+      const slides = typeof window.Reveal.getSlides === 'function'
+        ? window.Reveal.getSlides() : [...document.querySelectorAll(sel)];
+      const indices = new Set([...slides[i - 1].querySelectorAll('.fragment')]
+        .map(f => f.getAttribute('data-fragment-index')));
+      return indices.size > 0 ? indices.size + 1 : 0;
+    }, [n, this.selector]);
+  },
+
+  /** k 段階目（1 = フラグメントなし） */
+  showStep(page, n, k) {
+    return this.show(page, n, k - 2);
+  },
+};
+
+const marpAdapter = {
+  name: 'marp',
+  selector: 'svg[data-marpit-svg], .marpit > section',
+
+  detect(page) {
+    return page.evaluate(() => document.querySelector('svg[data-marpit-svg], .marpit > section') !== null);
+  },
+
+  /** bespoke テンプレートの操作 UI を隠し、フラグメントはすべて表示する */
+  prepare(page) {
+    return addStyle(page, [
+      '.bespoke-marp-osc { display: none !important; }',
+      '[data-bespoke-marp-fragment] { visibility: visible !important; opacity: 1 !important; }',
+    ].join('\n'));
+  },
+
+  async show(page, n) {
+    await isolateSlide(page, this.selector, n, { fixed: true });
+    await markActive(page, this.selector, n);
+  },
+};
+
+const sectionAdapter = {
+  name: 'section',
+  selector: 'section:not(section section)',
+
+  detect(page) {
+    return page.evaluate(() => document.querySelector('section') !== null);
+  },
+
+  async show(page, n) {
+    await isolateSlide(page, this.selector, n, { fixed: false });
+    await markActive(page, this.selector, n);
+  },
+};
+
+/** PDF はページ画像とページのテキストを <section> に並べた HTML にして section と同じく表示する */
+const pdfAdapter = {
+  ...sectionAdapter,
+  name: 'pdf',
+
+  detect() {
+    return false; // 拡張子で判定する
+  },
+};
+
+const ADAPTERS = {
+  slideapi: slideApiAdapter,
+  reveal: revealAdapter,
+  marp: marpAdapter,
+  section: sectionAdapter,
+  pdf: pdfAdapter,
+};
+
+// ── PDF ──────────────────────────────────────────
+
+/**
+ * PDF を1ページ1枚の画像にし、<section> を並べた HTML を作る
+ * @returns {Promise<string>} HTML のパス（workDir 内）
+ */
+async function buildPdfDeck(pdfPath, workDir, scale = 1) {
+  for (const cmd of ['pdftoppm', 'pdftotext']) {
+    if (!hasCommand(cmd)) throw new Error(`${cmd} (poppler) is required for PDF slides`);
+  }
+  try {
+    await execAsync(`pdftoppm -png -scale-to ${Math.round(PDF_WIDTH * scale)} "${pdfPath}" "${path.join(workDir, 'page')}"`,
+      { timeout: PDF_TIMEOUT_MS });
+  } catch (err) {
+    throw new Error(`pdftoppm failed: ${(err.stderr || err.message).trim().split('\n').slice(-3).join('\n')}`);
+  }
+  const pages = fs.readdirSync(workDir).filter(f => /^page-\d+\.png$/.test(f))
+    .sort((a, b) => parseInt(a.match(/\d+/)[0], 10) - parseInt(b.match(/\d+/)[0], 10));
+
+  const sections = [];
+  for (let i = 0; i < pages.length; i++) {
+    const text = await execAsync(`pdftotext -f ${i + 1} -l ${i + 1} -layout -enc UTF-8 "${pdfPath}" -`,
+      { timeout: PDF_TIMEOUT_MS });
+    const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+    sections.push([
+      '<section>',
+      `  <img src="${pages[i]}" alt="">`,
+      `  <div class="text"><h1>${escapeHtml(lines[0] || '')}</h1><p>${escapeHtml(lines.slice(1).join(' '))}</p></div>`,
+      '</section>',
+    ].join('\n'));
+  }
+
+  const htmlPath = path.join(workDir, 'deck.html');
+  fs.writeFileSync(htmlPath, `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(path.parse(pdfPath).name)}</title>
+<style>
+  html, body { margin: 0; background: #fff; }
+  section { width: 100vw; height: 100vh; display: flex; align-items: center; justify-content: center; }
+  section img { max-width: 100%; max-height: 100%; object-fit: contain; }
+  section .text { display: none; }
+</style></head>
+<body>
+${sections.join('\n')}
+</body></html>
+`, 'utf8');
+  return htmlPath;
+}
+
+// ── 資料を開く ───────────────────────────────────────
+
+/**
+ * スライド資料をページに読み込み、アダプタを選ぶ
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} deckPath - <baseName>.html / .pdf
+ * @param {Object} [options]
+ * @param {string} [options.adapter] - アダプタ名（auto なら自動判定）
+ * @param {number} [options.scale] - PDF のページ画像の倍率（キャプチャの deviceScaleFactor）
+ * @returns {Promise<{adapter: string, count: Function, show: Function, steps: Function, showStep: Function,
+ *   text: Function, heading: Function, coverIndex: Function, close: Function}>}
+ */
+async function openDeck(page, deckPath, { adapter = DEFAULT_ADAPTER, scale = 1 } = {}) {
+  if (adapter !== DEFAULT_ADAPTER && !ADAPTERS[adapter]) {
+    throw new Error(`unknown slide adapter: ${adapter} (${[DEFAULT_ADAPTER, ...SLIDE_ADAPTERS].join(' / ')})`);
+  }
+  const isPdf = path.extname(deckPath).toLowerCase() === '.pdf';
+  if (isPdf !== (adapter === 'pdf') && adapter !== DEFAULT_ADAPTER) {
+    throw new Error(`slide adapter ${adapter} cannot open ${path.basename(deckPath)}`);
+  }
+
+  const workDir = isPdf ? fs.mkdtempSync(path.join(os.tmpdir(), 'slides-pdf-')) : null;
+  const close = () => workDir && fs.rmSync(workDir, { recursive: true, force: true });
+
+  let impl;
+  try {
+    const url = `file://${isPdf ? await buildPdfDeck(deckPath, workDir, scale) : deckPath}`;
+    await page.goto(url, { waitUntil: 'networkidle' });
+    if (isPdf) {
+      impl = ADAPTERS.pdf;
+    } else if (adapter !== DEFAULT_ADAPTER) {
+      impl = ADAPTERS[adapter];
+    } else {
+      for (const name of SLIDE_ADAPTERS) {
+        if (await ADAPTERS[name].detect(page)) {
+          impl = ADAPTERS[name];
+          break;
+        }
+      }
+      if (!impl) {
+        throw new Error(`no slide adapter matched ${path.basename(deckPath)} ` +
+          '(expose window.slideAPI, use reveal.js / Marp, or put each slide in a <section>)');
+      }
+    }
+    if (impl.prepare) await impl.prepare(page);
+  } catch (err) {
+    close();
+    throw err;
+  }
+
+  return {
+    adapter: impl.name,
+    count: () => (impl.count ? impl.count(page) : page.evaluate(sel => document.querySelectorAll(sel).length, impl.selector)),
+    show: n => impl.show(page, n),
+    steps: n => (impl.steps ? impl.steps(page, n) : Promise.resolve(0)),
+    showStep: (n, k) => impl.showStep(page, n, k),
+    /** 表示中のスライドのテキスト（SVG・script・style を除く） */
+    text: () => page.evaluate((attr) => {
+      const active = document.querySelector(`[${attr}]`);
+      if (!active) return '';
+      const clone = active.cloneNode(true);
+      clone.querySelectorAll('svg, script, style').forEach(el => el.remove());
+      return clone.textContent || '';
+    }, ACTIVE_ATTR),
+    /** 表示中のスライドの見出し（h1〜h3、なければ空文字） */
+    heading: () => page.evaluate((attr) => {
+      const el = document.querySelector(`[${attr}] h1, [${attr}] h2, [${attr}] h3`);
+      return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+    }, ACTIVE_ATTR),
+    /** 表紙スライドの番号（data-cover 属性 / cover クラス、なければ 1） */
+    coverIndex: () => page.evaluate((sel) => {
+      const slides = [...document.querySelectorAll(sel)].map(el => (el.matches('svg') ? el.querySelector('section') || el : el));
+      const index = slides.findIndex(el => el.hasAttribute('data-cover') || el.classList.contains('cover'));
+      return index >= 0 ? index + 1 : 1;
+    }, impl.selector),
+    close,
+  };
+}
+
+module.exports = {
+  DECK_EXTENSIONS, SLIDE_ADAPTERS, DEFAULT_ADAPTER,
+  findSlideDeck, isSlideDeck, openDeck,
+};
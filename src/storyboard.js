@@ -0,0 +1,188 @@
+/**
+ * storyboard.js
+ *
+ * 動画をエンコードせずにタイミングを確認するためのプレビュー出力
+ *
+ *   contact_sheet.png — 全スライドのサムネイル一覧（開始時刻・表示秒数・境界の決定方法付き）
+ *   preview.html      — 音声を再生し、算出タイミングでスライド画像を切り替えるページ
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ── 定数 ──────────────────────────────────────────
+const SHEET_COLUMNS = 4;
+const SHEET_THUMB_WIDTH = 400;
+
+// ── ユーティリティ ─────────────────────────────────
+
+/** 秒 → "m:ss.s" */
+function formatClock(sec) {
+  const m = Math.floor(sec / 60);
+  const s = (sec - m * 60).toFixed(1).padStart(4, '0');
+  return `${m}:${s}`;
+}
+
+/** HTML用エスケープ */
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+  ));
+}
+
+/** 表示秒数の配列から各スライドの開始秒数を求める */
+function slideStarts(timings) {
+  const starts = [];
+  let t = 0;
+  for (const d of timings) {
+    starts.push(t);
+    t += d;
+  }
+  return starts;
+}
+
+// ── コンタクトシート ───────────────────────────────
+
+function buildContactSheetHtml(baseName, slides) {
+  const cells = slides.map(s => `
+    <figure>
+      <img src="${escapeHtml(s.image)}">
+      <figcaption>
+        <b>#${s.index}</b> ${formatClock(s.start)} · ${s.duration.toFixed(1)}s
+        <span class="src ${escapeHtml(s.source)}">${escapeHtml(s.source)}</span>
+      </figcaption>
+    </figure>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="ja"><head><meta charset="utf-8"><style>
+  body { margin: 0; padding: 16px; background: #1e1e1e; color: #eee; font-family: sans-serif; width: ${SHEET_COLUMNS * (SHEET_THUMB_WIDTH + 16)}px; }
+  h1 { font-size: 18px; margin: 0 0 12px; }
+  .grid { display: grid; grid-template-columns: repeat(${SHEET_COLUMNS}, ${SHEET_THUMB_WIDTH}px); gap: 16px; }
+  figure { margin: 0; }
+  img { width: 100%; display: block; border: 1px solid #444; }
+  figcaption { font-size: 13px; padding-top: 4px; }
+  .src { float: right; padding: 0 6px; border-radius: 3px; background: #555; }
+  .src.anchored { background: #2e7d32; }
+  .src.interpolated { background: #b26a00; }
+  .src.silence-snapped { background: #1565c0; }
+  .src.override { background: #6a1b9a; }
+  .src.slide-audio { background: #00838f; }
+  .src.estimated { background: #757575; }
+</style></head><body>
+  <h1>${escapeHtml(baseName)} — ${slides.length} slides</h1>
+  <div class="grid">${cells}
+  </div>
+</body></html>
+`;
+}
+
+// ── プレビューページ ───────────────────────────────
+
+function buildPreviewHtml(baseName, slides, audioSrc) {
+  const data = JSON.stringify(slides.map(s => ({
+    index: s.index, start: s.start, duration: s.duration, source: s.source, image: s.image,
+  })));
+
+  return `<!DOCTYPE html>
+<html lang="ja"><head><meta charset="utf-8"><title>${escapeHtml(baseName)} — preview</title><style>
+  body { margin: 0; background: #111; color: #eee; font-family: sans-serif; }
+  main { max-width: 1280px; margin: 0 auto; padding: 16px; }
+  #slide { width: 100%; display: block; background: #000; }
+  audio { width: 100%; margin-top: 8px; }
+  #info { margin: 8px 0; font-size: 14px; }
+  ol { columns: 3; font-size: 13px; padding-left: 20px; }
+  li { cursor: pointer; }
+  li.current { color: #4fc3f7; font-weight: bold; }
+</style></head><body><main>
+  <img id="slide" alt="">
+  <audio id="audio" src="${escapeHtml(audioSrc)}" controls></audio>
+  <div id="info"></div>
+  <ol id="list"></ol>
+</main><script>
+  const slides = ${data};
+  const img = document.getElementById('slide');
+  const audio = document.getElementById('audio');
+  const info = document.getElementById('info');
+  const list = document.getElementById('list');
+  let current = -1;
+
+  slides.forEach((s, i) => {
+    const li = document.createElement('li');
+    li.textContent = s.start.toFixed(1) + 's (' + s.duration.toFixed(1) + 's, ' + s.source + ')';
+    li.onclick = () => { audio.currentTime = s.start; show(i); };
+    list.appendChild(li);
+  });
+
+  function indexAt(t) {
+    let i = 0;
+    while (i + 1 < slides.length && slides[i + 1].start <= t) i++;
+    return i;
+  }
+
+  function show(i) {
+    if (i === current) return;
+    current = i;
+    img.src = slides[i].image;
+    info.textContent = 'Slide ' + slides[i].index + ' / ' + slides.length +
+      ' — start ' + slides[i].start.toFixed(1) + 's, ' + slides[i].duration.toFixed(1) + 's, ' + slides[i].source;
+    [...list.children].forEach((li, j) => li.classList.toggle('current', j === i));
+  }
+
+  function tick() {
+    show(indexAt(audio.currentTime));
+    requestAnimationFrame(tick);
+  }
+  show(0);
+  tick();
+</script></body></html>
+`;
+}
+
+// ── 出力 ──────────────────────────────────────────
+
+/**
+ * コンタクトシートとプレビューページを planDir に書き出す
+ *
+ * @param {import('playwright').Browser} browser - コンタクトシート描画用のブラウザ
+ * @param {Object} plan
+ * @param {string} plan.planDir - 出力先ディレクトリ（スライド画像は planDir/slides/ にある前提）
+ * @param {string} plan.baseName
+ * @param {string[]} plan.imagePaths - スライド画像のパス（planDir 配下）
+ * @param {number[]} plan.timings - スライドごとの表示秒数
+ * @param {string[]} plan.sources - スライドごとの開始境界の決定方法
+ * @param {string} plan.audioPath - 再生する音声ファイル
+ * @returns {Promise<{sheetPath: string, previewPath: string}>}
+ */
+async function writeStoryboard(browser, { planDir, baseName, imagePaths, timings, sources, audioPath }) {
+  const starts = slideStarts(timings);
+  const slides = timings.map((duration, i) => ({
+    index: i + 1,
+    start: starts[i],
+    duration,
+    source: sources[i],
+    image: path.relative(planDir, imagePaths[i]).split(path.sep).join('/'),
+  }));
+
+  // プレビューページ（音声は相対パスで参照）
+  const previewPath = path.join(planDir, 'preview.html');
+  const audioSrc = path.relative(planDir, audioPath).split(path.sep).join('/');
+  fs.writeFileSync(previewPath, buildPreviewHtml(baseName, slides, audioSrc), 'utf8');
+
+  // コンタクトシート: HTMLグリッドを描画してスクリーンショット
+  const sheetHtmlPath = path.join(planDir, '.contact_sheet.html');
+  const sheetPath = path.join(planDir, 'contact_sheet.png');
+  fs.writeFileSync(sheetHtmlPath, buildContactSheetHtml(baseName, slides), 'utf8');
+  const context = await browser.newContext({ viewport: { width: SHEET_COLUMNS * (SHEET_THUMB_WIDTH + 16) + 32, height: 600 } });
+  try {
+    const page = await context.newPage();
+    await page.goto(`file://${sheetHtmlPath}`, { waitUntil: 'load' });
+    await page.screenshot({ path: sheetPath, type: 'png', fullPage: true });
+  } finally {
+    await context.close();
+    fs.rmSync(sheetHtmlPath, { force: true });
+  }
+
+  return { sheetPath, previewPath };
+}
+
+module.exports = { writeStoryboard, formatClock };
@@ -0,0 +1,204 @@
+/**
+ * subtitles.js
+ *
+ * 台本セグメント + スライドタイミング → 字幕キュー（SRT / WebVTT）生成
+ *
+ * 各セグメントを句読点（。！？、英文のピリオド）で字幕サイズのキューに分割し、
+ * スライドの表示区間内に配分する。Whisperの単語タイムスタンプがあれば
+ * 発話位置に合わせて配分し、なければ文字数比率で配分する。
+ * 1キューの最大文字数と長文の切り方は台本の言語（script_markers.js）に従う。
+ */
+
+const fs = require('fs');
+const { LANGUAGES, DEFAULT_LANGUAGE, splitSentences } = require('./script_markers');
+
+// ── 定数 ──────────────────────────────────────────
+const MAX_CUE_CHARS = LANGUAGES[DEFAULT_LANGUAGE].maxLineChars; // 1キューの最大文字数（日本語）
+const CLAUSE_SPLIT = /(?<=[、，,])/;       // 長文は読点で分割
+
+// ── テキスト分割 ───────────────────────────────────
+
+/** 改行を除去して1行に連結（日本語同士は詰め、英単語間は空白） */
+function joinLines(text) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  let joined = '';
+  for (const line of lines) {
+    if (joined && /[\x21-\x7E]$/.test(joined) && /^[\x21-\x7E]/.test(line)) {
+      joined += ' ';
+    }
+    joined += line;
+  }
+  return joined;
+}
+
+/** maxChars を超える文を読点 → 固定長（空白区切りの言語は単語単位）の順に分割 */
+function splitLongSentence(sentence, maxChars, spaced = false) {
+  if (sentence.length <= maxChars) return [sentence];
+
+  const pieces = [];
+  let current = '';
+  for (const clause of sentence.split(CLAUSE_SPLIT)) {
+    if (current && (current + clause).length > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    current += clause;
+  }
+  if (current) pieces.push(current);
+
+  // 読点のない長い句は固定長で切る
+  const result = [];
+  for (const p of pieces) {
+    if (spaced && p.length > maxChars) {
+      let line = '';
+      for (const word of p.trim().split(/\s+/)) {
+        if (line && line.length + 1 + word.length > maxChars) {
+          result.push(line);
+          line = '';
+        }
+        line = line ? `${line} ${word}` : word;
+      }
+      if (line) result.push(line);
+      continue;
+    }
+    for (let i = 0; i < p.length; i += maxChars) {
+      result.push(p.substring(i, i + maxChars));
+    }
+  }
+  return result.map(s => s.trim()).filter(Boolean);
+}
+
+/** セグメントテキストを字幕キュー単位の文字列配列に分割 */
+function splitCaptionText(text, maxChars = MAX_CUE_CHARS, spaced = false) {
+  const sentences = splitSentences(joinLines(text)).map(s => s.trim()).filter(Boolean);
+  return sentences.flatMap(s => splitLongSentence(s, maxChars, spaced));
+}
+
+// ── タイミング配分 ─────────────────────────────────
+
+/** 発話量の比較用に空白・句読点・括弧を除いた文字数（script_markers.js の spokenLength() より厳しい） */
+function voicedLength(text) {
+  return text.replace(/[\s。、，,.！？!?「」『』（）()・…]/g, '').length;
+}
+
+/**
+ * 区間 [start, end] 内の「文字位置の割合 → 時刻」変換関数を作る
+ * Whisper単語があれば単語の発話区間で補間、なければ線形
+ */
+function buildTimeMap(start, end, words) {
+  const linear = f => start + (end - start) * f;
+  if (!words || words.length === 0) return linear;
+
+  const inWindow = words.filter(w => w.start >= start - 0.05 && w.start < end);
+  const spans = [];
+  let total = 0;
+  for (const w of inWindow) {
+    const len = voicedLength(w.word || '');
+    if (len === 0) continue;
+    spans.push({ from: total, len, start: w.start, end: Math.min(w.end, end) });
+    total += len;
+  }
+  if (total === 0) return linear;
+
+  return (f) => {
+    if (f <= 0) return start;
+    if (f >= 1) return end;
+    const target = f * total;
+    for (const s of spans) {
+      if (target <= s.from + s.len) {
+        const t = s.start + (s.end - s.start) * ((target - s.from) / s.len);
+        return Math.min(Math.max(t, start), end);
+      }
+    }
+    return end;
+  };
+}
+
+/**
+ * 台本セグメントとスライドごとの表示秒数から字幕キューを生成
+ *
+ * @param {string[]} segments - script_markers.js の splitScript() のセグメント
+ * @param {number[]} timings - スライドごとの表示秒数
+ * @param {Object} options
+ * @param {Array<{word: string, start: number, end: number}>} [options.words] - Whisper単語タイムスタンプ
+ * @param {Array<{text: string, spoken: boolean}>} [options.boundaries] - splitScript() の区切り
+ * @param {boolean} [options.includeMarkers] - マーカー文言を字幕に含めるか（デフォルト: false）
+ * @param {string} [options.language] - 台本の言語（ja / en / zh）
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function buildCues(segments, timings, {
+  words = null, boundaries = [], includeMarkers = false, language = DEFAULT_LANGUAGE,
+} = {}) {
+  const { maxLineChars, spaced } = LANGUAGES[language];
+  const cues = [];
+  let slideStart = 0;
+
+  for (let i = 0; i < segments.length; i++) {
+    const slideEnd = slideStart + timings[i];
+
+    // マーカーは字幕に出さない場合も発話時間の配分には含める（発話しない区切り行は含めない）
+    const pieces = splitCaptionText(segments[i], maxLineChars, spaced).map(text => ({ text, hidden: false }));
+    if (boundaries[i] && boundaries[i].spoken) {
+      pieces.push({ text: boundaries[i].text, hidden: !includeMarkers });
+    }
+
+    const lengths = pieces.map(p => Math.max(voicedLength(p.text), 1));
+    const totalLen = lengths.reduce((a, b) => a + b, 0);
+    const timeAt = buildTimeMap(slideStart, slideEnd, words);
+
+    let cum = 0;
+    for (let p = 0; p < pieces.length; p++) {
+      const cueStart = timeAt(cum / totalLen);
+      cum += lengths[p];
+      const cueEnd = timeAt(cum / totalLen);
+      if (!pieces[p].hidden && cueEnd > cueStart) {
+        cues.push({ start: cueStart, end: cueEnd, text: pieces[p].text });
+      }
+    }
+
+    slideStart = slideEnd;
+  }
+
+  return cues;
+}
+
+// ── 出力フォーマット ───────────────────────────────
+
+/** 秒 → "HH:MM:SS<sep>mmm" */
+function formatTimestamp(sec, sep) {
+  const ms = Math.max(Math.round(sec * 1000), 0);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+/** SRT形式の文字列を生成 */
+function formatSrt(cues) {
+  return cues.map((c, i) =>
+    `${i + 1}\n${formatTimestamp(c.start, ',')} --> ${formatTimestamp(c.end, ',')}\n${c.text}\n`
+  ).join('\n');
+}
+
+/** WebVTT形式の文字列を生成 */
+function formatVtt(cues) {
+  const body = cues.map(c =>
+    `${formatTimestamp(c.start, '.')} --> ${formatTimestamp(c.end, '.')}\n${c.text}\n`
+  ).join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+/**
+ * <basePath>.srt / <basePath>.vtt を書き出す
+ * @returns {{srtPath: string, vttPath: string}}
+ */
+function writeSubtitles(basePath, cues) {
+  const srtPath = `${basePath}.srt`;
+  const vttPath = `${basePath}.vtt`;
+  fs.writeFileSync(srtPath, formatSrt(cues), 'utf8');
+  fs.writeFileSync(vttPath, formatVtt(cues), 'utf8');
+  return { srtPath, vttPath };
+}
+
+module.exports = { MAX_CUE_CHARS, splitCaptionText, buildTimeMap, buildCues, formatSrt, formatVtt, writeSubtitles };
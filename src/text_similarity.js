@@ -0,0 +1,333 @@
+/**
+ * text_similarity.js
+ *
+ * アライメント分析でのスライドテキストと台本セグメントの類似度
+ *
+ * 戦略（video.config.json の similarity.strategy で選択）:
+ *   keywords — CJK・カタカナ・英数字の連続をキーワードとし Jaccard 係数（既定）
+ *   ngram    — 日本語は文字バイグラム + トライグラム（ひらがなだけのものは除く）、英数字は単語。
+ *              スライド側の何割が台本に現れるか（被覆率）
+ *   tokens   — 形態素解析（kuromoji）の内容語を読みで正規化し、被覆率。日本語以外の台本は ngram
+ *
+ * ngram / tokens は比較前に正規化する（NFKC で全角・半角を統一、英字は小文字、カタカナ語末尾の長音を除去、
+ * 同義語・読みの表を代表表記に置換。例: エーピーアイ → API）。
+ * keywords は導入前とスコアを変えないため、プロジェクトで synonyms を設定した場合のみ正規化する
+ * （その場合は3文字未満の代表表記（AI・UI など）もキーワードに含める）。
+ * 閾値（FAIL / WARN）は戦略ごとに決めてあり、スコアの分布が違うため戦略間で共通にしない。
+ */
+
+const path = require('path');
+
+// ── 定数 ──────────────────────────────────────────
+const DEFAULT_STRATEGY = 'keywords';
+
+// 日本語助詞フィルタ（キーワード抽出時に除外）
+const STOP_WORDS = new Set([
+  'の', 'に', 'は', 'を', 'た', 'が', 'で', 'て', 'と', 'し', 'れ',
+  'さ', 'ある', 'いる', 'も', 'する', 'から', 'な', 'こと', 'として',
+  'い', 'や', 'れる', 'など', 'なっ', 'なり', 'でき', 'これ', 'それ',
+  'あり', 'ため', 'この', 'その', 'よう', 'また', 'もの', 'という',
+  'あっ', 'よる', 'だっ', 'まし', 'ます', 'です', 'ませ', 'でし',
+  'ましょ', 'ください', 'ところ', 'ほう', 'ほど', 'だけ', 'まで',
+  'ない', 'なく', 'なか', 'なけれ', 'ここ', 'そこ', 'どう', 'どの',
+]);
+
+// 英語の機能語フィルタ（en の台本のキーワード抽出時に除外）
+const EN_STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'all', 'can', 'was', 'were', 'will',
+  'this', 'that', 'these', 'those', 'with', 'from', 'into', 'have', 'has', 'had', 'what', 'which',
+  'when', 'where', 'how', 'why', 'who', 'its', 'our', 'they', 'them', 'their', 'there', 'here',
+  'then', 'than', 'also', 'just', 'let', 'lets', 'about', 'more', 'most', 'some', 'such', 'very',
+  'each', 'now', 'next', 'slide', 'please', 'use', 'using', 'one', 'two', 'way', 'like', 'make',
+]);
+
+// 同義語・読みの表（代表表記 → 別表記）。プロジェクトの similarity.synonyms で追加・上書きできる
+// 既定は略語・製品名の読みに限る（ポスト・ゲットのような普通の語になる読みや、データベース → DB のような言い換えは含めない）
+const DEFAULT_SYNONYMS = {
+  API: ['エーピーアイ'],
+  URL: ['ユーアールエル'],
+  HTML: ['エイチティーエムエル'],
+  CSS: ['シーエスエス'],
+  HTTP: ['エイチティーティーピー'],
+  JSON: ['ジェイソン'],
+  SQL: ['エスキューエル', 'シークェル'],
+  AI: ['エーアイ'],
+  UI: ['ユーアイ'],
+  ID: ['アイディー'],
+  PC: ['ピーシー'],
+  JavaScript: ['ジャバスクリプト'],
+  TypeScript: ['タイプスクリプト'],
+  Python: ['パイソン'],
+  Git: ['ギット'],
+  GitHub: ['ギットハブ'],
+};
+
+// 形態素解析で内容語とみなす品詞（細分類 1 が除外リストにないもの）
+const CONTENT_POS = {
+  名詞: new Set(['非自立', '代名詞', '数', '接尾']),
+  動詞: new Set(['非自立', '接尾']),
+  形容詞: new Set(['非自立', '接尾']),
+};
+
+// 内容語でも比較に使わない動詞（形態素解析の基本形）
+const TOKEN_STOP_WORDS = new Set(['する', 'ある', 'いる', 'なる', 'できる', 'いう', 'みる', 'くる', 'いく', 'おる', 'れる', 'られる']);
+
+const KANJI = /[\u3400-\u9FFF\uF900-\uFAFF]/;
+const HIRAGANA_ONLY = /^[\u3040-\u309F]+$/;
+
+// ── 正規化 ───────────────────────────────────────
+
+/** 別表記の前後の境界（英数字・カタカナの語の途中では置換しない） */
+function boundary(ch) {
+  if (/[a-z0-9]/.test(ch)) return '[a-z0-9]';
+  if (/[\u30A0-\u30FF]/.test(ch)) return '[\u30A0-\u30FF]';
+  return null;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** 英数字・記号の全角半角を統一し、英字を小文字に */
+function normalizeWidth(text) {
+  return text.normalize('NFKC').toLowerCase();
+}
+
+/**
+ * 同義語表を置換ルールにする（長い別表記から順に置換）
+ * @param {Object<string, string[]|string>} synonyms - 代表表記 → 別表記
+ * @returns {Array<{pattern: RegExp, canonical: string}>}
+ */
+function synonymRules(synonyms) {
+  const rules = [];
+  for (const [canonical, variants] of Object.entries(synonyms)) {
+    for (const variant of [].concat(variants)) {
+      const v = normalizeWidth(variant);
+      if (!v || v === normalizeWidth(canonical)) continue;
+      const before = boundary(v[0]);
+      const after = boundary(v[v.length - 1]);
+      rules.push({
+        length: v.length,
+        pattern: new RegExp(`${before ? `(?<!${before})` : ''}${escapeRegExp(v)}${after ? `(?!${after})` : ''}`, 'g'),
+        canonical: normalizeWidth(canonical),
+      });
+    }
+  }
+  return rules.sort((a, b) => b.length - a.length);
+}
+
+/** 比較用に正規化（全角半角・大文字小文字・同義語・カタカナ語末尾の長音） */
+function normalizeText(text, rules = []) {
+  let s = normalizeWidth(text);
+  for (const { pattern, canonical } of rules) s = s.replace(pattern, canonical);
+  // サーバー / サーバ のような表記ゆれ（4文字以上のカタカナ語の末尾の長音を除く）
+  return s.replace(/([\u30A0-\u30FF]{3,})ー(?![\u30A0-\u30FF])/g, '$1');
+}
+
+// ── 特徴量 ───────────────────────────────────────
+
+/**
+ * テキストからキーワードを抽出
+ * 中国語は漢字が区切りなく続くため、連続の代わりに2文字ずつ（バイグラム）を使う
+ */
+function extractKeywords(text, language = 'ja') {
+  const keywords = new Set();
+
+  // CJK文字の2文字以上の連続を抽出
+  const cjkPattern = /[\u3400-\u9FFF\uF900-\uFAFF]{2,}/g;
+  let match;
+  while ((match = cjkPattern.exec(text)) !== null) {
+    const word = match[0];
+    if (language === 'zh') {
+      for (let i = 0; i < word.length - 1; i++) keywords.add(word.slice(i, i + 2));
+    } else if (!STOP_WORDS.has(word)) {
+      keywords.add(word);
+    }
+  }
+
+  // カタカナの2文字以上の連続を抽出
+  const katakanaPattern = /[\u30A0-\u30FF]{2,}/g;
+  while ((match = katakanaPattern.exec(text)) !== null) {
+    const word = match[0];
+    if (!STOP_WORDS.has(word)) {
+      keywords.add(word);
+    }
+  }
+
+  // ASCII英数字の3文字以上の単語を抽出（小文字化）
+  const asciiPattern = /[A-Za-z0-9]{3,}/g;
+  while ((match = asciiPattern.exec(text)) !== null) {
+    const word = match[0].toLowerCase();
+    if (language === 'en' && EN_STOP_WORDS.has(word)) continue;
+    keywords.add(word);
+  }
+
+  return keywords;
+}
+
+/**
+ * 同義語の代表表記のうち、keywords が拾わない3文字未満の英数字の語（ai・ui など）を抽出
+ * @param {string} text - normalizeText() 済みのテキスト
+ * @param {Set<string>} terms - 正規化済みの代表表記
+ */
+function shortTerms(text, terms) {
+  return (text.match(/[a-z0-9]+/g) || []).filter(w => w.length < 3 && terms.has(w));
+}
+
+/** 英数字の単語（2文字以上、英語の機能語を除く） */
+function asciiWords(text) {
+  return (text.match(/[a-z0-9]{2,}/g) || []).filter(w => !EN_STOP_WORDS.has(w));
+}
+
+/** 日本語・中国語の連続から文字バイグラム + トライグラム、英数字は単語 */
+function ngramFeatures(text) {
+  const features = new Set(asciiWords(text));
+  for (const [run] of text.matchAll(/[\u3040-\u30FF\u3400-\u9FFF\uF900-\uFAFF]+/g)) {
+    for (const n of [2, 3]) {
+      for (let i = 0; i + n <= run.length; i++) {
+        const gram = run.slice(i, i + n);
+        if (!HIRAGANA_ONLY.test(gram)) features.add(gram);
+      }
+    }
+  }
+  return features;
+}
+
+let tokenizer = null;
+
+/** kuromoji の辞書を読み込む（初回のみ、数秒かかる） */
+function loadTokenizer() {
+  if (tokenizer) return Promise.resolve(tokenizer);
+  const kuromoji = require('kuromoji');
+  const dicPath = path.join(path.dirname(require.resolve('kuromoji/package.json')), 'dict');
+  return new Promise((resolve, reject) => {
+    kuromoji.builder({ dicPath }).build((err, built) => {
+      if (err) {
+        reject(new Error(`kuromoji dictionary could not be loaded: ${err.message}`));
+        return;
+      }
+      tokenizer = built;
+      resolve(built);
+    });
+  });
+}
+
+/** 形態素解析の内容語（漢字・ひらがなの語は読み、それ以外は表層形） */
+function tokenFeatures(text) {
+  const features = new Set(asciiWords(text));
+  for (const token of tokenizer.tokenize(text)) {
+    const excluded = CONTENT_POS[token.pos];
+    if (!excluded || excluded.has(token.pos_detail_1)) continue;
+    const base = token.basic_form !== '*' ? token.basic_form : token.surface_form;
+    if (STOP_WORDS.has(base) || TOKEN_STOP_WORDS.has(base) || /^[a-z0-9]+$/.test(base)) continue;
+    const key = /[\u3040-\u309F\u3400-\u9FFF]/.test(base) && token.reading && token.pos === '名詞'
+      ? token.reading
+      : base;
+    if (key.length < 2 && !KANJI.test(key)) continue;
+    features.add(key);
+  }
+  return features;
+}
+
+// ── スコア ───────────────────────────────────────
+
+/** Jaccard類似度を算出 */
+function jaccardSimilarity(setA, setB) {
+  if (setA.size === 0 && setB.size === 0) return 1.0;
+  const intersection = new Set([...setA].filter(x => setB.has(x)));
+  const union = new Set([...setA, ...setB]);
+  if (union.size === 0) return 1.0;
+  return intersection.size / union.size;
+}
+
+/** スライド側の特徴のうち台本に現れる割合（被覆率） */
+function containment(slide, script) {
+  if (slide.size === 0) return script.size === 0 ? 1.0 : 0;
+  let hits = 0;
+  for (const f of slide) if (script.has(f)) hits++;
+  return hits / slide.size;
+}
+
+// ── 戦略 ───────────────────────────────────────
+
+// 閾値は日本語の講座の台本で、対応するスライドとの組と対応しない組のスコアの分布から決めた
+// （ngram / tokens は対応しない組でも 0.2〜0.3 程度になるため keywords より高い）
+const STRATEGIES = {
+  keywords: {
+    name: 'keywords',
+    label: 'Jaccard',
+    fail: 0.15,
+    warn: 0.30,
+    features: extractKeywords,
+    score: jaccardSimilarity,
+    normalize: 'synonyms', // synonyms を設定したときのみ
+  },
+  ngram: {
+    name: 'ngram',
+    label: 'N-gram coverage',
+    fail: 0.25,
+    warn: 0.40,
+    features: ngramFeatures,
+    score: containment,
+  },
+  tokens: {
+    name: 'tokens',
+    label: 'Token coverage',
+    fail: 0.20,
+    warn: 0.35,
+    prepare: loadTokenizer,
+    features: tokenFeatures,
+    score: containment,
+    languages: ['ja'], // それ以外は ngram
+  },
+};
+const SIMILARITY_STRATEGIES = Object.keys(STRATEGIES);
+
+/**
+ * 類似度の計算器を作る（tokens は辞書を読み込む）
+ * @param {{strategy?: string, synonyms?: Object<string, string[]|string>}} [options]
+ *   synonyms はプロジェクトの同義語表（既定の表に追加・上書き）。keywords は空なら正規化しない
+ * @returns {Promise<{strategy: string, strategyFor: Function, compare: Function}>}
+ *   strategyFor(language) → 台本の言語で実際に使う戦略名
+ *   compare(slideText, scriptText, language) → { strategy, label, score, fail, warn, slideFeatures, scriptFeatures }
+ */
+async function createScorer({ strategy = DEFAULT_STRATEGY, synonyms = {} } = {}) {
+  const impl = STRATEGIES[strategy];
+  if (!impl) throw new Error(`unknown similarity strategy: ${strategy} (${SIMILARITY_STRATEGIES.join(' / ')})`);
+  if (impl.prepare) await impl.prepare();
+  const rules = synonymRules({ ...DEFAULT_SYNONYMS, ...synonyms });
+  const terms = new Set(rules.map(r => r.canonical));
+  const configured = Object.keys(synonyms).length > 0;
+  const implFor = language => (impl.languages && !impl.languages.includes(language) ? STRATEGIES.ngram : impl);
+  const featuresOf = (s, text, language) => {
+    if (s.normalize === 'synonyms' && !configured) return s.features(text, language);
+    const normalized = normalizeText(text, rules);
+    const features = s.features(normalized, language);
+    if (s.normalize === 'synonyms') shortTerms(normalized, terms).forEach(t => features.add(t));
+    return features;
+  };
+
+  return {
+    strategy,
+    strategyFor: language => implFor(language).name,
+    compare(slideText, scriptText, language = 'ja') {
+      const s = implFor(language);
+      const slideFeatures = featuresOf(s, slideText, language);
+      const scriptFeatures = featuresOf(s, scriptText, language);
+      return {
+        strategy: s.name,
+        label: s.label,
+        score: s.score(slideFeatures, scriptFeatures),
+        fail: s.fail,
+        warn: s.warn,
+        slideFeatures,
+        scriptFeatures,
+      };
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_STRATEGY, SIMILARITY_STRATEGIES, DEFAULT_SYNONYMS,
+  normalizeText, synonymRules, extractKeywords, jaccardSimilarity, createScorer,
+};
@@ -0,0 +1,100 @@
+/**
+ * thumbnail.js
+ *
+ * トピックごとのサムネイル画像（videos/<baseName>.thumbnail.jpg）
+ *
+ *   デフォルト   — 表紙スライド（data-cover 属性 / cover クラスのスライド、なければ1枚目）をキャプチャ
+ *                  （スライド資料は slide_sources.js のアダプタで開く）
+ *   テンプレート — video.config.json の thumbnail.template の {{title}} {{courseName}} {{topic}}
+ *                  {{chapter}} {{episode}} {{number}} {{level}} を置換してキャプチャ
+ *
+ * YouTube の推奨に合わせて 1280x720 の JPEG、2MB 未満になるまで画質を下げて保存する。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fillTemplate } = require('./branding');
+const { LEVEL_LABELS } = require('./topic_sort');
+const { openDeck } = require('./slide_sources');
+
+// ── 定数 ──────────────────────────────────────────
+const THUMBNAIL_SIZE = { width: 1280, height: 720 };
+const MAX_THUMBNAIL_BYTES = 2 * 1024 * 1024;
+const JPEG_QUALITIES = [90, 80, 70, 60, 50];
+const FONT_WAIT_MS = 1500;
+const SLIDE_ANIM_MS = 3000;
+
+/** 出力ファイル名（videos/ からの相対） */
+function thumbnailFileName(baseName) {
+  return `${baseName}.thumbnail.jpg`;
+}
+
+/**
+ * テンプレートの置換変数（話数はソートキーから）
+ * @param {[number, number, number, string]} sortKey - topic_sort.js の getTopicSortKey()
+ */
+function thumbnailVars({ baseName, title, courseName, sortKey }) {
+  const [level, chapter, episode] = sortKey;
+  const numbered = level !== 99 || chapter > 0;
+  return {
+    title,
+    courseName: courseName || '',
+    topic: baseName,
+    chapter: numbered ? String(chapter) : '',
+    episode: numbered ? String(episode) : '',
+    number: numbered ? `${chapter}-${episode}` : '',
+    level: LEVEL_LABELS[level] || '',
+  };
+}
+
+/**
+ * サムネイルをレンダリングして JPEG で保存
+ *
+ * @param {import('playwright').Browser} browser
+ * @param {Object} job
+ * @param {string} job.deckPath - スライド資料（HTML / PDF）
+ * @param {string} [job.adapter] - スライドアダプタ（slide_sources.js、既定は自動判定）
+ * @param {string|null} job.template - テンプレートHTML（null なら表紙スライド）
+ * @param {Object} job.vars - テンプレートの置換変数
+ * @param {string} job.outPath - 出力JPEG
+ * @returns {Promise<number>} ファイルサイズ（バイト）
+ */
+async function renderThumbnail(browser, { deckPath, adapter, template, vars, outPath }) {
+  const context = await browser.newContext({ viewport: THUMBNAIL_SIZE, deviceScaleFactor: 1 });
+  let deck = null;
+  try {
+    const page = await context.newPage();
+    if (template) {
+      // 相対パスの画像・CSSはテンプレート基準で解決する（バンパーと同じ）
+      await page.goto(`file://${template}`, { waitUntil: 'load' });
+      await page.setContent(fillTemplate(fs.readFileSync(template, 'utf8'), vars), { waitUntil: 'networkidle' });
+      await page.waitForTimeout(FONT_WAIT_MS);
+    } else {
+      deck = await openDeck(page, deckPath, { adapter });
+      await page.waitForTimeout(FONT_WAIT_MS);
+      await deck.show(await deck.coverIndex());
+      await page.waitForTimeout(SLIDE_ANIM_MS);
+    }
+
+    // 2MB 未満になるまで画質を下げる
+    let jpeg;
+    for (const quality of JPEG_QUALITIES) {
+      jpeg = await page.screenshot({ type: 'jpeg', quality });
+      if (jpeg.length < MAX_THUMBNAIL_BYTES) break;
+    }
+    if (jpeg.length >= MAX_THUMBNAIL_BYTES) {
+      throw new Error(`thumbnail exceeds 2MB even at quality ${JPEG_QUALITIES[JPEG_QUALITIES.length - 1]}`);
+    }
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, jpeg);
+    return jpeg.length;
+  } finally {
+    await context.close();
+    if (deck) deck.close();
+  }
+}
+
+module.exports = {
+  THUMBNAIL_SIZE, MAX_THUMBNAIL_BYTES,
+  thumbnailFileName, thumbnailVars, renderThumbnail,
+};
@@ -0,0 +1,177 @@
+/**
+ * timing_overrides.js
+ *
+ * スライドタイミングの手動補正ファイル（<baseName>.timings.json / .timings.yaml）の
+ * 読み込みと、算出済みタイミングの書き出し
+ *
+ * ファイル形式（JSON）:
+ *   {
+ *     "slides": [
+ *       { "index": 3, "start": 61.2 },        ← スライド3の開始時刻を固定
+ *       { "index": 5, "duration": 42.0 }      ← スライド5の表示秒数を固定（開始が確定している場合）
+ *     ]
+ *   }
+ *
+ * YAML も同じ構造（slides: 配下にスカラー値のみのマップを並べた形式）を受け付ける。
+ * 記載のないスライドの境界は通常どおり自動算出される。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OVERRIDE_EXTENSIONS = ['.timings.json', '.timings.yaml', '.timings.yml'];
+
+/** 補正ファイルのパスを探す（なければ null） */
+function findTimingOverrideFile(contentDir, baseName) {
+  for (const ext of OVERRIDE_EXTENSIONS) {
+    const p = path.join(contentDir, `${baseName}${ext}`);
+    if (fs.existsSync(p)) return p;
+  }
+  return null;
+}
+
+/** YAMLスカラー値を数値 / 真偽値 / 文字列に変換 */
+function parseYamlScalar(v) {
+  const s = v.trim().replace(/^["']|["']$/g, '');
+  if (s === 'null' || s === '~' || s === '') return null;
+  if (s === 'true' || s === 'false') return s === 'true';
+  const n = Number(s);
+  return Number.isNaN(n) ? s : n;
+}
+
+/**
+ * 補正ファイル用の最小限のYAMLパーサ
+ * トップレベルのスカラー値と、リスト（- key: value）を値に持つキーのみ対応
+ */
+function parseSimpleYaml(text) {
+  const root = {};
+  let listKey = null;
+  let item = null;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/\s+#.*$/, '');
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const top = line.match(/^([A-Za-z_][\w-]*):\s*(.*)$/);
+    if (top) {
+      listKey = null;
+      if (top[2] === '') {
+        listKey = top[1];
+        root[listKey] = [];
+      } else {
+        root[top[1]] = parseYamlScalar(top[2]);
+      }
+      continue;
+    }
+
+    const entry = line.match(/^\s+(-\s+)?([A-Za-z_][\w-]*):\s*(.*)$/);
+    if (!entry || !listKey) {
+      throw new Error(`Unsupported YAML line: ${raw.trim()}`);
+    }
+    if (entry[1]) {
+      item = {};
+      root[listKey].push(item);
+    }
+    if (!item) throw new Error(`Unsupported YAML line: ${raw.trim()}`);
+    item[entry[2]] = parseYamlScalar(entry[3]);
+  }
+
+  return root;
+}
+
+/**
+ * 補正ファイルを読み込み、固定する境界を求める
+ *
+ * 境界 k はスライド k+1（1始まり）の開始時刻。境界0（= 0秒）は常に固定。
+ * duration は開始時刻が確定しているスライドにのみ適用し、次スライドの開始を固定する。
+ * 次スライドに start が明示されている場合は start を優先する。
+ *
+ * @param {string} filePath - 補正ファイルのパス
+ * @param {number} numSlides - スライド数
+ * @returns {{locks: Map<number, number>, warnings: string[]}} 境界インデックス → 秒
+ */
+function loadTimingOverrides(filePath, numSlides) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  let data;
+  try {
+    data = filePath.endsWith('.json') ? JSON.parse(text) : parseSimpleYaml(text);
+  } catch (err) {
+    throw new Error(`Invalid timing override file ${path.basename(filePath)}: ${err.message}`);
+  }
+
+  const entries = Array.isArray(data) ? data : data.slides;
+  if (!Array.isArray(entries)) {
+    throw new Error(`Invalid timing override file ${path.basename(filePath)}: "slides" list not found`);
+  }
+
+  const starts = new Map();
+  const durations = new Map();
+  for (const e of entries) {
+    if (!Number.isInteger(e.index) || e.index < 1 || e.index > numSlides) {
+      throw new Error(`Timing override: slide index ${e.index} out of range (1-${numSlides})`);
+    }
+    const k = e.index - 1;
+    if (typeof e.start === 'number') starts.set(k, e.start);
+    if (typeof e.duration === 'number') durations.set(k, e.duration);
+  }
+
+  const warnings = [];
+  const locks = new Map([[0, 0]]);
+  if (starts.has(0) && starts.get(0) !== 0) {
+    warnings.push('slide 1: start is always 0, ignored');
+  }
+
+  for (let k = 0; k < numSlides; k++) {
+    if (k > 0 && starts.has(k)) locks.set(k, starts.get(k));
+    if (!durations.has(k) || k === numSlides - 1) continue;
+
+    if (!locks.has(k)) {
+      warnings.push(`slide ${k + 1}: duration ignored (start is not fixed)`);
+      continue;
+    }
+    const end = locks.get(k) + durations.get(k);
+    if (starts.has(k + 1)) {
+      if (Math.abs(starts.get(k + 1) - end) > 0.01) {
+        warnings.push(`slide ${k + 1}: duration conflicts with slide ${k + 2} start, using start`);
+      }
+      continue;
+    }
+    locks.set(k + 1, end);
+  }
+
+  locks.delete(0);
+  return { locks, warnings };
+}
+
+/**
+ * 算出済みタイミングを補正ファイルと同じ形式で書き出す
+ * 補正ファイルは前後の無音トリム前の音声に適用されるため、timings もトリム前の元音声基準で渡す
+ * @param {string} outPath - 出力先（.json）
+ * @param {Object} info
+ * @param {string} info.baseName
+ * @param {number} info.totalDuration - 元音声の再生秒数
+ * @param {number[]} info.timings - スライドごとの表示秒数（元音声基準）
+ * @param {string[]} info.sources - スライドごとの開始境界の決定方法
+ */
+function writeTimings(outPath, { baseName, totalDuration, timings, sources }) {
+  let start = 0;
+  const slides = timings.map((duration, i) => {
+    const entry = {
+      index: i + 1,
+      start: parseFloat(start.toFixed(3)),
+      duration: parseFloat(duration.toFixed(3)),
+      source: sources[i],
+    };
+    start += duration;
+    return entry;
+  });
+
+  const data = {
+    base_name: baseName,
+    audio_duration_sec: parseFloat(totalDuration.toFixed(3)),
+    slides,
+  };
+  fs.writeFileSync(outPath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+}
+
+module.exports = { findTimingOverrideFile, loadTimingOverrides, parseSimpleYaml, writeTimings };
@@ -15,6 +15,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { findTopicAudio } = require('./audio_sources');
+const { findSlideDeck, isSlideDeck } = require('./slide_sources');
 
 // デフォルトの処理件数
 const DEFAULT_LIMIT = 5;
@@ -67,29 +69,30 @@ function getTopicSortKey(baseName, subfolder = '') {
 /**
  * contentDir内の全トピックを発見し、視聴順にソートして返す
  * フラット構造（content/xxx.html）とサブフォルダ構造（content/intro/xxx.html）の両方に対応
+ * スライド資料は HTML または PDF（slide_sources.js の findSlideDeck）
  *
  * @param {string} contentDir - コンテンツディレクトリのパス
  * @param {Object} options
- * @param {boolean} options.requireMp3 - MP3必須かどうか（デフォルト: false）
+ * @param {boolean} options.requireAudio - 音声（audio_sources.js の findTopicAudio）必須かどうか（デフォルト: false）
  * @returns {Array<{baseName: string, subfolder: string, sortKey: number[]}>}
  */
-function discoverTopics(contentDir, { requireMp3 = false } = {}) {
+function discoverTopics(contentDir, { requireAudio = false } = {}) {
   const topics = [];
 
   function scanDir(dir, subfolder) {
     if (!fs.existsSync(dir)) return;
     const files = fs.readdirSync(dir);
-    const htmlSet = new Set();
+    const deckSet = new Set();
 
     for (const f of files) {
-      if (f.endsWith('.html') && f !== 'index.html') {
-        htmlSet.add(f.replace('.html', ''));
+      if (isSlideDeck(f) && f !== 'index.html') {
+        deckSet.add(path.parse(f).name);
       }
     }
 
-    for (const base of htmlSet) {
+    for (const base of deckSet) {
       if (!fs.existsSync(path.join(dir, `${base}.txt`))) continue;
-      if (requireMp3 && !fs.existsSync(path.join(dir, `${base}.mp3`))) continue;
+      if (requireAudio && !findTopicAudio(dir, base)) continue;
 
       topics.push({
         baseName: base,
@@ -129,7 +132,7 @@ function discoverTopics(contentDir, { requireMp3 = false } = {}) {
  */
 function findTopic(contentDir, baseName) {
   // ルート直下を先にチェック
-  if (fs.existsSync(path.join(contentDir, `${baseName}.html`))) {
+  if (findSlideDeck(contentDir, baseName)) {
     return { baseName, subfolder: '', sortKey: getTopicSortKey(baseName, '') };
   }
 
@@ -137,7 +140,7 @@ function findTopic(contentDir, baseName) {
   const entries = fs.readdirSync(contentDir, { withFileTypes: true });
   for (const entry of entries) {
     if (entry.isDirectory() && !entry.name.startsWith('.')) {
-      if (fs.existsSync(path.join(contentDir, entry.name, `${baseName}.html`))) {
+      if (findSlideDeck(path.join(contentDir, entry.name), baseName)) {
         return { baseName, subfolder: entry.name, sortKey: getTopicSortKey(baseName, entry.name) };
       }
     }
@@ -0,0 +1,102 @@
+/**
+ * transitions.js
+ *
+ * スライド間トランジション（ffmpeg xfade）のフィルタグラフ生成
+ *
+ * トランジションは算出済みの境界を中心に配置する。
+ * 境界 b、トランジション長 T のとき [b - T/2, b + T/2] で切り替わるよう、
+ * 各スライド画像のクリップを前後に T/2 ずつ延長して xfade で重ねる。
+ * 重なり分と延長分が相殺されるため、総尺はタイミングの合計（= 音声長）と一致する。
+ */
+
+// ── 定数 ──────────────────────────────────────────
+const DEFAULT_TRANSITION = 'cut';
+const DEFAULT_TRANSITION_SEC = 0.5;
+
+// トランジション名 → ffmpeg xfade の transition
+const TRANSITIONS = {
+  cut: null,                // ハードカット（concat demuxer、従来どおり）
+  fade: 'fadeblack',        // 黒を経由するフェード
+  crossfade: 'fade',        // クロスフェード
+  'slide-wipe': 'slideleft', // 次スライドが右から押し出す
+};
+
+/**
+ * 境界ごとのトランジション長を求める
+ * 隣接スライドの表示秒数を超えないよう短縮する（前後のトランジションが重ならない）
+ * @returns {number[]} 境界 k（スライド k と k+1 の間、1始まり）の長さ。添字0は未使用
+ */
+function transitionDurations(timings, duration) {
+  const durations = [0];
+  for (let k = 1; k < timings.length; k++) {
+    durations.push(Math.min(duration, timings[k - 1], timings[k]));
+  }
+  return durations;
+}
+
+/**
+ * xfade によるトランジション付き映像のフィルタグラフを生成
+ * ステップ表示のあるスライドはステップ画像をハードカットで連結してから xfade する
+ *
+ * @param {Array<Array<{path: string, duration: number}>>} slideFrames - スライドごとの画像と表示秒数
+ * @param {number[]} timings - スライドごとの表示秒数
+ * @param {Object} options
+ * @param {string} options.type - トランジション名（TRANSITIONS のキー）
+ * @param {number} options.duration - トランジション長（秒）
+ * @param {string} options.scale - 出力解像度への拡縮フィルタ（"scale=1920:1080:flags=lanczos" 等）
+ * @param {number} options.fps - フレームレート
+ * @returns {{inputArgs: string[], filter: string, outLabel: string, audioInput: number}}
+ *   inputArgs は ffmpeg の入力引数（画像ごとに1入力）、filter は -filter_complex 用、
+ *   audioInput は後続に追加する音声入力のインデックス
+ */
+function buildTransitionGraph(slideFrames, timings, { type, duration, scale, fps }) {
+  const xfade = TRANSITIONS[type];
+  if (!xfade) {
+    throw new Error(`Unknown transition: ${type} (${Object.keys(TRANSITIONS).join(' / ')})`);
+  }
+
+  const n = timings.length;
+  const tDur = transitionDurations(timings, duration);
+  const inputArgs = [];
+  const chains = [];
+
+  // 各スライドのクリップ: 前後の境界でトランジション長の半分ずつ延長
+  // （先頭ステップを前に、末尾ステップを後ろに延長）
+  let input = 0;
+  for (let i = 0; i < n; i++) {
+    const before = i > 0 ? tDur[i] / 2 : 0;
+    const after = i < n - 1 ? tDur[i + 1] / 2 : 0;
+    const frames = slideFrames[i];
+    const labels = frames.map((frame, f) => {
+      const len = frame.duration + (f === 0 ? before : 0) + (f === frames.length - 1 ? after : 0);
+      inputArgs.push(`-loop 1 -framerate ${fps} -t ${len.toFixed(4)} -i "${frame.path}"`);
+      const label = frames.length > 1 ? `v${i}s${f}` : `v${i}`;
+      chains.push(`[${input++}:v]${scale},setsar=1,fps=${fps},format=yuv420p[${label}]`);
+      return `[${label}]`;
+    });
+    if (frames.length > 1) {
+      chains.push(`${labels.join('')}concat=n=${frames.length}:v=1:a=0[v${i}]`);
+    }
+  }
+
+  // xfade を連鎖: offset は出力タイムライン上の境界 - T/2
+  let prev = 'v0';
+  let boundary = 0;
+  for (let k = 1; k < n; k++) {
+    boundary += timings[k - 1];
+    const label = `x${k}`;
+    if (tDur[k] > 0) {
+      const offset = boundary - tDur[k] / 2;
+      chains.push(
+        `[${prev}][v${k}]xfade=transition=${xfade}:duration=${tDur[k].toFixed(4)}:offset=${offset.toFixed(4)}[${label}]`
+      );
+    } else {
+      chains.push(`[${prev}][v${k}]concat=n=2:v=1:a=0[${label}]`);
+    }
+    prev = label;
+  }
+
+  return { inputArgs, filter: chains.join(';'), outLabel: prev, audioInput: input };
+}
+
+module.exports = { DEFAULT_TRANSITION, DEFAULT_TRANSITION_SEC, TRANSITIONS, transitionDurations, buildTransitionGraph };
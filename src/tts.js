@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/**
+ * tts.js
+ *
+ * 台本TXTからナレーションを合成するプロバイダ群
+ *
+ * プロバイダ:
+ *   command — ローカルの TTS エンジン（video.config.json の tts.command、なければ環境変数 TTS_COMMAND）
+ *             {input}（台本を書いた UTF-8 テキストファイル）/ {text}（台本そのもの）/ {output}（出力 WAV）/
+ *             {language}（台本の言語 ja / en / zh）を置換して実行
+ *   stub    — 話速から推定した長さの持続音（テスト・動作確認用）
+ *
+ * 各プロバイダは { name, isAvailable(ctx), synthesize(ctx) } を実装し、
+ * synthesize() は ctx.text を ctx.outPath に WAV で書き出す。
+ *
+ * 台本はスライド区切り（script_markers.js のマーカー文言・区切り行）で分け、マーカー文言は読み上げない。
+ * セグメントごとに合成して content/<baseName>/slide_001.wav, ... に出力するため、
+ * 生成時はスライドごとの音声（audio_sources.js）として扱われ、マーカー検出は不要になる。
+ * 合成前に発音辞書（pronunciations.json、{ "API": "エーピーアイ" }）で表記を読みに置き換える。
+ * 台本・辞書・プロバイダ設定が変わったセグメントだけを合成し直す（<baseName>/tts.json に記録）。
+ *
+ * Usage:
+ *   node src/tts.js --project /path/to/project --all
+ *   node src/tts.js --project /path/to/project 01-01_xxx --provider stub
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execAsync } = require('./job_pool');
+const { hasCommand } = require('./commands');
+const { hashJson } = require('./render_cache');
+const { findTopicAudio, listSlideAudio } = require('./audio_sources');
+const { DEFAULT_SPEECH_RATE, estimateTimings, buildDraftAudio } = require('./draft');
+const { loadProjectConfig, topicConfig } = require('./project_config');
+const { DEFAULT_LANGUAGE, DEFAULT_SCRIPT, languageOf, splitScript, stripStepMarkers } = require('./script_markers');
+const { discoverTopics, findTopic, getTopicDir, DEFAULT_LIMIT } = require('./topic_sort');
+
+// ── 定数 ──────────────────────────────────────────
+const TTS_PROVIDERS = ['command', 'stub'];
+const DEFAULT_TTS_PROVIDER = 'command';
+const STATE_FILE = 'tts.json';
+const EMPTY_SEGMENT_SEC = 1; // 台本が空のスライドは無音
+const TTS_TIMEOUT_MS = 300000;
+
+// ── 発音辞書 ───────────────────────────────────────
+
+/**
+ * 発音辞書（{ "表記": "読み" }）を読み込む
+ * @returns {Object<string, string>} ファイルがなければ空
+ */
+function loadPronunciations(dictPath) {
+  if (!dictPath || !fs.existsSync(dictPath)) return {};
+  let dict;
+  try {
+    dict = JSON.parse(fs.readFileSync(dictPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`${path.basename(dictPath)}: ${err.message}`);
+  }
+  if (!dict || typeof dict !== 'object' || Array.isArray(dict)) {
+    throw new Error(`${path.basename(dictPath)}: must be an object of "term": "reading"`);
+  }
+  for (const [term, reading] of Object.entries(dict)) {
+    if (typeof reading !== 'string') throw new Error(`${path.basename(dictPath)}: reading of "${term}" must be a string`);
+  }
+  return dict;
+}
+
+/**
+ * 表記を読みに置き換える（長い語から。英数字の語は前後が英数字でない位置だけ）
+ * 例: { "API": "エーピーアイ" } で "REST API" → "REST エーピーアイ"（"APIs" の一部は置き換えない）
+ */
+function applyPronunciations(text, dict) {
+  const terms = Object.keys(dict).filter(Boolean).sort((a, b) => b.length - a.length);
+  if (terms.length === 0) return text;
+  const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = terms.map(t => (/^[A-Za-z0-9]/.test(t) ? `(?<![A-Za-z0-9])` : '') + escape(t) +
+    (/[A-Za-z0-9]$/.test(t) ? `(?![A-Za-z0-9])` : '')).join('|');
+  return text.replace(new RegExp(pattern, 'g'), m => dict[m]);
+}
+
+// ── プロバイダ: command ─────────────────────────────
+
+/** シェル引数としてクォート */
+function shellQuote(s) {
+  return `'${s.replace(/'/g, `'\\''`)}'`;
+}
+
+const commandProvider = {
+  name: 'command',
+
+  isAvailable({ command }) {
+    return Boolean(command) && hasCommand(command.trim().split(/\s+/)[0]);
+  },
+
+  async synthesize({ text, outPath, command, language }) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-'));
+    try {
+      const inputPath = path.join(workDir, 'input.txt');
+      fs.writeFileSync(inputPath, text, 'utf8');
+      const cmd = command
+        .replace(/\{input\}/g, `"${inputPath}"`)
+        .replace(/\{output\}/g, `"${outPath}"`)
+        .replace(/\{language\}/g, language)
+        .replace(/\{text\}/g, shellQuote(text));
+      await execAsync(cmd, { timeout: TTS_TIMEOUT_MS });
+      if (!fs.existsSync(outPath)) throw new Error(`TTS command did not write ${path.basename(outPath)}`);
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  },
+};
+
+// ── プロバイダ: stub ────────────────────────────────
+
+const stubProvider = {
+  name: 'stub',
+
+  isAvailable() {
+    return hasCommand('ffmpeg');
+  },
+
+  async synthesize({ text, outPath, speechRate = DEFAULT_SPEECH_RATE }) {
+    const [duration] = estimateTimings([text.replace(/\s+/g, '').length], speechRate);
+    await buildDraftAudio(outPath, duration, 'tone');
+  },
+};
+
+// ── 合成 ─────────────────────────────────────────
+
+const PROVIDERS = {
+  command: commandProvider,
+  stub: stubProvider,
+};
+
+/** 台本をスライドごとの読み上げテキストに分割（ステップマーカーを除き、空白を詰める） */
+function scriptSegments(scriptText, script = DEFAULT_SCRIPT) {
+  return splitScript(stripStepMarkers(scriptText), script).segments.map(seg => seg.replace(/\s+/g, ' ').trim());
+}
+
+/**
+ * 1トピックのナレーションをセグメントごとに合成して <baseName>/slide_NNN.wav に出力
+ * 収録済みの音声（<baseName>.mp3 など、または tts.json のないスライドごとの音声）があれば合成しない
+ *
+ * @param {string} baseName
+ * @param {Object} options
+ * @param {string} options.contentDir - トピックのコンテンツディレクトリ
+ * @param {string} [options.provider] - プロバイダ名
+ * @param {string|null} [options.command] - command プロバイダのコマンドテンプレート
+ * @param {Object<string, string>} [options.pronunciations] - 発音辞書
+ * @param {Object} [options.script] - 台本の区切り・言語（script_markers.js の scriptSpec()）
+ * @param {boolean} [options.force] - 変更のないセグメントも合成し直す
+ * @param {(msg: string) => void} [options.log]
+ * @returns {Promise<{synthesized: number, reused: number}|null>} 合成しなかった場合は null
+ */
+async function synthesizeTopic(baseName, {
+  contentDir, provider = DEFAULT_TTS_PROVIDER, command = null, pronunciations = {}, script = DEFAULT_SCRIPT,
+  force = false, log = () => {},
+}) {
+  const impl = PROVIDERS[provider];
+  if (!impl) throw new Error(`unknown TTS provider: ${provider} (${TTS_PROVIDERS.join(' / ')})`);
+  const { language } = script;
+  const ctx = { command, language, speechRate: languageOf(script).charsPerSec };
+  if (!impl.isAvailable(ctx)) {
+    throw new Error(provider === 'command'
+      ? 'TTS command is not configured or not installed (video.config.json tts.command / TTS_COMMAND)'
+      : `TTS provider ${provider} is not available`);
+  }
+
+  const txtPath = path.join(contentDir, `${baseName}.txt`);
+  const outDir = path.join(contentDir, baseName);
+  const statePath = path.join(outDir, STATE_FILE);
+  const existing = findTopicAudio(contentDir, baseName);
+  if (existing && (existing.type === 'file' || !fs.existsSync(statePath))) {
+    log(`recorded narration found (${existing.type === 'file' ? path.basename(existing.path) : `${baseName}/`}), skipping`);
+    return null;
+  }
+
+  const segments = scriptSegments(fs.readFileSync(txtPath, 'utf8'), script);
+  let state = {};
+  if (fs.existsSync(statePath)) {
+    try {
+      state = JSON.parse(fs.readFileSync(statePath, 'utf8')).segments || {};
+    } catch {
+      // 壊れた記録は全セグメント合成し直す
+    }
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const next = {};
+  let synthesized = 0;
+  let reused = 0;
+  for (let i = 0; i < segments.length; i++) {
+    const unit = `slide_${String(i + 1).padStart(3, '0')}`;
+    const outPath = path.join(outDir, `${unit}.wav`);
+    const text = applyPronunciations(segments[i], pronunciations);
+    const key = hashJson({
+      provider, command: provider === 'command' ? command : null, text,
+      ...(language !== DEFAULT_LANGUAGE ? { language } : {}), // 日本語の既存の記録を変えないため
+    });
+    next[unit] = key;
+    if (!force && state[unit] === key && fs.existsSync(outPath)) {
+      reused++;
+      continue;
+    }
+    if (text) await impl.synthesize({ ...ctx, text, outPath });
+    else await buildDraftAudio(outPath, EMPTY_SEGMENT_SEC, 'silence');
+    synthesized++;
+    log(`${unit}: ${text.length > 30 ? `${text.substring(0, 30)}...` : text}`);
+  }
+
+  // セグメントが減った分・別形式の同番号ファイルを削除（audio_sources.js の連番チェックに合わせる）
+  for (const f of fs.readdirSync(outDir)) {
+    const m = f.match(/^(slide_\d{3})\.\w+$/);
+    if (m && (!(m[1] in next) || !f.endsWith('.wav'))) fs.rmSync(path.join(outDir, f));
+  }
+  fs.writeFileSync(statePath, JSON.stringify({ provider, segments: next }, null, 2) + '\n', 'utf8');
+  listSlideAudio(outDir); // 連番の検証
+  return { synthesized, reused };
+}
+
+// ── CLI エントリポイント ─────────────────────────────
+
+async function main() {
+  const args = process.argv.slice(2);
+  let projectDir = null;
+  let all = false;
+  let limit = DEFAULT_LIMIT;
+  let noLimit = false;
+  let provider = DEFAULT_TTS_PROVIDER;
+  let force = false;
+  const baseNames = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--project' && args[i + 1]) {
+      projectDir = path.resolve(args[++i]);
+    } else if (args[i] === '--all') {
+      all = true;
+    } else if (args[i] === '--limit' && args[i + 1]) {
+      limit = parseInt(args[++i], 10);
+    } else if (args[i] === '--no-limit') {
+      noLimit = true;
+    } else if (args[i] === '--provider' && args[i + 1]) {
+      provider = args[++i];
+    } else if (args[i] === '--force') {
+      force = true;
+    } else if (!args[i].startsWith('--')) {
+      baseNames.push(args[i]);
+    }
+  }
+
+  if (!projectDir || (!all && baseNames.length === 0)) {
+    console.log('Usage:');
+    console.log('  node src/tts.js --project /path/to/project --all');
+    console.log('  node src/tts.js --project /path/to/project <baseName>');
+    console.log('');
+    console.log('Options:');
+    console.log('  --project <path>  コンテンツプロジェクトのルートパス（必須）');
+    console.log('  --all             台本のある全トピックを合成（デフォルト: 視聴順で先頭5件）');
+    console.log('  --limit <N>       処理件数を指定（デフォルト: 5）');
+    console.log('  --no-limit        全件処理');
+    console.log(`  --provider <name> 合成プロバイダ: ${TTS_PROVIDERS.join(' / ')}（デフォルト: ${DEFAULT_TTS_PROVIDER}）`);
+    console.log('  --force           変更のないセグメントも合成し直す');
+    process.exit(1);
+  }
+
+  const workContent = path.join(projectDir, '.video-work', 'content');
+  const contentDir = fs.existsSync(workContent) ? workContent : path.join(projectDir, 'content');
+  const projectConfig = loadProjectConfig(projectDir);
+  const { tts } = projectConfig;
+  const pronunciations = loadPronunciations(tts.dictionary);
+  const command = tts.command || process.env.TTS_COMMAND || null;
+
+  let topics;
+  if (all) {
+    const allTopics = discoverTopics(contentDir);
+    topics = noLimit ? allTopics : allTopics.slice(0, limit);
+  } else {
+    topics = baseNames.map(name => findTopic(contentDir, name));
+  }
+
+  console.log(`🗣️  TTS - ${topics.length} topic(s)`);
+  console.log(`   Project: ${projectDir}`);
+  console.log(`   Provider: ${provider}`);
+  console.log(`   Pronunciations: ${Object.keys(pronunciations).length} terms${tts.dictionary ? ` (${path.basename(tts.dictionary)})` : ''}`);
+
+  let failed = 0;
+  for (const topic of topics) {
+    console.log(`  🗣️  ${topic.baseName}`);
+    try {
+      const result = await synthesizeTopic(topic.baseName, {
+        contentDir: getTopicDir(contentDir, topic), provider, command, pronunciations, force,
+        script: topicConfig(projectConfig, topic.baseName).script,
+        log: msg => console.log(`     ${msg}`),
+      });
+      if (result) console.log(`     ✅ ${result.synthesized} synthesized, ${result.reused} unchanged`);
+    } catch (err) {
+      console.error(`     ❌ ${err.message.split('\n')[0]}`);
+      failed++;
+    }
+  }
+  if (failed > 0) process.exit(1);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  TTS_PROVIDERS, DEFAULT_TTS_PROVIDER, PROVIDERS,
+  loadPronunciations, applyPronunciations, scriptSegments, synthesizeTopic,
+};
@@ -2,19 +2,73 @@
 /**
  * video_generator.js
  *
- * HTMLスライド + MP3音声 → YouTube用MP4動画 自動生成
+ * HTMLスライド + ナレーション音声（MP3 / WAV / M4A / OGG / FLAC、スライドごとの音声も可） → YouTube用MP4動画 自動生成
  *
  * Usage:
  *   node src/video_generator.js --project /path/to/project --all
  *   node src/video_generator.js --project /path/to/project 01-01_api_wo_5fun_de_taiken
  *   node src/video_generator.js --project /path/to/project 01-01_xxx --force
+ *   node src/video_generator.js --project /path/to/project 01-01_xxx --burn-subtitles
+ *   node src/video_generator.js --project /path/to/project 01-01_xxx --dry-run
+ *   node src/video_generator.js --project /path/to/project 01-01_xxx --preset 1080p,shorts,webm
+ *   node src/video_generator.js --project /path/to/project --all --loudnorm -14 --trim-silence
+ *   node src/video_generator.js --project /path/to/project --all --status
+ *   node src/video_generator.js --project /path/to/project --all --jobs 3
+ *   node src/video_generator.js --project /path/to/project 01-01_xxx --pipeline segments
+ *   node src/video_generator.js --project /path/to/project --all --draft --burn-subtitles
+ *   node src/video_generator.js --project /path/to/project --all --tts command
  */
 
 const { chromium } = require('playwright');
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const { discoverTopics, findTopic, getTopicDir, DEFAULT_LIMIT, LEVEL_LABELS } = require('./topic_sort');
+const {
+  discoverTopics, findTopic, getTopicDir, getTopicSortKey, DEFAULT_LIMIT, LEVEL_LABELS,
+} = require('./topic_sort');
+const { buildCues, buildTimeMap, writeSubtitles } = require('./subtitles');
+const {
+  detectMarkers, detectSilences, snapBoundariesToSilences, DEFAULT_PROVIDERS,
+} = require('./marker_detector');
+const { findTimingOverrideFile, loadTimingOverrides, writeTimings } = require('./timing_overrides');
+const { writeStoryboard } = require('./storyboard');
+const {
+  DEFAULT_TRANSITION, DEFAULT_TRANSITION_SEC, TRANSITIONS, buildTransitionGraph,
+} = require('./transitions');
+const {
+  CAPTURE_VIEWPORT, DEFAULT_PRESETS, PRESETS,
+  resolvePresets, outputFileName, captureScaleFactor, scaleFilter,
+} = require('./output_presets');
+const { DEFAULT_LOUDNORM_TARGET, findTrimRange, processAudio } = require('./audio_processing');
+const { loadProjectConfig, topicConfig, configFiles } = require('./project_config');
+const {
+  extractTitle, renderBumper, bumperDuration, buildBumperAudio, watermarkChains,
+} = require('./branding');
+const { MUSIC_DEFAULTS, mixMusic } = require('./music');
+const {
+  CACHE_DIR_NAME, hashFile, hashJson, hashHtmlWithAssets,
+  readTimingCache, writeTimingCache, restoreCapture, storeCapture,
+  loadManifest, updateManifest, outputStatus,
+} = require('./render_cache');
+const {
+  PIPELINES, DEFAULT_PIPELINE, concatSegments, createSegmentSink,
+} = require('./segment_pipeline');
+const { thumbnailFileName, thumbnailVars, renderThumbnail } = require('./thumbnail');
+const { slideTitles, buildChapters, summarize, writeFfmetadata } = require('./chapters');
+const {
+  DEFAULT_SCRIPT, STEP_MARKER, languageOf, splitScript, splitSteps, stripStepMarkers, segmentCharCounts, spokenLength,
+} = require('./script_markers');
+const { REPORT_FILE, verifyVideo, formatFailures, writeVerificationReport } = require('./video_verifier');
+const { runPool, setProcessLimit, execAsync, installLogPrefix, withLogPrefix, logPrefix } = require('./job_pool');
+const {
+  AUDIO_EXTENSIONS, findTopicAudio, audioLabel, slideAudioDurations, concatSlideAudio,
+} = require('./audio_sources');
+const {
+  DEFAULT_SPEECH_RATE, DRAFT_AUDIO, DEFAULT_DRAFT_AUDIO, DRAFT_SUFFIX, DRAFT_LABEL,
+  estimateTimings, buildDraftAudio, addDraftBadge,
+} = require('./draft');
+const { TTS_PROVIDERS, loadPronunciations, synthesizeTopic } = require('./tts');
+const { DECK_EXTENSIONS, DEFAULT_ADAPTER, findSlideDeck, openDeck } = require('./slide_sources');
 
 // ── CLI引数パーサー ────────────────────────────────
 function parseArgs() {
@@ -24,6 +78,32 @@ function parseArgs() {
   let all = false;
   let limit = DEFAULT_LIMIT;
   let noLimit = false;
+  let subtitles = true;
+  let subtitleMarkers = false;
+  let burnSubtitles = false;
+  let markerProviders = DEFAULT_PROVIDERS;
+  let snapSilence = true;
+  let snapWindow = SNAP_WINDOW_SEC;
+  let exportTimings = false;
+  let dryRun = false;
+  let transition = DEFAULT_TRANSITION;
+  let transitionDuration = DEFAULT_TRANSITION_SEC;
+  let steps = true;
+  let presets = DEFAULT_PRESETS;
+  let loudnorm = null;
+  let trimSilence = false;
+  let denoise = false;
+  let useCache = true;
+  let status = false;
+  let jobs = 1;
+  let ffmpegJobs = null;
+  let pipeline = DEFAULT_PIPELINE;
+  let verify = true;
+  let thumbnails = true;
+  let draft = false;
+  let speechRate = null; // 省略時は台本の言語の話速
+  let draftAudio = DEFAULT_DRAFT_AUDIO;
+  let tts = null;
   const baseNames = [];
 
   for (let i = 0; i < args.length; i++) {
@@ -31,6 +111,59 @@ function parseArgs() {
       projectDir = path.resolve(args[++i]);
     } else if (args[i] === '--force') {
       force = true;
+    } else if (args[i] === '--no-subtitles') {
+      subtitles = false;
+    } else if (args[i] === '--subtitle-markers') {
+      subtitleMarkers = true;
+    } else if (args[i] === '--burn-subtitles') {
+      burnSubtitles = true;
+    } else if (args[i] === '--marker-provider' && args[i + 1]) {
+      markerProviders = args[++i].split(',');
+    } else if (args[i] === '--no-snap') {
+      snapSilence = false;
+    } else if (args[i] === '--snap-window' && args[i + 1]) {
+      snapWindow = parseFloat(args[++i]);
+    } else if (args[i] === '--export-timings') {
+      exportTimings = true;
+    } else if (args[i] === '--dry-run') {
+      dryRun = true;
+    } else if (args[i] === '--transition' && args[i + 1]) {
+      transition = args[++i];
+    } else if (args[i] === '--transition-duration' && args[i + 1]) {
+      transitionDuration = parseFloat(args[++i]);
+    } else if (args[i] === '--no-steps') {
+      steps = false;
+    } else if (args[i] === '--preset' && args[i + 1]) {
+      presets = args[++i].split(',');
+    } else if (args[i] === '--loudnorm') {
+      // 目標値は省略可（--loudnorm -14）
+      loudnorm = args[i + 1] && /^-?\d+(\.\d+)?$/.test(args[i + 1]) ? parseFloat(args[++i]) : DEFAULT_LOUDNORM_TARGET;
+    } else if (args[i] === '--trim-silence') {
+      trimSilence = true;
+    } else if (args[i] === '--denoise') {
+      denoise = true;
+    } else if (args[i] === '--no-cache') {
+      useCache = false;
+    } else if (args[i] === '--status') {
+      status = true;
+    } else if (args[i] === '--jobs' && args[i + 1]) {
+      jobs = parseInt(args[++i], 10);
+    } else if (args[i] === '--ffmpeg-jobs' && args[i + 1]) {
+      ffmpegJobs = parseInt(args[++i], 10);
+    } else if (args[i] === '--pipeline' && args[i + 1]) {
+      pipeline = args[++i];
+    } else if (args[i] === '--no-verify') {
+      verify = false;
+    } else if (args[i] === '--no-thumbnail') {
+      thumbnails = false;
+    } else if (args[i] === '--draft') {
+      draft = true;
+    } else if (args[i] === '--speech-rate' && args[i + 1]) {
+      speechRate = parseFloat(args[++i]);
+    } else if (args[i] === '--draft-audio' && args[i + 1]) {
+      draftAudio = args[++i];
+    } else if (args[i] === '--tts' && args[i + 1]) {
+      tts = args[++i];
     } else if (args[i] === '--all') {
       all = true;
     } else if (args[i] === '--limit' && args[i + 1]) {
@@ -42,54 +175,46 @@ function parseArgs() {
     }
   }
 
-  return { projectDir, force, all, baseNames, limit, noLimit };
+  return {
+    projectDir, force, all, baseNames, limit, noLimit,
+    subtitles, subtitleMarkers, burnSubtitles, markerProviders, snapSilence, snapWindow, exportTimings,
+    dryRun, transition, transitionDuration, steps, presets, loudnorm, trimSilence, denoise, useCache, status,
+    jobs, ffmpegJobs, pipeline, verify, thumbnails, draft, speechRate, draftAudio, tts,
+  };
 }
 
 // ── 定数 ──────────────────────────────────────────
-const MARKER = '次のスライドに進んでください。';
-const CAPTURE_VIEWPORT = { width: 1280, height: 720 };
-const OUTPUT_RESOLUTION = '1920:1080';
 const FONT_WAIT_MS = 1500;  // Google Fonts 読み込み待機
 const SLIDE_ANIM_MS = 3000; // スライド表示完了待機（段階的アニメーション対応）
+const STEP_ANIM_MS = 1000;  // ステップ表示（slideAPI.showStep / reveal.js のフラグメント）完了待機
+const SNAP_WINDOW_SEC = 1.5; // 補間境界から無音区間を探す範囲（±秒）
+const MIN_SLIDE_SEC = 0.5;   // スライドの最短表示秒数
+
+// スライド開始境界の決定方法
+const TIMING_SOURCE = {
+  ANCHORED: 'anchored',           // マーカー検出のタイムスタンプ（先頭スライドは音声開始）
+  INTERPOLATED: 'interpolated',   // 文字数比率による補間
+  SNAPPED: 'silence-snapped',     // 文字数比率の境界を近くの無音区間に移動（silence プロバイダを含む）
+  OVERRIDE: 'override',           // <baseName>.timings.json による手動指定
+  SLIDE_AUDIO: 'slide-audio',     // スライドごとの音声ファイルの長さ
+  ESTIMATED: 'estimated',         // 下書き: 台本の文字数 ÷ 話速による推定
+};
 
 // ── ユーティリティ ─────────────────────────────────
 
-/** ffprobe で MP3 の再生秒数を取得 */
-function getAudioDuration(mp3Path) {
+/** ffprobe で音声の再生秒数を取得 */
+function getAudioDuration(audioPath) {
   const out = execSync(
-    `ffprobe -v quiet -show_entries format=duration -of csv=p=0 "${mp3Path}"`,
+    `ffprobe -v quiet -show_entries format=duration -of csv=p=0 "${audioPath}"`,
     { encoding: 'utf8' }
   );
   return parseFloat(out.trim());
 }
 
-/** Whisperでマーカー「次のスライドに進んでください」の発話タイムスタンプを検出 */
-function detectMarkerTimestamps(mp3Path) {
-  const scriptPath = path.join(__dirname, 'detect_markers.py');
-  try {
-    const out = execSync(
-      `python3 "${scriptPath}" "${mp3Path}"`,
-      { encoding: 'utf8', timeout: 600000, stdio: ['pipe', 'pipe', 'pipe'] }
-    );
-    const timestamps = JSON.parse(out.trim());
-    if (Array.isArray(timestamps) && timestamps.length > 0) {
-      return timestamps;
-    }
-    return null;
-  } catch {
-    return null;
-  }
-}
-
 /** 文字数比率によるフォールバック用タイミング算出 */
-function calcCharBasedTimings(segments, totalDuration) {
-  const markerLen = MARKER.length;
-  const charCounts = segments.map((seg, i) => {
-    const base = seg.replace(/\s+/g, '').length;
-    return i < segments.length - 1 ? base + markerLen : base;
-  });
+function calcCharBasedTimings(charCounts, totalDuration) {
   const totalChars = charCounts.reduce((a, b) => a + b, 0);
-  return charCounts.map(c => Math.max((c / totalChars) * totalDuration, 0.5));
+  return charCounts.map(c => Math.max((c / totalChars) * totalDuration, MIN_SLIDE_SEC));
 }
 
 /**
@@ -100,27 +225,31 @@ function calcCharBasedTimings(segments, totalDuration) {
  * 例: 10セグメント(9遷移期待), Whisper8検出の場合
  *   → 8つのWhisperタイムスタンプで音声を9リージョンに分割
  *   → 未検出の1遷移を含むリージョン内だけ文字数比率で分配
+ *
+ * @param {number[]} charCounts - セグメントごとの文字数（script_markers.js の segmentCharCounts()）
+ * @param {number} totalDuration - 音声の再生秒数
+ * @param {number[]} whisperTimestamps - 検出したマーカーの時刻
+ * @param {number[]} [candidates] - 検出マーカーを割り当てる遷移のインデックス（省略時は全遷移。
+ *   発話しない区切り行の遷移を除くときに指定）
+ * @param {string} [anchorSource] - 検出境界の決定方法（silence プロバイダの結果は SNAPPED）
+ * @returns {{timings: number[], sources: string[]}}
  */
-function calcHybridTimings(segments, totalDuration, whisperTimestamps) {
-  const numSegments = segments.length;
-  const numExpected = numSegments - 1; // 期待される遷移数
+function calcHybridTimings(charCounts, totalDuration, whisperTimestamps, candidates = null,
+  anchorSource = TIMING_SOURCE.ANCHORED) {
+  const numSegments = charCounts.length;
+  const transitions = candidates || charCounts.slice(1).map((_, i) => i);
+  const numExpected = transitions.length; // 期待される遷移数
   const numWhisper = whisperTimestamps.length;
-
-  // セグメントごとの文字数（マーカー長を含む）
-  const markerLen = MARKER.length;
-  const charCounts = segments.map((seg, i) => {
-    const base = seg.replace(/\s+/g, '').length;
-    return i < numSegments - 1 ? base + markerLen : base;
-  });
   const totalChars = charCounts.reduce((a, b) => a + b, 0);
 
-  // 各期待遷移点の累積文字比率
-  const expectedRatios = [];
+  // 各遷移点の累積文字比率
+  const cumRatios = [];
   let cumChars = 0;
-  for (let i = 0; i < numExpected; i++) {
+  for (let i = 0; i < numSegments - 1; i++) {
     cumChars += charCounts[i];
-    expectedRatios.push(cumChars / totalChars);
+    cumRatios.push(cumChars / totalChars);
   }
+  const expectedRatios = transitions.map(i => cumRatios[i]);
 
   // Whisperタイムスタンプの時間比率
   const whisperRatios = whisperTimestamps.map(t => t / totalDuration);
@@ -172,13 +301,14 @@ function calcHybridTimings(segments, totalDuration, whisperTimestamps) {
   const anchors = [{ time: 0, segIdx: 0 }];
   for (let i = 0; i < numExpected; i++) {
     if (matchedExpected.has(i)) {
-      anchors.push({ time: matchedExpected.get(i), segIdx: i + 1 });
+      anchors.push({ time: matchedExpected.get(i), segIdx: transitions[i] + 1 });
     }
   }
   anchors.push({ time: totalDuration, segIdx: numSegments });
 
   // 各リージョン内で文字数比率によるタイミング配分
   const timings = new Array(numSegments).fill(0);
+  const sources = new Array(numSegments).fill(TIMING_SOURCE.INTERPOLATED);
   for (let r = 0; r < anchors.length - 1; r++) {
     const duration = anchors[r + 1].time - anchors[r].time;
     const firstSeg = anchors[r].segIdx;
@@ -188,58 +318,236 @@ function calcHybridTimings(segments, totalDuration, whisperTimestamps) {
     for (let s = firstSeg; s <= lastSeg; s++) {
       regionChars += charCounts[s];
     }
+    sources[firstSeg] = r === 0 ? TIMING_SOURCE.ANCHORED : anchorSource;
 
     for (let s = firstSeg; s <= lastSeg; s++) {
       timings[s] = regionChars > 0
-        ? Math.max((charCounts[s] / regionChars) * duration, 0.5)
-        : Math.max(duration / (lastSeg - firstSeg + 1), 0.5);
+        ? Math.max((charCounts[s] / regionChars) * duration, MIN_SLIDE_SEC)
+        : Math.max(duration / (lastSeg - firstSeg + 1), MIN_SLIDE_SEC);
     }
   }
 
-  return timings;
+  return { timings, sources };
 }
 
-/** テキストからスライドごとの表示秒数を算出（Whisperベース改良版） */
-function calcTimings(scriptText, totalDuration, mp3Path) {
-  const segments = scriptText.split(MARKER);
-  const numSlides = segments.length;
+/**
+ * テキストからスライドごとの表示秒数を算出（マーカー検出ベース改良版）
+ * 発話しない区切り行の遷移は検出できないため、前後のアンカーの間で文字数比率により補間する
+ * @param {Object|null|undefined} detection - detectMarkers() の結果（undefined なら検出を行わない）
+ * @param {Object} [script] - script_markers.js の scriptSpec()
+ * @returns {{timings: number[], sources: string[]}} 表示秒数と各スライド開始境界の決定方法
+ */
+function calcTimings(scriptText, totalDuration, detection, script = DEFAULT_SCRIPT) {
+  const split = splitScript(scriptText, script);
+  const charCounts = segmentCharCounts(split);
+  const numSlides = split.segments.length;
   const numTransitions = numSlides - 1;
+  const spoken = split.boundaries.map((b, i) => (b.spoken ? i : -1)).filter(i => i >= 0);
 
-  // Whisperでマーカーの実際の発話タイムスタンプを取得
-  if (mp3Path) {
-    console.log('     🎙️  Running Whisper marker detection...');
-    const markerTimestamps = detectMarkerTimestamps(mp3Path);
+  // 検出したマーカーの実際の発話タイムスタンプを使用
+  if (detection !== undefined) {
+    const markerTimestamps = detection ? detection.timestamps : null;
+    const provider = detection ? detection.provider : null;
+    const candidates = detection && detection.allBoundaries ? null : spoken;
+    const anchorSource = detection && detection.snapped ? TIMING_SOURCE.SNAPPED : TIMING_SOURCE.ANCHORED;
+    const numExpected = candidates ? candidates.length : numTransitions;
 
-    if (markerTimestamps && markerTimestamps.length === numTransitions) {
-      // 完全一致: Whisperタイミングをそのまま使用
+    if (markerTimestamps && markerTimestamps.length === numTransitions && numExpected === numTransitions) {
+      // 完全一致: 検出タイミングをそのまま使用
       const timings = [];
       for (let i = 0; i < numSlides; i++) {
         const start = i === 0 ? 0 : markerTimestamps[i - 1];
         const end = i === numSlides - 1 ? totalDuration : markerTimestamps[i];
-        timings.push(Math.max(end - start, 0.5));
+        timings.push(Math.max(end - start, MIN_SLIDE_SEC));
       }
 
-      console.log('     ✨ Using Whisper-based timing (exact marker detection)');
-      return timings;
+      console.log(`     ✨ Using ${provider}-based timing (exact marker detection)`);
+      return { timings, sources: timings.map((_, i) => i === 0 ? TIMING_SOURCE.ANCHORED : anchorSource) };
     }
 
     if (markerTimestamps && markerTimestamps.length > 0) {
-      // 部分一致: ハイブリッドタイミング（Whisperアンカー + 文字数補間）
-      console.log(`     ⚠️  Whisper detected ${markerTimestamps.length} markers, expected ${numTransitions}`);
-      console.log('     🔀 Using hybrid timing (Whisper anchors + character-count interpolation)');
-      return calcHybridTimings(segments, totalDuration, markerTimestamps);
+      // 部分一致・区切り行あり: ハイブリッドタイミング（検出アンカー + 文字数補間）
+      if (markerTimestamps.length !== numExpected) {
+        console.log(`     ⚠️  ${provider} detected ${markerTimestamps.length} markers, expected ${numExpected}`);
+      }
+      console.log(`     🔀 Using hybrid timing (${provider} anchors + character-count interpolation)`);
+      return calcHybridTimings(charCounts, totalDuration, markerTimestamps, candidates, anchorSource);
     }
 
-    if (markerTimestamps) {
-      console.log(`     ⚠️  Whisper markers: 0, expected ${numTransitions}`);
-    } else {
-      console.log('     ⚠️  Whisper detection failed');
-    }
+    console.log(`     ⚠️  Marker detection failed (expected ${numExpected} markers)`);
   }
 
   // フォールバック: 文字数ベース
   console.log('     📝 Using character-count timing (fallback)');
-  return calcCharBasedTimings(segments, totalDuration);
+  const timings = calcCharBasedTimings(charCounts, totalDuration);
+  const sources = timings.map((_, i) => i === 0 ? TIMING_SOURCE.ANCHORED : TIMING_SOURCE.INTERPOLATED);
+  return { timings, sources };
+}
+
+/**
+ * 手動指定の境界を固定し、それ以外の境界を再算出する
+ *
+ * 固定境界の間にある検出アンカーは、順序が保たれる場合のみ維持する。
+ * 残りの境界は前後の固定点（手動指定・アンカー）の間で文字数比率により補間する。
+ * どのスライドも MIN_SLIDE_SEC 未満にはしない（手動指定でそれが守れなければエラー）。
+ *
+ * @param {number[]} charCounts - セグメントごとの文字数（script_markers.js の segmentCharCounts()）
+ * @param {number} totalDuration - 音声の再生秒数
+ * @param {{timings: number[], sources: string[]}} result - calcTimings() の結果
+ * @param {Map<number, number>} locks - 境界インデックス（= スライド番号 - 1）→ 秒
+ * @returns {{timings: number[], sources: string[]}}
+ */
+function applyTimingOverrides(charCounts, totalDuration, { timings, sources }, locks) {
+  const n = timings.length;
+  const boundaries = [0];
+  for (const t of timings) boundaries.push(boundaries[boundaries.length - 1] + t);
+
+  // 手動指定の境界は単調増加で、間のスライドに MIN_SLIDE_SEC ずつ残さなければならない
+  const lockKeys = [...locks.keys()].sort((a, b) => a - b);
+  let prevKey = 0;
+  let prev = 0;
+  for (const k of [...lockKeys, n]) {
+    const t = k === n ? totalDuration : locks.get(k);
+    if (k < n && (t <= prev || t >= totalDuration)) {
+      throw new Error(`Timing override: slide ${k + 1} start ${t}s is out of order or beyond audio (${totalDuration.toFixed(1)}s)`);
+    }
+    if (t - prev < (k - prevKey) * MIN_SLIDE_SEC) {
+      const slides = k - prevKey > 1 ? `slides ${prevKey + 1}-${k}` : `slide ${k}`;
+      throw new Error(`Timing override: ${slides} would be shorter than ${MIN_SLIDE_SEC}s each ` +
+        `(${prev.toFixed(2)}s - ${t.toFixed(2)}s)`);
+    }
+    prevKey = k;
+    prev = t;
+  }
+
+  // 固定点: 先頭・末尾・手動指定・（順序が保たれ、間のスライドが MIN_SLIDE_SEC 以上になる）検出アンカー
+  const fixed = new Map([[0, { time: 0, source: sources[0] }], [n, { time: totalDuration, source: null }]]);
+  let lastKey = 0;
+  for (let k = 1; k < n; k++) {
+    if (locks.has(k)) {
+      fixed.set(k, { time: locks.get(k), source: TIMING_SOURCE.OVERRIDE });
+      lastKey = k;
+      continue;
+    }
+    if (sources[k] === TIMING_SOURCE.INTERPOLATED) continue;
+    const nextKey = lockKeys.find(j => j > k) ?? n;
+    const nextLimit = nextKey < n ? locks.get(nextKey) : totalDuration;
+    if (boundaries[k] >= fixed.get(lastKey).time + (k - lastKey) * MIN_SLIDE_SEC &&
+        boundaries[k] <= nextLimit - (nextKey - k) * MIN_SLIDE_SEC) {
+      fixed.set(k, { time: boundaries[k], source: sources[k] });
+      lastKey = k;
+    }
+  }
+
+  // 固定点間を文字数比率で補間
+  const keys = [...fixed.keys()].sort((a, b) => a - b);
+  const newTimings = new Array(n).fill(0);
+  const newSources = new Array(n).fill(TIMING_SOURCE.INTERPOLATED);
+  for (let r = 0; r < keys.length - 1; r++) {
+    const first = keys[r];
+    const last = keys[r + 1] - 1;
+    const span = fixed.get(keys[r + 1]).time - fixed.get(first).time;
+    let regionChars = 0;
+    for (let s = first; s <= last; s++) regionChars += charCounts[s];
+
+    newSources[first] = fixed.get(first).source;
+    const count = last - first + 1;
+    const share = s => (regionChars > 0 ? charCounts[s] / regionChars : 1 / count);
+    // 文字数の少ないスライドが最短秒数を下回る区間は、最短秒数を確保してから残りを配分する
+    let floored = false;
+    for (let s = first; s <= last; s++) {
+      if (share(s) * span < MIN_SLIDE_SEC) floored = true;
+    }
+    for (let s = first; s <= last; s++) {
+      newTimings[s] = floored
+        ? MIN_SLIDE_SEC + share(s) * (span - count * MIN_SLIDE_SEC)
+        : share(s) * span;
+    }
+  }
+
+  return { timings: newTimings, sources: newSources };
+}
+
+/**
+ * 補間で決めた境界を近くの無音区間の中央へ移動する（アンカー境界は動かさない）
+ * 前後のスライドが MIN_SLIDE_SEC 未満にならない範囲の無音のみ採用する（marker_detector.js の snapBoundariesToSilences()）
+ *
+ * @param {{timings: number[], sources: string[]}} result - calcTimings() の結果
+ * @param {Array<{start: number, end: number}>} silences - 無音区間
+ * @param {number} window - 境界から探索する範囲（±秒）
+ * @returns {{timings: number[], sources: string[], snapped: number}}
+ */
+function snapTimingsToSilences({ timings, sources }, silences, window) {
+  const boundaries = [0];
+  for (const t of timings) boundaries.push(boundaries[boundaries.length - 1] + t);
+  const snap = snapBoundariesToSilences(boundaries, silences, window, {
+    minGap: MIN_SLIDE_SEC,
+    movable: i => sources[i] === TIMING_SOURCE.INTERPOLATED,
+  });
+
+  const newTimings = timings.map((_, i) => snap.boundaries[i + 1] - snap.boundaries[i]);
+  const newSources = sources.map((source, i) => (snap.snapped[i] ? TIMING_SOURCE.SNAPPED : source));
+  return { timings: newTimings, sources: newSources, snapped: snap.snapped.filter(Boolean).length };
+}
+
+/**
+ * 音声の前後トリムに合わせてタイミングをずらす
+ * 先頭スライドは trim.start、末尾スライドは末尾トリム分だけ短くなる（最短 MIN_SLIDE_SEC）
+ *
+ * @param {number[]} timings - スライドごとの表示秒数（元音声基準）
+ * @param {{start: number, end: number}} trim - 残す区間（元音声基準）
+ * @returns {number[]} トリム後の音声基準の表示秒数
+ */
+function trimTimings(timings, trim) {
+  const n = timings.length;
+  const newDuration = trim.end - trim.start;
+  const boundaries = [0];
+  let t = 0;
+  for (let i = 0; i < n - 1; i++) {
+    t += timings[i];
+    const lo = boundaries[i] + MIN_SLIDE_SEC;
+    const hi = newDuration - (n - 1 - i) * MIN_SLIDE_SEC;
+    boundaries.push(Math.min(Math.max(t - trim.start, lo), hi));
+  }
+  boundaries.push(newDuration);
+  return timings.map((_, i) => boundaries[i + 1] - boundaries[i]);
+}
+
+/**
+ * ステップ表示のあるスライドの表示区間をステップごとに分割する
+ *
+ * セグメント内のステップマーカー数が (ステップ数 - 1) と一致すれば
+ * マーカー位置（単語タイムスタンプがあれば発話位置）で切り替え、
+ * 一致しなければ表示区間を均等に分割する。
+ *
+ * @param {string} rawSegment - ステップマーカーを含む台本セグメント
+ * @param {number} slideStart - スライドの開始秒数
+ * @param {number} duration - スライドの表示秒数
+ * @param {number} numSteps - ステップ数
+ * @param {Object} options
+ * @param {number} options.markerChars - 末尾のマーカー発話の文字数（最終スライド・区切り行なら 0）
+ * @param {Array} [options.words] - 単語タイムスタンプ
+ * @returns {{durations: number[], aligned: boolean}}
+ */
+function calcStepDurations(rawSegment, slideStart, duration, numSteps, { markerChars, words }) {
+  const parts = splitSteps(rawSegment);
+  if (parts.length !== numSteps) {
+    return { durations: new Array(numSteps).fill(duration / numSteps), aligned: false };
+  }
+
+  const lengths = parts.map(p => p.replace(/\s+/g, '').length);
+  lengths[lengths.length - 1] += markerChars;
+  const total = lengths.reduce((a, b) => a + b, 0) || 1;
+  const timeAt = buildTimeMap(slideStart, slideStart + duration, words);
+
+  const starts = [slideStart];
+  let cum = 0;
+  for (let k = 0; k < numSteps - 1; k++) {
+    cum += lengths[k];
+    starts.push(timeAt(cum / total));
+  }
+  starts.push(slideStart + duration);
+  return { durations: parts.map((_, k) => starts[k + 1] - starts[k]), aligned: true };
 }
 
 /** ディレクトリを再帰的に削除 */
@@ -251,124 +559,787 @@ function rmrf(dir) {
 
 // ── メイン処理 ─────────────────────────────────────
 
-async function generateVideo(baseName, { force = false, contentDir, videoDir, tmpDir } = {}) {
-  const htmlPath = path.join(contentDir, `${baseName}.html`);
+/** ffmpeg フィルタ引数用にパスをエスケープ */
+function escapeFilterPath(p) {
+  return p.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+}
+
+/**
+ * スライド画像 + 音声 → 1プリセット分の動画をエンコード
+ *
+ * @param {Object} job
+ * @param {Array<Array<{path: string, duration: number}>>} job.slideFrames - スライドごとの画像と表示秒数
+ * @param {number[]} job.timings - スライドごとの表示秒数
+ * @param {number} job.totalDuration - 音声の再生秒数
+ * @param {string} job.audioPath - 音声ファイル
+ * @param {string} job.outPath - 出力ファイル
+ * @param {Object} job.preset - output_presets.js のプリセット
+ * @param {string} job.transition - トランジション名
+ * @param {number} job.transitionDuration - トランジション長（秒）
+ * @param {string|null} job.burnSrtPath - 焼き込む字幕（SRT）
+ * @param {Object|null} job.watermark - ロゴ透かし設定（from / to に表示区間を含む）
+ * @param {string} job.workDir - 作業ディレクトリ
+ * @param {string|null} [job.metadataPath] - チャプター・タグ（ffmetadata）
+ */
+async function encodeVideo({
+  slideFrames, timings, totalDuration, audioPath, outPath, preset,
+  transition, transitionDuration, burnSrtPath, watermark = null, workDir, metadataPath = null,
+}) {
+  const subtitleFilter = burnSrtPath ? `,subtitles='${escapeFilterPath(burnSrtPath)}'` : '';
+  const baseLabel = watermark ? 'vbase' : 'vout';
+
+  const inputArgs = [];
+  const chains = [];
+  let audioInput;
+  if (transition === 'cut') {
+    // concat demuxer ファイル生成
+    const concatPath = path.join(workDir, 'concat.txt');
+    const frames = slideFrames.flat();
+    let concatContent = '';
+    for (const frame of frames) {
+      concatContent += `file '${frame.path}'\n`;
+      concatContent += `duration ${frame.duration.toFixed(4)}\n`;
+    }
+    // ffmpeg concat demuxer: 末尾画像を重複追加（最後のフレームが切れるのを防止）
+    concatContent += `file '${frames[frames.length - 1].path}'\n`;
+    fs.writeFileSync(concatPath, concatContent);
+
+    inputArgs.push(`-f concat -safe 0 -i "${concatPath}"`);
+    chains.push(`[0:v]${scaleFilter(preset)}${subtitleFilter},fps=${preset.fps},format=yuv420p[${baseLabel}]`);
+    audioInput = 1;
+  } else {
+    // xfade トランジション（境界を中心に配置、総尺は変わらない）
+    const graph = buildTransitionGraph(slideFrames, timings, {
+      type: transition, duration: transitionDuration, scale: scaleFilter(preset), fps: preset.fps,
+    });
+    inputArgs.push(...graph.inputArgs);
+    chains.push(graph.filter, `[${graph.outLabel}]format=yuv420p${subtitleFilter}[${baseLabel}]`);
+    audioInput = graph.audioInput;
+  }
+  inputArgs.push(`-i "${audioPath}"`);
+
+  // ロゴ透かし（音声の次の入力）
+  if (watermark) {
+    inputArgs.push(`-i "${watermark.image}"`);
+    chains.push(...watermarkChains(watermark, preset, audioInput + 1, baseLabel, 'vout', watermark));
+  }
+
+  // チャプター・タグ（最後の入力）
+  const metadataInput = audioInput + (watermark ? 2 : 1);
+  if (metadataPath) inputArgs.push(`-i "${metadataPath}"`);
+
+  const filterPath = path.join(workDir, `filter_complex.${preset.name}.txt`);
+  fs.writeFileSync(filterPath, chains.join(';'));
+  const videoArgs = [
+    ...inputArgs,
+    `-filter_complex_script "${filterPath}"`,
+    `-map "[vout]" -map ${audioInput}:a`,
+    ...(metadataPath ? [`-map_metadata ${metadataInput} -map_chapters ${metadataInput}`] : []),
+  ];
+
+  // ffmpeg 実行
+  const ffmpegCmd = [
+    'ffmpeg -y',
+    ...videoArgs,
+    preset.videoArgs,
+    preset.audioArgs,
+    `-t ${totalDuration.toFixed(4)}`,
+    preset.ext === 'mp4' ? '-shortest -movflags +faststart' : '-shortest',
+    `"${outPath}"`
+  ].join(' ');
+
+  try {
+    await execAsync(ffmpegCmd, { timeout: 300000 });
+  } catch (err) {
+    throw new Error(`ffmpeg failed: ${err.stderr?.toString().split('\n').slice(-3).join('\n')}`);
+  }
+}
+
+/**
+ * Step 1: マーカー検出 → 手動補正 → 無音スナップ → 前後トリムでタイミングを算出
+ * slideDurations（スライドごとの音声の長さ）があればそれをそのまま使い、マーカー検出・補正・スナップは行わない
+ * @returns {Promise<{timings: number[], sources: string[], totalDuration: number, trim: Object|null, detection: Object|null,
+ *   sourceTimings: number[], sourceDuration: number}>}
+ *   totalDuration・detection の単語タイムスタンプはトリム後の音声基準。sourceTimings・sourceDuration はトリム前の
+ *   元音声基準（--export-timings 用。補正ファイルは元音声基準で適用するため）
+ */
+async function calcTopicTimings(baseName, {
+  contentDir, audioPath, transcriptPath, scriptText, markerProviders, snapSilence, snapWindow, trimSilence,
+  slideDurations = null, script = DEFAULT_SCRIPT,
+}) {
+  let totalDuration = getAudioDuration(audioPath);
+  let silences = null;
+  const getSilences = async () => silences || (silences = await detectSilences(audioPath));
+  let detection = null;
+  let timingResult;
+  const split = splitScript(scriptText, script);
+  if (slideDurations) {
+    const numSegments = split.segments.length;
+    if (slideDurations.length !== numSegments) {
+      throw new Error(
+        `Slide audio count mismatch! ${slideDurations.length} audio files but TXT has ${numSegments} segments. ` +
+        `Fix the slide audio files for ${baseName}.`
+      );
+    }
+    // 連結時のサンプル単位の誤差は最後のスライドで吸収する
+    const timings = slideDurations.slice(0, -1);
+    timings.push(totalDuration - timings.reduce((a, b) => a + b, 0));
+    timingResult = { timings, sources: timings.map(() => TIMING_SOURCE.SLIDE_AUDIO) };
+    console.log(`     🎙️  Slide audio: ${slideDurations.length} files (marker detection skipped)`);
+  } else {
+    console.log(`     🎙️  Running marker detection (${markerProviders.join(' → ')})...`);
+    detection = await detectMarkers(audioPath, {
+      providers: markerProviders,
+      script,
+      segments: split.segments,
+      boundaries: split.boundaries,
+      totalDuration,
+      transcriptPath,
+      log: msg => console.log(`        ${msg}`),
+    });
+    if (detection) {
+      console.log(`     🎯 Anchors: ${detection.provider} (${detection.timestamps.length} markers, confidence ${detection.confidence.toFixed(2)})`);
+    }
+    timingResult = calcTimings(scriptText, totalDuration, detection, script);
+  }
+
+  // 手動補正ファイル（<baseName>.timings.json / .yaml）の境界を固定
+  const overridePath = slideDurations ? null : findTimingOverrideFile(contentDir, baseName);
+  if (overridePath) {
+    const { locks, warnings } = loadTimingOverrides(overridePath, split.segments.length);
+    for (const w of warnings) console.log(`     ⚠️  ${path.basename(overridePath)}: ${w}`);
+    timingResult = applyTimingOverrides(segmentCharCounts(split), totalDuration, timingResult, locks);
+    console.log(`     ✏️  Timing overrides: ${locks.size} boundaries locked (${path.basename(overridePath)})`);
+  }
+
+  // 補間境界を無音区間にスナップ
+  if (snapSilence && timingResult.sources.includes(TIMING_SOURCE.INTERPOLATED)) {
+    try {
+      timingResult = snapTimingsToSilences(timingResult, await getSilences(), snapWindow);
+      console.log(`     🔇 Silence snap: ${timingResult.snapped} boundaries moved into pauses (±${snapWindow}s)`);
+    } catch (err) {
+      console.log(`     ⚠️  Silence detection failed: ${err.message.split('\n')[0]}`);
+    }
+  }
+
+  // 前後の無音をトリム（タイミング・単語タイムスタンプをトリム後の音声基準にずらす）
+  const sourceTimings = timingResult.timings;
+  const sourceDuration = totalDuration;
+  let trim = null;
+  if (trimSilence) {
+    try {
+      trim = findTrimRange(await getSilences(), totalDuration);
+    } catch (err) {
+      console.log(`     ⚠️  Silence detection failed: ${err.message.split('\n')[0]}`);
+    }
+    if (trim) {
+      console.log(`     ✂️  Trim silence: ${trim.start.toFixed(2)}s (head) / ${(totalDuration - trim.end).toFixed(2)}s (tail)`);
+      timingResult = { ...timingResult, timings: trimTimings(timingResult.timings, trim) };
+      if (detection && detection.words) {
+        detection = {
+          ...detection,
+          words: detection.words.map(w => ({ ...w, start: w.start - trim.start, end: w.end - trim.start })),
+        };
+      }
+      totalDuration = trim.end - trim.start;
+    }
+  }
+
+  return {
+    timings: timingResult.timings, sources: timingResult.sources, totalDuration, trim, detection,
+    sourceTimings, sourceDuration,
+  };
+}
+
+/** HTMLのスライド数と台本セグメント数の一致を検証 */
+function checkSlideCount(baseName, totalSlides, numSegments) {
+  if (totalSlides !== numSegments) {
+    throw new Error(
+      `Slide count mismatch! HTML has ${totalSlides} slides but TXT has ${numSegments} segments. ` +
+      `Fix the HTML/TXT alignment for ${baseName}.`
+    );
+  }
+}
+
+/**
+ * Step 2: スライド（+バンパー）をキャプチャ
+ * スライド資料は slide_sources.js のアダプタ（slideAPI / reveal.js / Marp / section / PDF）で開き、
+ * アダプタがステップ（slideAPI.getSteps / reveal.js のフラグメント）を返せばステップごとにキャプチャする
+ * sink（segment_pipeline.js）があれば画像をファイルに書かずに sink へ渡し、エンコード済みのスライドは飛ばす
+ *
+ * @param {import('playwright').Browser} browser
+ * @param {Object} job
+ * @param {string} job.baseName
+ * @param {string} job.deckPath - スライド資料（HTML / PDF）
+ * @param {string} [job.adapter] - スライドアダプタ（既定は自動判定）
+ * @param {string} job.slideDir - 画像の出力先
+ * @param {number} job.numSegments - 台本セグメント数（スライド数の検証用）
+ * @param {number} job.deviceScaleFactor - キャプチャ倍率
+ * @param {boolean} job.steps - ステップごとにキャプチャするか
+ * @param {{intro: Object|null, outro: Object|null, vars: Object}|null} job.bumpers - バンパー設定と置換変数
+ * @param {Object|null} [job.sink] - セグメントシンク（has / write）
+ * @param {boolean} [job.draft] - 全スライドに「下書き」バッジを重ねる
+ * @returns {Promise<{slideImages: string[][], bumperImages: Object<string, string>, headings: string[]}>}
+ *   sink 使用時の slideImages / bumperImages は空。headings はスライドの見出し（h1〜h3、なければ空文字）
+ */
+async function captureTopic(browser, {
+  baseName, deckPath, adapter = DEFAULT_ADAPTER, slideDir, numSegments, deviceScaleFactor, steps, bumpers, sink = null,
+  draft = false,
+}) {
+  // スライドごとのキャプチャ画像（ステップ表示のあるスライドは複数）
+  const slideImages = [];
+  const bumperImages = {};
+  const headings = [];
+
+  const context = await browser.newContext({ viewport: CAPTURE_VIEWPORT, deviceScaleFactor });
+  let deck = null;
+  try {
+    const page = await context.newPage();
+    console.log(`     Capture: ${CAPTURE_VIEWPORT.width * deviceScaleFactor}x${CAPTURE_VIEWPORT.height * deviceScaleFactor} (deviceScaleFactor ${deviceScaleFactor})`);
+
+    deck = await openDeck(page, deckPath, { adapter, scale: deviceScaleFactor });
+    await page.waitForTimeout(FONT_WAIT_MS);
+    if (draft) await addDraftBadge(page);
+
+    // スライド数を検証
+    const totalSlides = await deck.count();
+    checkSlideCount(baseName, totalSlides, numSegments);
+    console.log(`     Slides: ${totalSlides} via ${deck.adapter} (matches segments ✓)`);
+
+    // 各スライドをキャプチャ（アダプタがステップを返せばステップごとにキャプチャ）
+    const shoot = imgPath => page.screenshot(sink ? { type: 'png' } : { path: imgPath, type: 'png' });
+    let steppedCount = 0;
+    for (let i = 1; i <= totalSlides; i++) {
+      const unit = `slide_${String(i).padStart(3, '0')}`;
+      await deck.show(i);
+      // エンコード済みのスライドは見出しだけ読む（チャプター用）
+      if (sink && sink.has(unit)) {
+        headings.push(await deck.heading());
+        continue;
+      }
+      await page.waitForTimeout(SLIDE_ANIM_MS);
+      headings.push(await deck.heading());
+      const numSteps = steps ? await deck.steps(i) : 0;
+
+      const imgPaths = [];
+      const images = [];
+      if (numSteps <= 1) {
+        const imgPath = path.join(slideDir, `${unit}.png`);
+        images.push(await shoot(imgPath));
+        imgPaths.push(imgPath);
+      } else {
+        for (let k = 1; k <= numSteps; k++) {
+          await deck.showStep(i, k);
+          await page.waitForTimeout(STEP_ANIM_MS);
+          const imgPath = path.join(slideDir, `${unit}_s${String(k).padStart(2, '0')}.png`);
+          images.push(await shoot(imgPath));
+          imgPaths.push(imgPath);
+        }
+        steppedCount++;
+      }
+      if (sink) await sink.write(unit, images);
+      else slideImages.push(imgPaths);
+      // 並列実行中は行が混ざるため進捗の上書き表示をしない
+      if (!logPrefix()) process.stdout.write(`     Captured slide ${i}/${totalSlides}\r`);
+    }
+    console.log(`     Captured all ${totalSlides} slides ✓${steppedCount > 0 ? ` (${steppedCount} with steps)` : ''}`);
+
+    // イントロ / アウトロ
+    if (bumpers) {
+      for (const name of ['intro', 'outro']) {
+        if (!bumpers[name] || (sink && sink.has(name))) continue;
+        const imgPath = sink ? null : path.join(slideDir, `${name}.png`);
+        const image = await renderBumper(context, bumpers[name].template, bumpers.vars, imgPath, FONT_WAIT_MS);
+        if (sink) await sink.write(name, [image]);
+        else bumperImages[name] = imgPath;
+      }
+      console.log(`     Bumpers: ${['intro', 'outro'].filter(name => bumpers[name]).join(', ')} ✓`);
+    }
+  } finally {
+    await context.close();
+    if (deck) deck.close();
+  }
+
+  return { slideImages, bumperImages, headings };
+}
+
+/**
+ * 1トピックの動画を生成する
+ * 音声は audio_sources.js の findTopicAudio で探し、スライドごとの音声なら連結して各ファイルの長さをタイミングにする
+ * draft 時は音声のないトピックも、文字数 ÷ speechRate で推定したタイミングと無音 / 持続音のトラックで
+ * 下書き動画（videos/<baseName>.draft.*、サムネイルなし）を作る（draft.js）
+ * config（project_config.js の topicConfig）にイントロ / アウトロがあれば本編の前後に連結し、
+ * music があれば BGM をナレーションの下にミックスする
+ * 入力・設定のハッシュを videos/manifest.json と比較し、最新の出力はエンコードしない
+ * thumbnails 時は videos/<baseName>.thumbnail.jpg を出力する（動画が最新でもなければ作る）
+ * verify 時はエンコードした出力を video_verifier.js で検証し、reportDir にレポートを出力する（失敗時は例外）
+ * キャプチャとタイミング算出は cacheDir のキャッシュを再利用する
+ * pipeline が segments ならキャプチャ画像を tmp に書かずにスライドごとのセグメントへエンコードし、
+ * 中断した実行はエンコード済みのスライドから再開する（segment_pipeline.js）
+ * getBrowser があればそのブラウザを共有し（トピックごとに別コンテキスト）、なければ自前で起動・終了する
+ * dryRun 時はエンコードせず、planDir/<baseName>/ にタイミングJSON・コンタクトシート・プレビューを出力する
+ */
+async function generateVideo(baseName, {
+  force = false, contentDir, videoDir, tmpDir, planDir, dryRun = false,
+  subtitles = true, subtitleMarkers = false, burnSubtitles = false,
+  markerProviders = DEFAULT_PROVIDERS, snapSilence = true, snapWindow = SNAP_WINDOW_SEC,
+  exportTimings = false, transition = DEFAULT_TRANSITION, transitionDuration = DEFAULT_TRANSITION_SEC,
+  steps = true, presets = DEFAULT_PRESETS, loudnorm = null, trimSilence = false, denoise = false,
+  config = null, nextTopic = null, cacheDir = null, useCache = true, statusOnly = false, getBrowser = null,
+  pipeline = DEFAULT_PIPELINE, verify = true, reportDir = null, thumbnails = true, sortKey = null,
+  draft = false, speechRate = null, draftAudio = DEFAULT_DRAFT_AUDIO,
+} = {}) {
+  const script = (config && config.script) || DEFAULT_SCRIPT;
+  const rate = speechRate || languageOf(script).charsPerSec; // 省略時は台本の言語の話速
+  const adapter = config && config.slides ? config.slides.adapter : DEFAULT_ADAPTER;
+  const deckPath = findSlideDeck(contentDir, baseName) || path.join(contentDir, `${baseName}.html`); // HTML / PDF
   const txtPath = path.join(contentDir, `${baseName}.txt`);
-  const mp3Path = path.join(contentDir, `${baseName}.mp3`);
-  const mp4Path = path.join(videoDir, `${baseName}.mp4`);
+  const audioSource = findTopicAudio(contentDir, baseName);
+  const transcriptPath = path.join(contentDir, `${baseName}.transcript.json`);
+  const outputs = resolvePresets(presets);
+  // 音声がなければ下書き（出力名に .draft を付けて本番の動画と分ける）
+  const draftMode = draft && !audioSource;
+  const outName = draftMode ? `${baseName}${DRAFT_SUFFIX}` : baseName;
+  const outPaths = outputs.map(p => path.join(videoDir, outputFileName(outName, p)));
+  const subtitleBase = path.join(videoDir, outName);
   const tmpBase = path.join(tmpDir, baseName);
+  const planBase = dryRun ? path.join(planDir, baseName) : null;
+  const slideDir = dryRun ? path.join(planBase, 'slides') : tmpBase;
+  const streaming = pipeline === 'segments' && !dryRun; // ドライランは常に画像を書き出す
 
   // ── 入力チェック ──
   const missing = [];
-  if (!fs.existsSync(htmlPath)) missing.push(htmlPath);
+  if (!fs.existsSync(deckPath)) missing.push(`${baseName}.{${DECK_EXTENSIONS.map(e => e.slice(1)).join(',')}}`);
   if (!fs.existsSync(txtPath)) missing.push(txtPath);
-  if (!fs.existsSync(mp3Path)) missing.push(mp3Path);
+  if (!audioSource && !draftMode) missing.push(`${baseName}.{${AUDIO_EXTENSIONS.map(e => e.slice(1)).join(',')}}`);
   if (missing.length > 0) {
     console.log(`⏭️  SKIP ${baseName}: missing ${missing.map(p => path.basename(p)).join(', ')}`);
     return false;
   }
 
-  // ── 既存チェック ──
-  if (!force && fs.existsSync(mp4Path)) {
-    console.log(`⏭️  SKIP ${baseName}: MP4 already exists (use --force to overwrite)`);
+  // ── 既存チェック（入力ハッシュ + 設定をマニフェストと比較） ──
+  const inputHashes = {
+    html: hashHtmlWithAssets(deckPath),
+    txt: hashFile(txtPath),
+    // キー名は既存のマニフェスト・キャッシュとの互換のため mp3 のまま（形式によらず音声のハッシュ）
+    mp3: !audioSource ? null : audioSource.type === 'file'
+      ? hashFile(audioSource.path)
+      : hashJson(audioSource.files.map(f => [path.basename(f), hashFile(f)])),
+    transcript: hashFile(transcriptPath),
+    overrides: hashFile(findTimingOverrideFile(contentDir, baseName)),
+    // サムネイルの設定は動画の内容に影響しないため除く
+    config: config ? hashJson({
+      config: { ...config, thumbnail: undefined },
+      files: configFiles({ ...config, thumbnail: null }).map(f => (f.endsWith('.html') ? hashHtmlWithAssets(f) : hashFile(f))),
+    }) : null,
+    nextTopic: nextTopic ? hashJson({ baseName: nextTopic.baseName, title: extractTitle(nextTopic.deckPath) }) : null,
+  };
+  const renderSettings = {
+    markerProviders, snapSilence, snapWindow, trimSilence, steps, deviceScaleFactor: captureScaleFactor(outputs),
+    subtitles, subtitleMarkers, burnSubtitles, transition, transitionDuration, loudnorm, denoise,
+    // 本番の動画のハッシュを変えないよう、下書きのときだけ加える
+    ...(draftMode ? { draft: { speechRate: rate, audio: draftAudio } } : {}),
+  };
+  const outputHashes = outputs.map(preset => hashJson({ inputs: inputHashes, settings: renderSettings, preset }));
+  const manifest = loadManifest(videoDir);
+  const statuses = outPaths.map((p, i) => outputStatus(manifest, p, outputHashes[i]));
+
+  if (statusOnly) {
+    console.log(`📄 ${baseName}`);
+    for (let i = 0; i < outPaths.length; i++) {
+      console.log(`   ${{ fresh: '✅', stale: '🔄', missing: '❌', unknown: '❔' }[statuses[i]]} ${path.basename(outPaths[i])}: ${statuses[i]}`);
+    }
+    return statuses.every(st => st === 'fresh' || st === 'unknown');
+  }
+
+  // マニフェスト導入前の出力（unknown）は従来どおり存在すればスキップ
+  const pending = outputs.map((_, i) => i).filter(i => force || statuses[i] === 'missing' || statuses[i] === 'stale');
+  // サムネイル（テンプレートがあれば置換して、なければ表紙スライドをキャプチャ）
+  const thumbnailPath = path.join(videoDir, thumbnailFileName(baseName));
+  const writeThumbnail = async (browser) => {
+    const template = config && config.thumbnail ? config.thumbnail.template : null;
+    const bytes = await renderThumbnail(browser, {
+      deckPath,
+      adapter,
+      template,
+      vars: thumbnailVars({
+        baseName,
+        title: extractTitle(deckPath) || baseName,
+        courseName: config ? config.courseName : null,
+        sortKey: sortKey || getTopicSortKey(baseName),
+      }),
+      outPath: thumbnailPath,
+    });
+    console.log(`  🖼️  Thumbnail: videos/${path.basename(thumbnailPath)} (${(bytes / 1024).toFixed(0)} KB${template ? ', template' : ''})`);
+  };
+
+  if (!dryRun && pending.length === 0) {
+    const reason = statuses.every(st => st === 'fresh') ? 'up to date' : 'already exists';
+    console.log(`⏭️  SKIP ${baseName}: ${outPaths.map(p => path.basename(p)).join(', ')} ${reason} (use --force to overwrite)`);
+    if (thumbnails && !draftMode && !fs.existsSync(thumbnailPath)) {
+      const browser = getBrowser ? await getBrowser() : await chromium.launch({ headless: true });
+      try {
+        await writeThumbnail(browser);
+      } finally {
+        if (!getBrowser) await browser.close();
+      }
+    }
     return false;
   }
 
-  console.log(`\n🎬 Generating: ${baseName}`);
+  console.log(`\n🎬 ${dryRun ? 'Planning' : 'Generating'}: ${baseName}${draftMode ? ' (draft, no audio)' : ''}`);
+  if (dryRun) rmrf(planBase);
 
   // ── Step 1: タイミング算出 ──
   console.log('  📐 Step 1: Calculating timings...');
-  const scriptText = fs.readFileSync(txtPath, 'utf8');
-  const totalDuration = getAudioDuration(mp3Path);
-  const timings = calcTimings(scriptText, totalDuration, mp3Path);
+  const rawScript = fs.readFileSync(txtPath, 'utf8');
+  const scriptText = stripStepMarkers(rawScript);
+  let narrationPath;
+  let step1;
+  if (draftMode) {
+    // 下書き: 文字数 ÷ 話速で推定し、推定した長さの無音 / 持続音トラックを作る
+    const estimated = estimateTimings(segmentCharCounts(splitScript(scriptText, script)), rate);
+    step1 = {
+      timings: estimated,
+      sources: estimated.map(() => TIMING_SOURCE.ESTIMATED),
+      totalDuration: estimated.reduce((a, b) => a + b, 0),
+      trim: null,
+      detection: null,
+    };
+    const audioDir = dryRun ? planBase : tmpBase;
+    fs.mkdirSync(audioDir, { recursive: true });
+    narrationPath = await buildDraftAudio(path.join(audioDir, 'draft_audio.wav'), step1.totalDuration, draftAudio);
+    console.log(`     📝 Draft: estimated at ${rate} chars/sec, ${draftAudio} track`);
+  } else {
+    // スライドごとの音声は1本の WAV に連結（表示秒数は各ファイルの長さ）
+    narrationPath = audioSource.path;
+    if (audioSource.type === 'slides') {
+      const audioDir = dryRun ? planBase : tmpBase;
+      fs.mkdirSync(audioDir, { recursive: true });
+      narrationPath = await concatSlideAudio(audioSource.files, path.join(audioDir, 'narration.wav'));
+      console.log(`     🎙️  Slide audio: ${audioLabel(audioSource)} → narration.wav`);
+    }
+    const timingSettings = { markerProviders, snapSilence, snapWindow, trimSilence };
+    const timingKey = hashJson({
+      txt: inputHashes.txt, mp3: inputHashes.mp3, transcript: inputHashes.transcript, overrides: inputHashes.overrides,
+      settings: timingSettings,
+      ...(config && config.script ? { script: config.script } : {}),
+    });
+    step1 = useCache ? readTimingCache(cacheDir, timingKey) : null;
+    if (step1 && !step1.sourceTimings) step1 = null; // トリム前のタイミングを持たない古いキャッシュ
+    if (step1) {
+      console.log('     ♻️  Timings: cached (TXT / audio / settings unchanged)');
+    } else {
+      step1 = await calcTopicTimings(baseName, {
+        contentDir, audioPath: narrationPath, transcriptPath, scriptText, script, ...timingSettings,
+        slideDurations: audioSource.type === 'slides' ? await slideAudioDurations(audioSource.files) : null,
+      });
+      if (useCache) writeTimingCache(cacheDir, timingKey, step1);
+    }
+  }
+  const { timings, sources, totalDuration, trim, detection } = step1;
+  // 書き出すタイミングは補正ファイルとして再利用できるようトリム前の元音声基準
+  const exported = {
+    baseName, sources,
+    timings: step1.sourceTimings || timings,
+    totalDuration: step1.sourceDuration || totalDuration,
+  };
   const numSegments = timings.length;
 
-  console.log(`     MP3 duration: ${totalDuration.toFixed(1)}s`);
+  // 音声処理（トリム / ノイズ除去 / ラウドネス正規化）→ WAV（下書きの音声は処理しない）
+  let audioPath = narrationPath;
+  let loudness = null;
+  if (!draftMode && (trim || denoise || loudnorm !== null)) {
+    const audioDir = dryRun ? planBase : tmpBase;
+    fs.mkdirSync(audioDir, { recursive: true });
+    audioPath = path.join(audioDir, 'audio.wav');
+    console.log(`     🔊 Audio processing:${trim ? ' trim' : ''}${denoise ? ' denoise' : ''}${loudnorm !== null ? ` loudnorm(${loudnorm} LUFS, 2-pass)` : ''}`);
+    loudness = await processAudio(narrationPath, audioPath, { trim, denoise, loudnorm });
+    if (loudness) {
+      const fmt = l => `${l.i.toFixed(1)} LUFS (TP ${l.tp.toFixed(1)} dBTP, LRA ${l.lra.toFixed(1)} LU)`;
+      console.log(`     📊 Loudness: ${fmt(loudness.input)} → ${fmt(loudness.output)} [${loudness.normalizationType}]`);
+    }
+  }
+
+  const audioName = draftMode ? `Draft (${draftAudio})` : `Audio (${audioLabel(audioSource)})`;
+  console.log(`     ${trim ? 'Audio (trimmed)' : audioName} duration: ${totalDuration.toFixed(1)}s`);
   console.log(`     Segments: ${numSegments}`);
   console.log(`     Timings: [${timings.map(t => t.toFixed(1) + 's').join(', ')}]`);
+  console.log(`     Sources: [${sources.join(', ')}]`);
+
+  if (exportTimings) {
+    fs.mkdirSync(videoDir, { recursive: true });
+    writeTimings(path.join(videoDir, `${outName}.timings.json`), exported);
+    console.log(`     💾 Timings exported: videos/${outName}.timings.json`);
+  }
 
   // ── Step 2: スライドキャプチャ ──
-  console.log('  📸 Step 2: Capturing slides...');
-  fs.mkdirSync(tmpBase, { recursive: true });
+  console.log(`  📸 Step 2: Capturing slides${streaming ? ' (streaming into segments)' : ''}...`);
+  fs.mkdirSync(slideDir, { recursive: true });
 
-  let browser;
-  try {
-    browser = await chromium.launch({ headless: true });
-    const context = await browser.newContext({ viewport: CAPTURE_VIEWPORT });
-    const page = await context.newPage();
+  // 選択プリセット中の最大解像度でキャプチャ（アップスケールしない）
+  const deviceScaleFactor = captureScaleFactor(outputs);
+  const bumpers = !dryRun && config && (config.intro || config.outro) ? {
+    intro: config.intro,
+    outro: config.outro,
+    vars: {
+      courseName: config.courseName,
+      title: extractTitle(deckPath) || baseName,
+      topic: baseName,
+      nextTitle: nextTopic ? (extractTitle(nextTopic.deckPath) || nextTopic.baseName) : '',
+      nextTopic: nextTopic ? nextTopic.baseName : '',
+    },
+  } : null; // ドライランでは本編のみ
 
-    const fileUrl = `file://${htmlPath}`;
-    await page.goto(fileUrl, { waitUntil: 'networkidle' });
-    await page.waitForTimeout(FONT_WAIT_MS);
+  // イントロ / アウトロの表示秒数（本編のタイミングはイントロ分ずれる）
+  const intro = bumpers && config.intro
+    ? { ...config.intro, duration: bumperDuration('intro', config.intro, getAudioDuration) } : null;
+  const outro = bumpers && config.outro
+    ? { ...config.outro, duration: bumperDuration('outro', config.outro, getAudioDuration) } : null;
+  const introSec = intro ? intro.duration : 0;
+  const outroSec = outro ? outro.duration : 0;
+  const videoDuration = introSec + totalDuration + outroSec;
 
-    // スライド数を検証
-    const totalSlides = await page.evaluate(() => window.slideAPI.getTotalSlides());
-    if (totalSlides !== numSegments) {
-      throw new Error(
-        `Slide count mismatch! HTML has ${totalSlides} slides but TXT has ${numSegments} segments. ` +
-        `Fix the HTML/TXT alignment for ${baseName}.`
-      );
+  // ステップ表示のあるスライドは表示区間をステップごとに分割
+  const scriptSplit = splitScript(scriptText, script);
+  const rawSegments = splitScript(rawScript, script).segments;
+  const slideStarts = timings.map((_, i) => timings.slice(0, i).reduce((a, b) => a + b, 0));
+  const stepDurations = (i, numSteps) => {
+    if (numSteps === 1) return [timings[i]];
+    const { durations, aligned } = calcStepDurations(rawSegments[i], slideStarts[i], timings[i], numSteps, {
+      markerChars: scriptSplit.boundaries[i] ? spokenLength(scriptSplit.boundaries[i].text) : 0,
+      words: detection ? detection.words : null,
+    });
+    if (!aligned && rawSegments[i].includes(STEP_MARKER)) {
+      console.log(`     ⚠️  Slide ${i + 1}: ${numSteps} steps but ${splitSteps(rawSegments[i]).length - 1} ${STEP_MARKER} markers, distributing evenly`);
     }
-    console.log(`     Slides: ${totalSlides} (matches segments ✓)`);
+    return durations;
+  };
 
-    // 各スライドをキャプチャ
-    for (let i = 1; i <= totalSlides; i++) {
-      await page.evaluate((n) => window.slideAPI.showSlide(n), i);
-      await page.waitForTimeout(SLIDE_ANIM_MS);
-      const imgPath = path.join(tmpBase, `slide_${String(i).padStart(3, '0')}.png`);
-      await page.screenshot({ path: imgPath, type: 'png' });
-      process.stdout.write(`     Captured slide ${i}/${totalSlides}\r`);
+  // 字幕キュー生成（焼き込み時は tmp に、サイドカー時は videos/ に出力）
+  let cues = null;
+  let burnSrtPath = null;
+  if (subtitles && !dryRun) {
+    cues = buildCues(scriptSplit.segments, timings, {
+      words: detection ? detection.words : null,
+      boundaries: scriptSplit.boundaries,
+      language: script.language,
+      includeMarkers: subtitleMarkers,
+    }).map(c => ({ ...c, start: c.start + introSec, end: c.end + introSec }));
+    if (burnSubtitles) {
+      fs.mkdirSync(tmpBase, { recursive: true });
+      burnSrtPath = writeSubtitles(path.join(tmpBase, 'subtitles'), cues).srtPath;
+    }
+  }
+  const watermark = config && config.watermark
+    ? { ...config.watermark, from: introSec, to: introSec + totalDuration } : null;
+
+  // セグメントパイプライン: キャプチャした画像をその場でセグメントにエンコード（画像キャッシュは使わない）
+  const sink = streaming ? createSegmentSink({
+    dir: path.join(tmpBase, 'segments'),
+    key: hashJson({ outputs: pending.map(p => outputHashes[p]), timings, introSec, outroSec }),
+    outputs: pending.map(p => outputs[p]),
+    subtitleFilter: burnSrtPath ? `subtitles='${escapeFilterPath(burnSrtPath)}'` : '',
+    watermark,
+    plan: (unit, count) => {
+      if (unit === 'intro') return { start: 0, durations: [introSec], watermark: false };
+      if (unit === 'outro') return { start: introSec + totalDuration, durations: [outroSec], watermark: false };
+      const i = parseInt(unit.slice('slide_'.length), 10) - 1;
+      return { start: introSec + slideStarts[i], durations: stepDurations(i, count), watermark: true };
+    },
+  }) : null;
+  if (sink && sink.resumed > 0) {
+    console.log(`     ⏯️  Resuming: ${sink.resumed} slide(s) / bumper(s) already encoded`);
+  }
+
+  const captureKey = hashJson({
+    html: inputHashes.html, viewport: CAPTURE_VIEWPORT, deviceScaleFactor, steps,
+    waits: [FONT_WAIT_MS, SLIDE_ANIM_MS, STEP_ANIM_MS],
+    bumpers: bumpers ? { config: inputHashes.config, vars: bumpers.vars } : null,
+    ...(draftMode ? { draft: DRAFT_LABEL } : {}),
+    ...(adapter !== DEFAULT_ADAPTER ? { adapter } : {}),
+  });
+  let capture = useCache && !streaming ? restoreCapture(cacheDir, captureKey, slideDir) : null;
+  if (capture) {
+    checkSlideCount(baseName, capture.slideImages.length, numSegments);
+    console.log(`     ♻️  Captures: cached (${capture.slideImages.length} slides, HTML / assets unchanged)`);
+  }
+
+  // 共有ブラウザは呼び出し側が閉じる
+  let browser;
+  let ownBrowser = null;
+  try {
+    if (!capture || dryRun || (thumbnails && !draftMode)) {
+      browser = getBrowser ? await getBrowser() : (ownBrowser = await chromium.launch({ headless: true }));
+    }
+    if (!capture) {
+      capture = await captureTopic(browser, {
+        baseName, deckPath, adapter, slideDir, numSegments, deviceScaleFactor, steps, bumpers, sink, draft: draftMode,
+      });
+      if (sink) await sink.finish();
+      else if (useCache) storeCapture(cacheDir, captureKey, capture.slideImages, capture.bumperImages, capture.headings);
+    }
+
+    if (thumbnails && !dryRun && !draftMode) await writeThumbnail(browser);
+
+    // ドライラン: タイミングJSON + コンタクトシート + プレビューを出力して終了
+    if (dryRun) {
+      writeTimings(path.join(planBase, 'timings.json'), exported);
+      const imagePaths = capture.slideImages.map(imgs => imgs[imgs.length - 1]);
+      await writeStoryboard(browser, { planDir: planBase, baseName, imagePaths, timings, sources, audioPath });
+      console.log(`  📋 Plan: reports/plan/${baseName}/ (timings.json, contact_sheet.png, preview.html)`);
     }
-    console.log(`     Captured all ${totalSlides} slides ✓`);
 
-    await browser.close();
-    browser = null;
+    if (ownBrowser) await ownBrowser.close();
+    ownBrowser = null;
   } finally {
-    if (browser) await browser.close();
+    if (ownBrowser) await ownBrowser.close();
+  }
+  const { slideImages, bumperImages, headings } = capture;
+
+  if (dryRun) return true;
+
+  // イントロ / アウトロの音声を前後に連結
+  let videoAudio = audioPath;
+  if (intro || outro) {
+    videoAudio = path.join(tmpBase, 'narration_with_bumpers.wav');
+    await buildBumperAudio(videoAudio, audioPath, intro, outro);
+    console.log(`     Bumpers: intro ${introSec.toFixed(1)}s, outro ${outroSec.toFixed(1)}s (total ${videoDuration.toFixed(1)}s)`);
+  }
+
+  // BGM（ナレーション中は自動ダッキング）
+  if (config && config.music) {
+    const mixPath = path.join(tmpBase, 'narration_with_music.wav');
+    await mixMusic(mixPath, videoAudio, config.music, videoDuration);
+    videoAudio = mixPath;
+    console.log(`     🎵 Music: ${path.basename(config.music.file)} (volume ${config.music.volume ?? MUSIC_DEFAULTS.volume}${config.music.ducking === false ? ', no ducking' : ', ducking'})`);
   }
 
   // ── Step 3: ffmpeg 動画合成 ──
-  console.log('  🎞️  Step 3: Encoding video...');
+  console.log(`  🎞️  Step 3: ${streaming ? 'Concatenating segments' : 'Encoding video'}...`);
   fs.mkdirSync(videoDir, { recursive: true });
 
-  // concat demuxer ファイル生成
-  const concatPath = path.join(tmpBase, 'concat.txt');
-  let concatContent = '';
-  for (let i = 0; i < numSegments; i++) {
-    const imgFile = path.join(tmpBase, `slide_${String(i + 1).padStart(3, '0')}.png`);
-    concatContent += `file '${imgFile}'\n`;
-    concatContent += `duration ${timings[i].toFixed(4)}\n`;
+  let videoFrames = null;
+  let videoTimings = null;
+  if (!streaming) {
+    videoFrames = slideImages.map((imgs, i) => {
+      const durations = stepDurations(i, imgs.length);
+      return imgs.map((p, k) => ({ path: p, duration: durations[k] }));
+    });
+    videoTimings = timings;
+    if (intro) {
+      videoFrames = [[{ path: bumperImages.intro, duration: introSec }], ...videoFrames];
+      videoTimings = [introSec, ...videoTimings];
+    }
+    if (outro) {
+      videoFrames = [...videoFrames, [{ path: bumperImages.outro, duration: outroSec }]];
+      videoTimings = [...videoTimings, outroSec];
+    }
+    if (transition !== 'cut') {
+      console.log(`     Transition: ${transition} (${transitionDuration}s)`);
+    }
   }
-  // ffmpeg concat demuxer: 末尾画像を重複追加（最後のフレームが切れるのを防止）
-  const lastImg = path.join(tmpBase, `slide_${String(numSegments).padStart(3, '0')}.png`);
-  concatContent += `file '${lastImg}'\n`;
-  fs.writeFileSync(concatPath, concatContent);
+  // スライド境界（動画先頭から、先頭は除く）。検証とマニフェストに記録
+  const boundaries = [
+    ...slideStarts.map(t => introSec + t),
+    ...(outro ? [introSec + totalDuration] : []),
+  ].filter(t => t > 0);
 
-  // ffmpeg 実行
-  const ffmpegCmd = [
-    'ffmpeg -y',
-    `-f concat -safe 0 -i "${concatPath}"`,
-    `-i "${mp3Path}"`,
-    `-c:v libx264 -vf "scale=${OUTPUT_RESOLUTION}:flags=lanczos,fps=30,format=yuv420p"`,
-    '-preset medium -crf 18',
-    '-c:a aac -b:a 192k',
-    `-t ${totalDuration.toFixed(4)}`,
-    '-shortest -movflags +faststart',
-    `"${mp4Path}"`
-  ].join(' ');
+  // チャプター（スライドの見出し）とタグ（タイトル・研修名・台本の要約）
+  const title = `${extractTitle(deckPath) || baseName}${draftMode ? `（${DRAFT_LABEL}）` : ''}`;
+  const chapters = buildChapters({
+    starts: slideStarts.map(t => introSec + t),
+    titles: slideTitles(headings, scriptSplit.segments, languageOf(script).maxLineChars),
+    introSec, outroSec, duration: videoDuration,
+  });
+  const courseName = config ? config.courseName : null;
+  const metadataPath = writeFfmetadata(path.join(tmpBase, 'metadata.txt'), {
+    tags: {
+      title, artist: courseName, album: courseName,
+      comment: `${draftMode ? `【${DRAFT_LABEL}】` : ''}${summarize(scriptSplit.segments)}`,
+    },
+    chapters,
+  });
+  console.log(`     📑 Chapters: ${chapters.length}`);
 
-  try {
-    execSync(ffmpegCmd, { stdio: 'pipe', timeout: 300000 });
-  } catch (err) {
-    throw new Error(`ffmpeg failed: ${err.stderr?.toString().split('\n').slice(-3).join('\n')}`);
+  const units = [
+    ...(intro ? ['intro'] : []),
+    ...timings.map((_, i) => `slide_${String(i + 1).padStart(3, '0')}`),
+    ...(outro ? ['outro'] : []),
+  ];
+
+  // プリセットごとにエンコード（キャプチャは共通）
+  const verified = [];
+  for (let p = 0; p < outputs.length; p++) {
+    if (!pending.includes(p)) {
+      console.log(`     ♻️  ${outputs[p].name}: ${path.basename(outPaths[p])} is up to date`);
+      continue;
+    }
+    if (streaming) {
+      console.log(`     Concatenating ${outputs[p].name} (${outputs[p].width}x${outputs[p].height}, ${outputs[p].ext})...`);
+      await concatSegments({
+        segments: sink.segments(outputs[p], units), audioPath: videoAudio, outPath: outPaths[p],
+        preset: outputs[p], totalDuration: videoDuration, workDir: tmpBase, metadataPath,
+      });
+    } else {
+      console.log(`     Encoding ${outputs[p].name} (${outputs[p].width}x${outputs[p].height}, ${outputs[p].ext})...`);
+      await encodeVideo({
+        slideFrames: videoFrames, timings: videoTimings, totalDuration: videoDuration, audioPath: videoAudio,
+        outPath: outPaths[p], preset: outputs[p], transition, transitionDuration, burnSrtPath, watermark,
+        workDir: tmpBase, metadataPath,
+      });
+    }
+
+    // 品質検証（再生時間・コーデック・解像度・faststart・音声・境界の黒画面 / 静止）
+    let verification = null;
+    if (verify) {
+      const result = await verifyVideo(outPaths[p], {
+        preset: outputs[p], expectedDuration: videoDuration, boundaries, transition, transitionDuration,
+      });
+      verified.push(result);
+      verification = result.passed ? 'passed' : 'failed';
+      console.log(result.passed
+        ? `     🔍 Verified ${outputs[p].name} ✓`
+        : `     ❌ Verification failed (${outputs[p].name}): ${formatFailures(result)}`);
+    }
+    updateManifest(videoDir, {
+      [path.basename(outPaths[p])]: {
+        hash: outputHashes[p],
+        topic: baseName,
+        preset: outputs[p].name,
+        inputs: inputHashes,
+        settings: renderSettings,
+        loudness,
+        duration: videoDuration,
+        boundaries,
+        verification,
+        generatedAt: new Date().toISOString(),
+      },
+    });
+  }
+  if (verified.length > 0) writeVerificationReport(reportDir, verified);
+
+  // ── Step 4: 字幕ファイル出力 ──
+  if (cues && !burnSubtitles) {
+    writeSubtitles(subtitleBase, cues);
+    console.log(`  💬 Subtitles: videos/${outName}.srt, .vtt (${cues.length} cues)`);
+  } else if (cues) {
+    console.log(`  💬 Subtitles burned into video (${cues.length} cues)`);
   }
 
-  // ── Step 4: クリーンアップ ──
+  // ── Step 5: クリーンアップ ──
   rmrf(tmpBase);
 
-  const fileSize = fs.statSync(mp4Path).size;
-  const sizeMB = (fileSize / (1024 * 1024)).toFixed(1);
-  console.log(`  ✅ Done: videos/${baseName}.mp4 (${sizeMB} MB)`);
+  for (const outPath of pending.map(p => outPaths[p])) {
+    const fileSize = fs.statSync(outPath).size;
+    const sizeMB = (fileSize / (1024 * 1024)).toFixed(1);
+    console.log(`  ✅ Done: videos/${path.basename(outPath)} (${sizeMB} MB)`);
+  }
+
+  const failedChecks = verified.filter(r => !r.passed);
+  if (failedChecks.length > 0) {
+    throw new Error(`verification failed: ${failedChecks.map(r => r.file).join(', ')} (reports/${REPORT_FILE})`);
+  }
 
   return true;
 }
@@ -376,7 +1347,12 @@ async function generateVideo(baseName, { force = false, contentDir, videoDir, tm
 // ── CLI エントリポイント ─────────────────────────────
 
 async function main() {
-  const { projectDir, force, all, baseNames, limit, noLimit } = parseArgs();
+  const {
+    projectDir, force, all, baseNames, limit, noLimit,
+    subtitles, subtitleMarkers, burnSubtitles, markerProviders, snapSilence, snapWindow, exportTimings,
+    dryRun, transition, transitionDuration, steps, presets, loudnorm, trimSilence, denoise, useCache, status,
+    jobs, ffmpegJobs, pipeline, verify, thumbnails, draft, speechRate, draftAudio, tts,
+  } = parseArgs();
 
   if (!projectDir) {
     console.log('Usage:');
@@ -390,6 +1366,74 @@ async function main() {
     console.log('  --limit <N>       処理件数を指定（デフォルト: 5）');
     console.log('  --no-limit        全件処理');
     console.log('  --force           既存MP4を上書き');
+    console.log('  --no-subtitles    字幕ファイル（.srt / .vtt）を出力しない');
+    console.log('  --subtitle-markers 字幕にスライド境界マーカー文言を含める');
+    console.log('  --burn-subtitles  字幕をサイドカーではなく動画に焼き込む');
+    console.log('  --marker-provider <a,b> マーカー検出プロバイダ（デフォルト: transcript,whisper,silence）');
+    console.log(`  --snap-window <sec> 補間境界を無音区間にスナップする探索範囲（デフォルト: ±${SNAP_WINDOW_SEC}秒）`);
+    console.log('  --no-snap         無音区間へのスナップを行わない');
+    console.log('  --export-timings  算出したタイミングを videos/<baseName>.timings.json に書き出す');
+    console.log('  --dry-run         エンコードせず reports/plan/<baseName>/ にタイミング・コンタクトシート・プレビューを出力');
+    console.log(`  --transition <type> スライド間トランジション: ${Object.keys(TRANSITIONS).join(' / ')}（デフォルト: cut）`);
+    console.log(`  --transition-duration <sec> トランジション長（デフォルト: ${DEFAULT_TRANSITION_SEC}秒）`);
+    console.log('  --no-steps        ステップ（slideAPI.getSteps / reveal.js のフラグメント）ごとのキャプチャを行わない');
+    console.log(`  --preset <a,b>    出力プリセット: ${Object.keys(PRESETS).join(' / ')}（デフォルト: 1080p）`);
+    console.log(`  --loudnorm [LUFS] EBU R128 ラウドネス正規化（2パス、デフォルト: ${DEFAULT_LOUDNORM_TARGET} LUFS）`);
+    console.log('  --trim-silence    音声の前後の無音をトリム（タイミングも合わせてずらす）');
+    console.log('  --denoise         ハイパス + ノイズ除去');
+    console.log(`  --no-cache        キャプチャ・タイミングのキャッシュ（${CACHE_DIR_NAME}/）を使わない`);
+    console.log('  --status          生成せず、videos/manifest.json と比較して出力が最新かを表示');
+    console.log('  --jobs <N>        N トピックを並列に生成（キャプチャはブラウザを共有、デフォルト: 1）');
+    console.log('  --ffmpeg-jobs <N> 同時に実行する ffmpeg / whisper の数（デフォルト: min(jobs, 2)）');
+    console.log('  --no-thumbnail    サムネイル（videos/<baseName>.thumbnail.jpg）を出力しない');
+    console.log('  --no-verify       生成後の品質検証（reports/VIDEO_VERIFICATION_REPORT.json）を行わない');
+    console.log('  --draft           音声のないトピックも下書き動画（videos/<baseName>.draft.*）を生成（台本の文字数からタイミングを推定）');
+    console.log(`  --speech-rate <n> 下書きの話速（文字/秒、デフォルト: 台本の言語ごと、日本語は ${DEFAULT_SPEECH_RATE}）`);
+    console.log(`  --draft-audio <type> 下書きの音声: ${DRAFT_AUDIO.join(' / ')}（デフォルト: ${DEFAULT_DRAFT_AUDIO}）`);
+    console.log(`  --tts <provider>  生成前に台本からナレーションを合成（${TTS_PROVIDERS.join(' / ')}、収録済みの音声があるトピックは除く）`);
+    console.log('  --pipeline <type> images（PNG を tmp に書き出してエンコード）/ segments（スライドごとにセグメント化して連結、中断から再開可）');
+    process.exit(1);
+  }
+
+  try {
+    resolvePresets(presets);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  if (!(jobs >= 1) || (ffmpegJobs !== null && !(ffmpegJobs >= 1))) {
+    console.error('❌ --jobs / --ffmpeg-jobs には 1 以上の整数を指定してください');
+    process.exit(1);
+  }
+  const processJobs = ffmpegJobs ?? Math.min(jobs, 2);
+  setProcessLimit(processJobs);
+
+  if (!(transition in TRANSITIONS)) {
+    console.error(`❌ 不明なトランジション: ${transition}（${Object.keys(TRANSITIONS).join(' / ')}）`);
+    process.exit(1);
+  }
+
+  if (!DRAFT_AUDIO.includes(draftAudio)) {
+    console.error(`❌ 不明な下書き音声: ${draftAudio}（${DRAFT_AUDIO.join(' / ')}）`);
+    process.exit(1);
+  }
+  if (speechRate !== null && !(speechRate > 0)) {
+    console.error('❌ --speech-rate には正の数を指定してください');
+    process.exit(1);
+  }
+
+  if (tts !== null && !TTS_PROVIDERS.includes(tts)) {
+    console.error(`❌ 不明な TTS プロバイダ: ${tts}（${TTS_PROVIDERS.join(' / ')}）`);
+    process.exit(1);
+  }
+
+  if (!PIPELINES.includes(pipeline)) {
+    console.error(`❌ 不明なパイプライン: ${pipeline}（${PIPELINES.join(' / ')}）`);
+    process.exit(1);
+  }
+  if (pipeline === 'segments' && transition !== 'cut') {
+    console.error('❌ --pipeline segments はトランジション（--transition cut 以外）に対応していません');
     process.exit(1);
   }
 
@@ -398,6 +1442,9 @@ async function main() {
   const directContent = path.join(projectDir, 'content');
   const contentDir = fs.existsSync(workContent) ? workContent : directContent;
   const videoDir = path.join(projectDir, 'videos');
+  const reportDir = path.join(projectDir, 'reports');
+  const planDir = path.join(reportDir, 'plan');
+  const cacheDir = path.join(projectDir, CACHE_DIR_NAME);
   const usingWorkspace = contentDir === workContent;
   const tmpDir = usingWorkspace
     ? path.join(projectDir, '.video-work', 'tmp')
@@ -408,6 +1455,16 @@ async function main() {
     process.exit(1);
   }
 
+  let projectConfig;
+  let pronunciations = {};
+  try {
+    projectConfig = loadProjectConfig(projectDir);
+    if (tts) pronunciations = loadPronunciations(projectConfig.tts.dictionary);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
   if (!all && baseNames.length === 0) {
     console.log('Usage:');
     console.log('  node src/video_generator.js --project /path/to/project --all');
@@ -417,7 +1474,7 @@ async function main() {
 
   let targets;
   if (all) {
-    const allTopics = discoverTopics(contentDir, { requireMp3: true });
+    const allTopics = discoverTopics(contentDir, { requireAudio: !draft && !tts });
     targets = noLimit ? allTopics : allTopics.slice(0, limit);
     if (!noLimit && allTopics.length > targets.length) {
       console.log(`📋 視聴順で先頭 ${targets.length} / ${allTopics.length} 件を処理 (--no-limit で全件)`);
@@ -430,6 +1487,17 @@ async function main() {
   console.log(`   Project: ${projectDir}`);
   console.log(`   Content: ${usingWorkspace ? '.video-work/content/ (安全モード)' : 'content/ (直接)'}`);
   console.log(`   Force: ${force}`);
+  console.log(`   Presets: ${presets.join(', ')}`);
+  if (loudnorm !== null) console.log(`   Loudnorm: ${loudnorm} LUFS`);
+  if (dryRun) console.log('   Mode: dry-run (エンコードなし)');
+  if (status) console.log('   Mode: status (生成なし)');
+  if (!useCache) console.log('   Cache: disabled');
+  if (projectConfig.configPath) console.log(`   Config: ${path.basename(projectConfig.configPath)} (course: ${projectConfig.courseName})`);
+  console.log(`   Marker providers: ${markerProviders.join(', ')}`);
+  if (jobs > 1) console.log(`   Jobs: ${jobs} (ffmpeg ${processJobs})`);
+  if (pipeline !== DEFAULT_PIPELINE) console.log(`   Pipeline: ${pipeline}`);
+  if (tts) console.log(`   TTS: ${tts} (pronunciations: ${Object.keys(pronunciations).length} terms)`);
+  if (draft) console.log(`   Draft: 音声のないトピックは下書き（${speechRate ? `${speechRate} 文字/秒` : '言語ごとの話速'}, ${draftAudio}）`);
   for (let i = 0; i < targets.length; i++) {
     const t = targets[i];
     const label = LEVEL_LABELS[t.sortKey[0]] || '';
@@ -441,25 +1509,84 @@ async function main() {
   let skipped = 0;
   let failed = 0;
 
-  for (const topic of targets) {
+  // アウトロの「次回」は視聴順で次のトピック
+  const courseOrder = discoverTopics(contentDir);
+
+  // ブラウザは最初にキャプチャが必要になった時点で1つだけ起動し、全トピックで共有
+  let browserPromise = null;
+  const getBrowser = () => browserPromise || (browserPromise = chromium.launch({ headless: true }));
+
+  const runTopic = async (topic) => {
     const topicDir = getTopicDir(contentDir, topic);
+    const orderIdx = courseOrder.findIndex(t => t.baseName === topic.baseName);
+    const next = orderIdx >= 0 ? courseOrder[orderIdx + 1] : null;
     try {
-      const generated = await generateVideo(topic.baseName, { force, contentDir: topicDir, videoDir, tmpDir });
+      const config = topicConfig(projectConfig, topic.baseName);
+      // ナレーション合成（台本が変わったセグメントだけ content/<baseName>/slide_NNN.wav を作り直す）
+      if (tts && !status) {
+        const synth = await synthesizeTopic(topic.baseName, {
+          contentDir: topicDir, provider: tts, command: projectConfig.tts.command || process.env.TTS_COMMAND || null,
+          pronunciations, script: config.script, log: msg => console.log(`  🗣️  ${topic.baseName}: ${msg}`),
+        });
+        if (synth) console.log(`  🗣️  ${topic.baseName}: ${synth.synthesized} synthesized, ${synth.reused} unchanged`);
+      }
+      const generated = await generateVideo(topic.baseName, {
+        config,
+        nextTopic: next
+          ? { baseName: next.baseName, deckPath: findSlideDeck(getTopicDir(contentDir, next), next.baseName) }
+          : null,
+        force, contentDir: topicDir, videoDir, tmpDir, planDir, dryRun, transition, transitionDuration, steps, presets,
+        loudnorm, trimSilence, denoise, cacheDir, useCache, statusOnly: status, getBrowser, pipeline, verify, reportDir, thumbnails, sortKey: topic.sortKey,
+        draft, speechRate, draftAudio,
+        subtitles, subtitleMarkers, burnSubtitles, markerProviders, snapSilence, snapWindow, exportTimings,
+      });
       if (generated) success++;
       else skipped++;
     } catch (err) {
       console.error(`  ❌ FAIL ${topic.baseName}: ${err.message}`);
-      // クリーンアップ
-      rmrf(path.join(tmpDir, topic.baseName));
+      // クリーンアップ（segments はエンコード済みのセグメントを再開用に残す）
+      if (pipeline === 'segments' && fs.existsSync(path.join(tmpDir, topic.baseName, 'segments'))) console.error(`     ⏯️  Segments kept for resume: ${path.relative(projectDir, path.join(tmpDir, topic.baseName))}/`);
+      else rmrf(path.join(tmpDir, topic.baseName));
       failed++;
     }
+  };
+
+  try {
+    if (jobs > 1 && targets.length > 1) {
+      // 並列実行: 各行にトピック名を付けて出力が混ざっても読めるようにする
+      installLogPrefix();
+      await runPool(targets, jobs, topic => withLogPrefix(`[${topic.baseName}] `, () => runTopic(topic)));
+    } else {
+      for (const topic of targets) await runTopic(topic);
+    }
+  } finally {
+    if (browserPromise) await browserPromise.then(b => b.close(), () => {});
   }
 
-  console.log(`\n📊 Summary: ${success} generated, ${skipped} skipped, ${failed} failed`);
+  if (status) {
+    console.log(`\n📊 Status: ${success} up to date, ${skipped} need regeneration, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    return;
+  }
+  console.log(`\n📊 Summary: ${success} ${dryRun ? 'planned' : 'generated'}, ${skipped} skipped, ${failed} failed`);
   if (failed > 0) process.exit(1);
 }
 
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  TIMING_SOURCE,
+  MIN_SLIDE_SEC,
+  calcCharBasedTimings,
+  calcHybridTimings,
+  calcTimings,
+  calcTopicTimings,
+  applyTimingOverrides,
+  snapTimingsToSilences,
+  trimTimings,
+};
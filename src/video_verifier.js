@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+/**
+ * video_verifier.js
+ *
+ * 生成した動画の品質検証（ffprobe + ffmpeg）
+ *
+ *   duration   — 再生時間が期待値（マニフェストの動画長、なければナレーション音声の長さ）と許容誤差内
+ *   codec      — 映像 / 音声コーデックがプリセットどおり（mp4: H.264 / AAC、webm: VP9 / Opus）
+ *   resolution — 解像度がプリセットどおり（1080p なら 1920x1080）
+ *   fps        — フレームレートがプリセットどおり（30fps）
+ *   pix_fmt    — yuv420p
+ *   faststart  — mp4 の moov atom が mdat より前にある
+ *   audio      — 音声ストリームが動画の先頭から末尾までを覆っている
+ *   black      — スライド境界の前後に黒画面がない（fade トランジションは除く）
+ *   frozen     — スライド境界の前後で画面が切り替わっている
+ *
+ * 結果は reports/VIDEO_VERIFICATION_REPORT.json に出力し、失敗があれば終了コード 1 で終わる。
+ *
+ * Usage:
+ *   node src/video_verifier.js --project /path/to/project --all
+ *   node src/video_verifier.js --project /path/to/project 01-01_api_wo_5fun_de_taiken
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execAsync } = require('./job_pool');
+const { PRESETS, resolvePresets, outputFileName } = require('./output_presets');
+const { loadManifest } = require('./render_cache');
+const { discoverTopics, findTopic, getTopicDir } = require('./topic_sort');
+const { findTopicAudio, probeAudioDuration, slideAudioDurations } = require('./audio_sources');
+
+// ── 定数 ──────────────────────────────────────────
+const REPORT_FILE = 'VIDEO_VERIFICATION_REPORT.json';
+const DEFAULT_TOLERANCE_SEC = 0.5;  // 再生時間・音声長の許容誤差
+const BOUNDARY_MARGIN_SEC = 0.2;    // 境界（トランジション区間）の前後どれだけ離れた位置で比較するか
+const BLACK_WINDOW_SEC = 0.5;       // 境界の前後この範囲の黒画面を失敗とする
+const FROZEN_SSIM = 0.999;          // 境界前後の SSIM がこれ以上なら切り替わっていない
+const PIX_FMT = 'yuv420p';
+
+// ffmpeg のエンコーダ名 → ffprobe のコーデック名
+const CODEC_NAMES = { libx264: 'h264', 'libvpx-vp9': 'vp9', aac: 'aac', libopus: 'opus' };
+
+// ── ユーティリティ ─────────────────────────────────
+
+/** ffprobe でストリームとフォーマット情報を取得 */
+async function probe(filePath) {
+  const out = await execAsync(
+    `ffprobe -v error -print_format json -show_format -show_streams "${filePath}"`,
+    { timeout: 30000 }
+  );
+  return JSON.parse(out);
+}
+
+/** "30/1" 形式のフレームレートを数値に */
+function parseRate(rate) {
+  const [num, den] = String(rate || '0/1').split('/').map(Number);
+  return den ? num / den : num;
+}
+
+/** プリセットの期待コーデック（videoArgs / audioArgs の -c:v / -c:a から） */
+function expectedCodecs(preset) {
+  const encoder = (args, flag) => (args.match(new RegExp(`${flag}\\s+(\\S+)`)) || [])[1];
+  const video = encoder(preset.videoArgs, '-c:v');
+  const audio = encoder(preset.audioArgs, '-c:a');
+  return { video: CODEC_NAMES[video] || video, audio: CODEC_NAMES[audio] || audio };
+}
+
+/**
+ * mp4 のトップレベル atom を先頭から読み、moov が mdat より前にあるか
+ * @returns {boolean|null} どちらかが見つからなければ null
+ */
+function moovBeforeMdat(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+    const header = Buffer.alloc(16);
+    let offset = 0;
+    while (offset + 8 <= size) {
+      fs.readSync(fd, header, 0, 16, offset);
+      let boxSize = header.readUInt32BE(0);
+      const type = header.toString('latin1', 4, 8);
+      if (type === 'moov') return true;
+      if (type === 'mdat') return false;
+      if (boxSize === 1) boxSize = Number(header.readBigUInt64BE(8)); // 64bit サイズ
+      else if (boxSize === 0) break;                                  // ファイル末尾まで
+      if (boxSize < 8) break;
+      offset += boxSize;
+    }
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/** blackdetect で黒画面の区間を検出 */
+async function detectBlack(filePath) {
+  const out = await execAsync(
+    `ffmpeg -hide_banner -nostats -i "${filePath}" -vf blackdetect=d=0.05:pix_th=0.10 -an -f null - 2>&1`,
+    { timeout: 600000 }
+  );
+  return [...out.matchAll(/black_start:\s*([\d.]+)\s+black_end:\s*([\d.]+)/g)]
+    .map(m => ({ start: parseFloat(m[1]), end: parseFloat(m[2]) }));
+}
+
+/** 2つの時刻のフレームの SSIM */
+async function frameSimilarity(filePath, t1, t2) {
+  const out = await execAsync(
+    `ffmpeg -hide_banner -nostats -ss ${t1.toFixed(3)} -i "${filePath}" -ss ${t2.toFixed(3)} -i "${filePath}" ` +
+    '-lavfi "[0:v][1:v]ssim" -frames:v 1 -f null - 2>&1',
+    { timeout: 60000 }
+  );
+  const match = out.match(/All:\s*([\d.]+)/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+// ── 検証 ──────────────────────────────────────────
+
+/**
+ * 1つの出力ファイルを検証
+ *
+ * @param {string} filePath - 動画ファイル
+ * @param {Object} options
+ * @param {Object} options.preset - output_presets.js のプリセット
+ * @param {number|null} options.expectedDuration - 期待する再生時間（秒、null ならチェックしない）
+ * @param {number[]|null} [options.boundaries] - スライド境界（秒、動画先頭から。null なら境界のチェックを省略）
+ * @param {string} [options.transition] - トランジション名
+ * @param {number} [options.transitionDuration] - トランジション長（秒）
+ * @param {number} [options.tolerance] - 許容誤差（秒）
+ * @returns {Promise<{file: string, preset: string, passed: boolean, checks: Object[]}>}
+ */
+async function verifyVideo(filePath, {
+  preset, expectedDuration = null, boundaries = null,
+  transition = 'cut', transitionDuration = 0, tolerance = DEFAULT_TOLERANCE_SEC,
+}) {
+  const checks = [];
+  const check = (name, ok, expected, actual) => checks.push({ name, ok, expected, actual });
+
+  const info = await probe(filePath);
+  const video = info.streams.find(s => s.codec_type === 'video');
+  const audio = info.streams.find(s => s.codec_type === 'audio');
+  const duration = parseFloat(info.format.duration);
+  const codecs = expectedCodecs(preset);
+
+  if (expectedDuration !== null) {
+    check('duration', Math.abs(duration - expectedDuration) <= tolerance,
+      `${expectedDuration.toFixed(2)}s ±${tolerance}s`, `${duration.toFixed(2)}s`);
+  }
+  check('codec', !!video && !!audio && video.codec_name === codecs.video && audio.codec_name === codecs.audio,
+    `${codecs.video} / ${codecs.audio}`, `${video ? video.codec_name : 'none'} / ${audio ? audio.codec_name : 'none'}`);
+  if (video) {
+    check('resolution', video.width === preset.width && video.height === preset.height,
+      `${preset.width}x${preset.height}`, `${video.width}x${video.height}`);
+    const fps = parseRate(video.avg_frame_rate !== '0/0' ? video.avg_frame_rate : video.r_frame_rate);
+    check('fps', Math.abs(fps - preset.fps) < 0.01, preset.fps, Number(fps.toFixed(3)));
+    check('pix_fmt', video.pix_fmt === PIX_FMT, PIX_FMT, video.pix_fmt);
+  }
+  if (preset.ext === 'mp4') {
+    const faststart = moovBeforeMdat(filePath);
+    const actual = faststart === null ? 'atoms not found' : (faststart ? 'moov before mdat' : 'mdat before moov');
+    check('faststart', faststart === true, 'moov before mdat', actual);
+  }
+  if (audio) {
+    // webm の音声ストリームは duration を持たないためコンテナの長さで代用
+    const start = parseFloat(audio.start_time) || 0;
+    const audioDuration = parseFloat(audio.duration) || duration;
+    check('audio', start <= tolerance && start + audioDuration >= duration - tolerance,
+      `0.00s – ${duration.toFixed(2)}s`, `${start.toFixed(2)}s – ${(start + audioDuration).toFixed(2)}s`);
+  }
+
+  if (video && boundaries) {
+    const half = transition === 'cut' ? 0 : transitionDuration / 2;
+
+    // 黒画面（fade は境界で意図的に黒を経由する）
+    if (transition !== 'fade') {
+      const blacks = await detectBlack(filePath);
+      const hits = [0, ...boundaries].filter(b => blacks.some(
+        k => k.start < b + half + BLACK_WINDOW_SEC && k.end > b - half - BLACK_WINDOW_SEC
+      ));
+      check('black', hits.length === 0, 'no black frames at boundaries',
+        hits.length === 0 ? 'none' : hits.map(b => `${b.toFixed(2)}s`).join(', '));
+    }
+
+    // 切り替わらない境界（前後のフレームがほぼ同一）
+    const frozen = [];
+    for (const b of boundaries) {
+      const before = Math.max(0, b - half - BOUNDARY_MARGIN_SEC);
+      const after = Math.min(duration - 0.05, b + half + BOUNDARY_MARGIN_SEC);
+      if (after <= before) continue;
+      const ssim = await frameSimilarity(filePath, before, after);
+      if (ssim !== null && ssim >= FROZEN_SSIM) frozen.push(b);
+    }
+    check('frozen', frozen.length === 0, 'frame changes at every boundary',
+      frozen.length === 0 ? 'none' : frozen.map(b => `${b.toFixed(2)}s`).join(', '));
+  }
+
+  return {
+    file: path.basename(filePath),
+    preset: preset.name,
+    passed: checks.every(c => c.ok),
+    checks,
+  };
+}
+
+/** 失敗したチェックの1行要約 */
+function formatFailures(result) {
+  return result.checks.filter(c => !c.ok)
+    .map(c => `${c.name} (expected ${c.expected}, got ${c.actual})`).join(', ');
+}
+
+/**
+ * 検証結果をレポートに追記（同じファイルの結果は置き換え、他のファイルの結果は保持）
+ * @returns {string} レポートのパス
+ */
+function writeVerificationReport(reportDir, results) {
+  const reportPath = path.join(reportDir, REPORT_FILE);
+  let outputs = {};
+  if (fs.existsSync(reportPath)) {
+    try {
+      outputs = JSON.parse(fs.readFileSync(reportPath, 'utf8')).outputs || {};
+    } catch {
+      outputs = {};
+    }
+  }
+  for (const r of results) outputs[r.file] = { ...r, verifiedAt: new Date().toISOString() };
+  const sorted = Object.keys(outputs).sort().reduce((o, k) => { o[k] = outputs[k]; return o; }, {});
+  const values = Object.values(sorted);
+  fs.mkdirSync(reportDir, { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify({
+    passed: values.filter(r => r.passed).length,
+    failed: values.filter(r => !r.passed).length,
+    outputs: sorted,
+  }, null, 2) + '\n', 'utf8');
+  return reportPath;
+}
+
+// ── CLI エントリポイント ─────────────────────────────
+
+/** ナレーション音声の再生秒数（スライドごとの音声は合計、なければ null） */
+async function narrationDuration(dir, baseName) {
+  const source = findTopicAudio(dir, baseName);
+  if (!source) return null;
+  if (source.type === 'file') return probeAudioDuration(source.path);
+  return (await slideAudioDurations(source.files)).reduce((a, b) => a + b, 0);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  let projectDir = null;
+  let all = false;
+  let presets = Object.keys(PRESETS);
+  let tolerance = DEFAULT_TOLERANCE_SEC;
+  const baseNames = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--project' && args[i + 1]) {
+      projectDir = path.resolve(args[++i]);
+    } else if (args[i] === '--all') {
+      all = true;
+    } else if (args[i] === '--preset' && args[i + 1]) {
+      presets = args[++i].split(',');
+    } else if (args[i] === '--tolerance' && args[i + 1]) {
+      tolerance = parseFloat(args[++i]);
+    } else if (!args[i].startsWith('--')) {
+      baseNames.push(args[i]);
+    }
+  }
+
+  if (!projectDir || (!all && baseNames.length === 0)) {
+    console.log('Usage:');
+    console.log('  node src/video_verifier.js --project /path/to/project --all');
+    console.log('  node src/video_verifier.js --project /path/to/project <baseName>');
+    console.log('');
+    console.log('Options:');
+    console.log('  --project <path>  コンテンツプロジェクトのルートパス（必須）');
+    console.log('  --all             videos/ にある全トピックの動画を検証');
+    console.log('  --preset <a,b>    検証するプリセット（デフォルト: 全プリセットのうち存在する出力）');
+    console.log(`  --tolerance <sec> 再生時間の許容誤差（デフォルト: ±${DEFAULT_TOLERANCE_SEC}秒）`);
+    process.exit(1);
+  }
+
+  const workContent = path.join(projectDir, '.video-work', 'content');
+  const contentDir = fs.existsSync(workContent) ? workContent : path.join(projectDir, 'content');
+  const videoDir = path.join(projectDir, 'videos');
+  const reportDir = path.join(projectDir, 'reports');
+  // shorts と shorts-crop は同じファイルに出力するため、先に指定したほうで検証する
+  const outputs = [];
+  const files = new Set();
+  for (const name of presets) {
+    const [preset] = resolvePresets([name]);
+    const file = outputFileName('', preset);
+    if (files.has(file)) continue;
+    files.add(file);
+    outputs.push(preset);
+  }
+  const manifest = loadManifest(videoDir);
+  const topics = all ? discoverTopics(contentDir) : baseNames.map(name => findTopic(contentDir, name));
+
+  console.log(`🔍 Video Verifier - ${topics.length} topic(s)`);
+  console.log(`   Project: ${projectDir}`);
+
+  const results = [];
+  for (const topic of topics) {
+    for (const preset of outputs) {
+      const filePath = path.join(videoDir, outputFileName(topic.baseName, preset));
+      if (!fs.existsSync(filePath)) continue;
+      // マニフェストに記録があれば生成時の動画長・境界・トランジションで検証
+      const entry = manifest.outputs[path.basename(filePath)] || {};
+      const settings = entry.settings || {};
+      try {
+        const result = await verifyVideo(filePath, {
+          preset: entry.preset && PRESETS[entry.preset] ? { name: entry.preset, ...PRESETS[entry.preset] } : preset,
+          expectedDuration: entry.duration ?? await narrationDuration(getTopicDir(contentDir, topic), topic.baseName),
+          boundaries: entry.boundaries || null,
+          transition: settings.transition,
+          transitionDuration: settings.transitionDuration,
+          tolerance,
+        });
+        results.push(result);
+        console.log(`   ${result.passed ? '✅' : '❌'} ${result.file}${result.passed ? '' : `: ${formatFailures(result)}`}`);
+      } catch (err) {
+        results.push({ file: path.basename(filePath), preset: preset.name, passed: false, checks: [], error: err.message });
+        console.error(`   ❌ ${path.basename(filePath)}: ERROR - ${err.message.split('\n')[0]}`);
+      }
+    }
+  }
+
+  const reportPath = writeVerificationReport(reportDir, results);
+  const failCount = results.filter(r => !r.passed).length;
+  console.log(`\n📊 Summary: ${results.length - failCount} passed, ${failCount} failed`);
+  console.log(`📄 Report: ${reportPath}`);
+  if (failCount > 0) process.exit(1);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  REPORT_FILE, DEFAULT_TOLERANCE_SEC,
+  probe, moovBeforeMdat, verifyVideo, formatFailures, writeVerificationReport,
+};
@@ -13,6 +13,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { isAudioFile } = require('./audio_sources');
+const { isSlideDeck } = require('./slide_sources');
 
 const WORK_DIR_NAME = '.video-work';
 
@@ -59,14 +61,14 @@ function setup(projectDir) {
 
   // コピーしたファイル数をカウント
   const files = fs.readdirSync(workContent);
-  const htmlCount = files.filter(f => f.endsWith('.html')).length;
+  const deckCount = files.filter(isSlideDeck).length;
   const txtCount = files.filter(f => f.endsWith('.txt')).length;
-  const mp3Count = files.filter(f => f.endsWith('.mp3')).length;
+  const audioCount = files.filter(isAudioFile).length;
 
   console.log(`\n✅ セットアップ完了`);
-  console.log(`   HTML: ${htmlCount} ファイル`);
+  console.log(`   スライド: ${deckCount} ファイル（HTML / PDF）`);
   console.log(`   TXT:  ${txtCount} ファイル`);
-  console.log(`   MP3:  ${mp3Count} ファイル`);
+  console.log(`   音声: ${audioCount} ファイル`);
   console.log(`\n📌 これ以降の分析・修正はすべて .video-work/content/ 上で行われます。`);
   console.log(`   オリジナルの content/ は変更されません。`);
 }
@@ -98,10 +100,10 @@ function status(projectDir) {
 
   if (fs.existsSync(workContent)) {
     const files = fs.readdirSync(workContent);
-    const htmlCount = files.filter(f => f.endsWith('.html')).length;
+    const deckCount = files.filter(isSlideDeck).length;
     const txtCount = files.filter(f => f.endsWith('.txt')).length;
-    const mp3Count = files.filter(f => f.endsWith('.mp3')).length;
-    console.log(`   content/ — HTML: ${htmlCount}, TXT: ${txtCount}, MP3: ${mp3Count}`);
+    const audioCount = files.filter(isAudioFile).length;
+    console.log(`   content/ — スライド: ${deckCount}, TXT: ${txtCount}, 音声: ${audioCount}`);
   }
 
   if (fs.existsSync(workTmp)) {
@@ -22,6 +22,12 @@ const http = require('http');
 const url = require('url');
 const { execSync } = require('child_process');
 const { discoverTopics, findTopic, getTopicDir, DEFAULT_LIMIT, LEVEL_LABELS } = require('./topic_sort');
+const { loadProjectConfig, topicConfig } = require('./project_config');
+const {
+  DEFAULT_SCRIPT, languageOf, splitScript, splitSentences, stripStepMarkers,
+} = require('./script_markers');
+const { findSlideDeck } = require('./slide_sources');
+const { extractTitle } = require('./branding');
 
 // ── 定数 ──────────────────────────────────────────
 const CLIENT_SECRET_PATH = path.join(
@@ -34,7 +40,6 @@ const SCOPES = [
   'https://www.googleapis.com/auth/youtube.upload',
   'https://www.googleapis.com/auth/youtube',
 ];
-const MARKER = '次のスライドに進んでください。';
 const CALLBACK_PORT = 8901;
 
 // ── CLI引数パーサー ────────────────────────────────
@@ -148,19 +153,6 @@ async function authenticate() {
 
 // ── タイトル抽出 ──────────────────────────────────
 
-/** HTMLの<title>タグから動画タイトルを抽出 */
-function extractVideoTitle(htmlPath) {
-  if (!fs.existsSync(htmlPath)) return null;
-  const html = fs.readFileSync(htmlPath, 'utf8');
-  const match = html.match(/<title>(.*?)<\/title>/i);
-  if (!match) return null;
-
-  const fullTitle = match[1].trim();
-  // "タイトル | 研修名" 形式 → タイトル部分を返す
-  const parts = fullTitle.split('|');
-  return parts[0].trim();
-}
-
 /** ファイル名から番号部分を抽出 (01-01, 02-03 等) */
 function extractNumber(baseName) {
   const match = baseName.match(/^(\d+-\d+)/);
@@ -168,24 +160,25 @@ function extractNumber(baseName) {
 }
 
 /** YouTube用タイトルを組み立て: "研修名_番号_動画タイトル" */
-function buildYouTubeTitle(courseName, baseName, htmlPath) {
+function buildYouTubeTitle(courseName, baseName, deckPath) {
   const number = extractNumber(baseName);
-  const videoTitle = extractVideoTitle(htmlPath) || baseName;
+  const videoTitle = extractTitle(deckPath) || baseName;
   return `${courseName}_${number}_${videoTitle}`;
 }
 
 // ── 概要文生成 ─────────────────────────────────────
 
-/** TXTから概要文を自動生成 */
-function generateDescription(txtPath, courseName, videoTitle) {
+/** TXTから概要文を自動生成（区切り・文の分割・見出しは台本の言語に従う） */
+function generateDescription(txtPath, courseName, videoTitle, script = DEFAULT_SCRIPT) {
   if (!fs.existsSync(txtPath)) return '';
 
-  const scriptText = fs.readFileSync(txtPath, 'utf8');
-  const segments = scriptText.split(MARKER);
+  const scriptText = stripStepMarkers(fs.readFileSync(txtPath, 'utf8'));
+  const { segments } = splitScript(scriptText, script);
+  const { maxLineChars, contentsHeading } = languageOf(script);
 
   // 冒頭セグメントから概要を抽出（最初の3文程度）
   const firstSegment = segments[0].trim();
-  const sentences = firstSegment.split(/(?<=[。！？])/);
+  const sentences = splitSentences(firstSegment);
   const summary = sentences.slice(0, 4).join('').trim();
 
   // 各セグメントのトピックを抽出（最初の1文）
@@ -193,10 +186,10 @@ function generateDescription(txtPath, courseName, videoTitle) {
   for (let i = 0; i < segments.length; i++) {
     const seg = segments[i].trim();
     if (!seg) continue;
-    const firstSentence = seg.split(/(?<=[。！？])/)[0].trim();
-    // 30文字以内に切り詰め
-    const label = firstSentence.length > 40
-      ? firstSentence.substring(0, 40) + '...'
+    const firstSentence = splitSentences(seg)[0].replace(/\s+/g, ' ').trim();
+    // 1行の長さに切り詰め
+    const label = firstSentence.length > maxLineChars
+      ? firstSentence.substring(0, maxLineChars) + '...'
       : firstSentence;
     chapters.push(`${i + 1}. ${label}`);
   }
@@ -206,7 +199,7 @@ function generateDescription(txtPath, courseName, videoTitle) {
   lines.push('');
   lines.push(`📚 ${courseName}`);
   lines.push('');
-  lines.push('【内容】');
+  lines.push(contentsHeading);
   lines.push(...chapters);
   lines.push('');
   lines.push('#生成AI #AI入門 #ChatGPT');
@@ -271,7 +264,7 @@ async function addToPlaylist(youtube, playlistId, videoId) {
 
 // ── アップロード ──────────────────────────────────
 
-async function uploadVideo(youtube, mp4Path, title, description, privacy) {
+async function uploadVideo(youtube, mp4Path, title, description, privacy, language = DEFAULT_SCRIPT.language) {
   const fileSize = fs.statSync(mp4Path).size;
   const sizeMB = (fileSize / (1024 * 1024)).toFixed(1);
 
@@ -286,8 +279,8 @@ async function uploadVideo(youtube, mp4Path, title, description, privacy) {
         title,
         description,
         categoryId: '27', // Education
-        defaultLanguage: 'ja',
-        defaultAudioLanguage: 'ja',
+        defaultLanguage: language,
+        defaultAudioLanguage: language,
       },
       status: {
         privacyStatus: privacy,
@@ -302,6 +295,17 @@ async function uploadVideo(youtube, mp4Path, title, description, privacy) {
   return res.data;
 }
 
+/** video_generator.js が出力したサムネイル（videos/<baseName>.thumbnail.jpg）を設定 */
+async function setThumbnail(youtube, videoId, thumbnailPath) {
+  await youtube.thumbnails.set({
+    videoId,
+    media: {
+      mimeType: 'image/jpeg',
+      body: fs.createReadStream(thumbnailPath),
+    },
+  });
+}
+
 // ── CLI エントリポイント ─────────────────────────────
 
 async function main() {
@@ -342,11 +346,12 @@ async function main() {
 
   // 研修名（プロジェクトフォルダ名）
   const courseName = path.basename(projectDir);
+  const projectConfig = loadProjectConfig(projectDir);
 
   // 対象トピック
   let targets;
   if (all) {
-    const allTopics = discoverTopics(contentDir, { requireMp3: true });
+    const allTopics = discoverTopics(contentDir, { requireAudio: true });
     targets = noLimit ? allTopics : allTopics.slice(0, limit);
     if (!noLimit && allTopics.length > targets.length) {
       console.log(`📋 視聴順で先頭 ${targets.length} / ${allTopics.length} 件を処理 (--no-limit で全件)`);
@@ -373,8 +378,8 @@ async function main() {
   for (let i = 0; i < uploadTargets.length; i++) {
     const t = uploadTargets[i];
     const topicDir = getTopicDir(contentDir, t);
-    const htmlPath = path.join(topicDir, `${t.baseName}.html`);
-    const title = buildYouTubeTitle(courseName, t.baseName, htmlPath);
+    const deckPath = findSlideDeck(topicDir, t.baseName);
+    const title = buildYouTubeTitle(courseName, t.baseName, deckPath);
     console.log(`   ${String(i + 1).padStart(3)}. ${title}`);
   }
   console.log('');
@@ -397,17 +402,29 @@ async function main() {
   for (const topic of uploadTargets) {
     const topicDir = getTopicDir(contentDir, topic);
     const mp4Path = path.join(videoDir, `${topic.baseName}.mp4`);
-    const htmlPath = path.join(topicDir, `${topic.baseName}.html`);
+    const deckPath = findSlideDeck(topicDir, topic.baseName);
     const txtPath = path.join(topicDir, `${topic.baseName}.txt`);
 
-    const title = buildYouTubeTitle(courseName, topic.baseName, htmlPath);
-    const videoTitle = extractVideoTitle(htmlPath) || topic.baseName;
-    const description = generateDescription(txtPath, courseName, videoTitle);
+    const title = buildYouTubeTitle(courseName, topic.baseName, deckPath);
+    const videoTitle = extractTitle(deckPath) || topic.baseName;
+    const script = topicConfig(projectConfig, topic.baseName).script || DEFAULT_SCRIPT;
+    const description = generateDescription(txtPath, courseName, videoTitle, script);
 
     try {
-      const result = await uploadVideo(youtube, mp4Path, title, description, privacy);
+      const result = await uploadVideo(youtube, mp4Path, title, description, privacy, script.language);
       console.log(`     ✅ Uploaded: https://youtu.be/${result.id}`);
 
+      // サムネイル
+      const thumbnailPath = path.join(videoDir, `${topic.baseName}.thumbnail.jpg`);
+      if (fs.existsSync(thumbnailPath)) {
+        try {
+          await setThumbnail(youtube, result.id, thumbnailPath);
+          console.log(`     🖼️  サムネイルを設定しました`);
+        } catch (thErr) {
+          console.warn(`     ⚠️  サムネイルの設定に失敗: ${thErr.response?.data?.error?.message || thErr.message}`);
+        }
+      }
+
       // 再生リストに追加
       try {
         await addToPlaylist(youtube, playlistId, result.id);
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  listSlideAudio, findTopicAudio, audioLabel, audioFiles, slideAudioDurations,
+} = require('../src/audio_sources');
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/** 空ファイルを作る（content は偽の ffprobe が返す再生秒数） */
+function touch(dir, name, content = '') {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, name), content);
+  return path.join(dir, name);
+}
+
+// ── 音声の検出 ─────────────────────────────────────
+
+test('findTopicAudio prefers a single file in extension order', (t) => {
+  const dir = tmpDir(t);
+  touch(path.join(dir, 'intro'), 'slide_001.wav');
+  assert.equal(findTopicAudio(dir, 'intro').type, 'slides');
+
+  touch(dir, 'intro.flac');
+  const wav = touch(dir, 'intro.wav');
+  assert.deepEqual(findTopicAudio(dir, 'intro'), { type: 'file', path: wav });
+  assert.equal(findTopicAudio(dir, 'other'), null);
+});
+
+test('listSlideAudio returns numbered files in order and ignores other files', (t) => {
+  const dir = tmpDir(t);
+  touch(dir, 'slide_002.M4A');
+  touch(dir, 'slide_001.wav');
+  touch(dir, 'slide_003.mp3');
+  touch(dir, 'notes.txt');
+  touch(dir, 'slide_4.wav');
+
+  const source = findTopicAudio(path.dirname(dir), path.basename(dir));
+  assert.deepEqual(source.files.map(f => path.basename(f)), ['slide_001.wav', 'slide_002.M4A', 'slide_003.mp3']);
+  assert.equal(audioLabel(source), `${path.basename(dir)}/ (3 files)`);
+  assert.deepEqual(audioFiles(source), source.files);
+  assert.deepEqual(listSlideAudio(path.join(dir, 'missing')), []);
+});
+
+test('listSlideAudio rejects gaps and duplicate slide numbers', (t) => {
+  const gap = path.join(tmpDir(t), 'gap');
+  touch(gap, 'slide_001.wav');
+  touch(gap, 'slide_003.wav');
+  assert.throws(() => listSlideAudio(gap), /slide_002\.\* is missing/);
+
+  const dup = path.join(tmpDir(t), 'dup');
+  touch(dup, 'slide_001.wav');
+  touch(dup, 'slide_001.mp3');
+  assert.throws(() => listSlideAudio(dup), /duplicate slide audio: slide_001\.(wav|mp3) and slide_001\.(wav|mp3)/);
+});
+
+// ── 再生秒数 ───────────────────────────────────────
+
+test('slideAudioDurations probes each file in order', async (t) => {
+  const dir = tmpDir(t);
+  const bin = path.join(dir, 'bin');
+  touch(bin, 'ffprobe', `#!${process.execPath}\n` +
+    "const argv = process.argv.slice(2);\nconsole.log(require('fs').readFileSync(argv[argv.length - 1], 'utf8'));\n");
+  fs.chmodSync(path.join(bin, 'ffprobe'), 0o755);
+  const saved = process.env.PATH;
+  process.env.PATH = `${bin}${path.delimiter}${saved}`;
+  t.after(() => { process.env.PATH = saved; });
+
+  const files = [touch(dir, 'slide_001.wav', '3.250000'), touch(dir, 'slide_002.mp3', '4.5')];
+  assert.deepEqual(await slideAudioDurations(files), [3.25, 4.5]);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractTitle } = require('../src/branding');
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'branding-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/** テスト中だけ PATH を差し替える */
+function setPath(t, value) {
+  const saved = process.env.PATH;
+  process.env.PATH = value;
+  t.after(() => { process.env.PATH = saved; });
+}
+
+test('extractTitle reads the HTML <title> before the course suffix', (t) => {
+  const html = path.join(tmpDir(t), 'intro.html');
+  fs.writeFileSync(html, '<html><head><title> APIの基本 | Web研修 </title></head></html>');
+  assert.equal(extractTitle(html), 'APIの基本');
+  assert.equal(extractTitle(path.join(path.dirname(html), 'missing.html')), null);
+});
+
+test('extractTitle reads PDF metadata instead of scanning the binary', (t) => {
+  const dir = tmpDir(t);
+  const pdf = path.join(dir, 'intro.pdf');
+  fs.writeFileSync(pdf, '%PDF-1.4\n<title>本文中の文字列</title>\n');
+
+  setPath(t, dir); // pdfinfo なし
+  assert.equal(extractTitle(pdf), null);
+
+  const pdfinfo = path.join(dir, 'pdfinfo');
+  fs.writeFileSync(pdfinfo, `#!${process.execPath}\nconsole.log('Title:          PDFの基本 | Web研修\\nPages:          3');\n`);
+  fs.chmodSync(pdfinfo, 0o755);
+  assert.equal(extractTitle(pdf), 'PDFの基本');
+});
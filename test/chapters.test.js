@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { slideTitles, buildChapters, summarize, formatFfmetadata } = require('../src/chapters');
+
+test('slideTitles falls back to the first script sentence and truncates long titles', () => {
+  const titles = slideTitles(
+    ['APIとは', null, ''],
+    ['', 'まずは\nリクエストの形を見ます。次にレスポンスです。', '   '],
+    10,
+  );
+  assert.deepEqual(titles, ['APIとは', 'まずは リクエストの...', 'スライド 3']);
+});
+
+test('buildChapters merges consecutive slides with the same title', () => {
+  const chapters = buildChapters({ starts: [0, 10, 25, 40], titles: ['概要', 'HTTP', 'HTTP', 'まとめ'], duration: 60 });
+  assert.deepEqual(chapters, [
+    { title: '概要', start: 0, end: 10 },
+    { title: 'HTTP', start: 10, end: 40 },
+    { title: 'まとめ', start: 40, end: 60 },
+  ]);
+});
+
+test('buildChapters adds intro and outro chapters around the slides', () => {
+  // スライドの開始秒数はイントロ分ずれた動画先頭からの位置
+  const chapters = buildChapters({
+    starts: [3, 13], titles: ['概要', 'まとめ'], introSec: 3, outroSec: 4, duration: 30,
+  });
+  assert.deepEqual(chapters, [
+    { title: 'イントロ', start: 0, end: 3 },
+    { title: '概要', start: 3, end: 13 },
+    { title: 'まとめ', start: 13, end: 26 },
+    { title: 'アウトロ', start: 26, end: 30 },
+  ]);
+});
+
+test('summarize keeps the first sentences of the first segment', () => {
+  assert.equal(summarize(['一文目。二文目。三文目。四文目。五文目。', '次のセグメント。']), '一文目。二文目。三文目。四文目。');
+  assert.equal(summarize([]), '');
+});
+
+test('formatFfmetadata writes millisecond chapters, skips empty tags and escapes values', () => {
+  const text = formatFfmetadata({
+    tags: { title: 'A=B; #1', artist: 'Web研修', comment: '' },
+    chapters: [{ title: '概要', start: 0, end: 12.3456 }],
+  });
+  assert.equal(text, [
+    ';FFMETADATA1',
+    'title=A\\=B\\; \\#1',
+    'artist=Web研修',
+    '',
+    '[CHAPTER]',
+    'TIMEBASE=1/1000',
+    'START=0',
+    'END=12346',
+    'title=概要',
+    '',
+  ].join('\n'));
+});
@@ -0,0 +1,52 @@
+/**
+ * synthetic_audio.js
+ *
+ * テスト用の合成音声（サイン波と無音を並べた 16bit モノラル WAV）を生成する
+ */
+
+const fs = require('fs');
+
+const SAMPLE_RATE = 16000;
+const TONE_HZ = 440;
+const TONE_AMPLITUDE = 0.5;
+
+/**
+ * 区間の並びから WAV を書き出す
+ * @param {string} filePath - 出力先
+ * @param {Array<{tone?: number, silence?: number}>} parts - 各区間の秒数（tone はサイン波、silence は無音）
+ */
+function writeWav(filePath, parts, { sampleRate = SAMPLE_RATE } = {}) {
+  const samples = [];
+  for (const part of parts) {
+    const sec = part.tone ?? part.silence;
+    const n = Math.round(sec * sampleRate);
+    for (let i = 0; i < n; i++) {
+      samples.push(part.tone !== undefined
+        ? Math.round(Math.sin(2 * Math.PI * TONE_HZ * i / sampleRate) * TONE_AMPLITUDE * 32767)
+        : 0);
+    }
+  }
+
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((v, i) => data.writeInt16LE(v, i * 2));
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);             // fmt チャンクのサイズ
+  header.writeUInt16LE(1, 20);              // PCM
+  header.writeUInt16LE(1, 22);              // モノラル
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // バイト/秒
+  header.writeUInt16LE(2, 32);              // ブロックサイズ
+  header.writeUInt16LE(16, 34);             // ビット深度
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+
+  fs.writeFileSync(filePath, Buffer.concat([header, data]));
+  return filePath;
+}
+
+module.exports = { writeWav };
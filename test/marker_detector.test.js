@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  detectMarkers, detectSilences, parseSilenceDetect, snapBoundariesToSilences,
+  findMarkersInWords, normalizeTranscriptWords,
+} = require('../src/marker_detector');
+const { hasCommand } = require('../src/commands');
+const { splitScript } = require('../src/script_markers');
+const { writeWav } = require('./fixtures/synthetic_audio');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const fixture = name => path.join(FIXTURES, name);
+const readJson = name => JSON.parse(fs.readFileSync(fixture(name), 'utf8'));
+
+const EXPECTED_MARKERS = [4.6, 9.3];
+const script = splitScript(fs.readFileSync(fixture('script_ja.txt'), 'utf8'));
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'marker-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/** node で動く偽のコマンドを dir に置く（body は argv を受け取る関数の本体） */
+function fakeCommand(dir, name, body) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, `#!${process.execPath}\nconst fs = require('fs');\nconst path = require('path');\n` +
+    `const argv = process.argv.slice(2);\n${body}\n`);
+  fs.chmodSync(file, 0o755);
+  return file;
+}
+
+/** テスト中だけ環境変数を差し替える（undefined は削除） */
+function setEnv(t, vars) {
+  const saved = {};
+  for (const [key, value] of Object.entries(vars)) {
+    saved[key] = process.env[key];
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  t.after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+}
+
+// ── 単語タイムスタンプ ───────────────────────────────
+
+test('normalizeTranscriptWords reads openai-whisper, whisper.cpp and { words } JSON', () => {
+  const openai = normalizeTranscriptWords(readJson('whisper_ja.json'));
+  const cpp = normalizeTranscriptWords(readJson('whisper_cpp_ja.json'));
+  const plain = normalizeTranscriptWords(readJson('transitions_ja.json'));
+
+  assert.equal(openai.length, 28);
+  assert.deepEqual(openai[0], { word: '今日は', start: 0, end: 0.6, probability: 0.98 });
+  assert.deepEqual(cpp.map(w => w.end), openai.map(w => w.end));
+  assert.equal(cpp[0].word, ' 今日は');
+  assert.deepEqual(plain.map(w => w.word), openai.map(w => w.word));
+});
+
+test('findMarkersInWords joins subword tokens and tolerates a misrecognized verb', () => {
+  const { timestamps, probabilities } = findMarkersInWords(normalizeTranscriptWords(readJson('whisper_ja.json')));
+  assert.deepEqual(timestamps, EXPECTED_MARKERS);
+  assert.deepEqual(probabilities, [0.96, 0.9]);
+});
+
+test('findMarkersInWords ignores the keyword without the marker tail', () => {
+  const words = [
+    { word: 'この', start: 0, end: 0.3 },
+    { word: 'スライド', start: 0.3, end: 0.8 },
+    { word: 'では', start: 0.8, end: 1.1 },
+  ];
+  assert.deepEqual(findMarkersInWords(words).timestamps, []);
+});
+
+// ── transcript ─────────────────────────────────────
+
+test('transcript provider finds markers in a whisper transcript', async () => {
+  const result = await detectMarkers('unused.mp3', {
+    providers: ['transcript'], transcriptPath: fixture('whisper_ja.json'), ...script,
+  });
+  assert.equal(result.provider, 'transcript');
+  assert.deepEqual(result.timestamps, EXPECTED_MARKERS);
+  assert.equal(result.confidence, 0.93);
+  assert.equal(result.words.length, 28);
+});
+
+test('transcript provider accepts precomputed transitions with words', async () => {
+  const result = await detectMarkers('unused.mp3', {
+    providers: ['transcript'], transcriptPath: fixture('transitions_ja.json'), ...script,
+  });
+  assert.deepEqual(result.timestamps, EXPECTED_MARKERS);
+  assert.equal(result.confidence, 1);
+  assert.equal(result.words.length, 28);
+});
+
+test('detectMarkers falls through unavailable and unknown providers', async () => {
+  const logs = [];
+  const result = await detectMarkers('unused.mp3', {
+    providers: ['nope', 'transcript', 'silence'],
+    transcriptPath: fixture('missing.json'),
+    ...script,
+    log: msg => logs.push(msg),
+  });
+  assert.equal(result, null);
+  assert.match(logs[0], /Unknown marker provider: nope/);
+  assert.equal(logs[1], 'transcript: not available');
+});
+
+// ── whisper ────────────────────────────────────────
+
+test('whisper provider uses the openai-whisper CLI', async (t) => {
+  const bin = tmpDir(t);
+  fakeCommand(bin, 'whisper', `
+const outDir = argv[argv.indexOf('--output_dir') + 1];
+if (argv[argv.indexOf('--language') + 1] !== 'ja' || !argv.includes('--word_timestamps')) process.exit(2);
+fs.copyFileSync(${JSON.stringify(fixture('whisper_ja.json'))}, path.join(outDir, path.parse(argv[0]).name + '.json'));`);
+  setEnv(t, { PATH: bin, WHISPER_PYTHON: path.join(bin, 'missing-python'), WHISPER_CPP_MODEL: undefined });
+
+  const result = await detectMarkers(path.join(bin, 'talk.mp3'), { providers: ['whisper'], ...script });
+  assert.equal(result.provider, 'whisper');
+  assert.deepEqual(result.timestamps, EXPECTED_MARKERS);
+  assert.equal(result.confidence, 0.93);
+});
+
+test('whisper provider falls back to the Python whisper module', async (t) => {
+  const bin = tmpDir(t);
+  const python = fakeCommand(bin, 'python-whisper', `
+if (argv[0] === '-c') process.exit(0); // find_spec('whisper') の確認
+const [scriptPath, model, audioPath, language, outPath] = argv;
+if (!fs.readFileSync(scriptPath, 'utf8').includes('word_timestamps=True') || model !== 'small' || language !== 'ja') process.exit(2);
+fs.copyFileSync(${JSON.stringify(fixture('whisper_ja.json'))}, outPath);`);
+  setEnv(t, { PATH: bin, WHISPER_PYTHON: python, WHISPER_MODEL: undefined, WHISPER_CPP_MODEL: undefined });
+
+  const result = await detectMarkers(path.join(bin, 'talk.mp3'), { providers: ['whisper'], ...script });
+  assert.equal(result.provider, 'whisper');
+  assert.deepEqual(result.timestamps, EXPECTED_MARKERS);
+});
+
+test('whisper provider uses whisper.cpp when a model path is set', async (t) => {
+  const bin = tmpDir(t);
+  fakeCommand(bin, 'ffmpeg', 'fs.writeFileSync(argv[argv.length - 1], \'\');');
+  fakeCommand(bin, 'whisper-cli', `
+if (argv[argv.indexOf('-m') + 1] !== '/models/ggml-small.bin' || !argv.includes('-oj')) process.exit(2);
+fs.copyFileSync(${JSON.stringify(fixture('whisper_cpp_ja.json'))}, argv[argv.indexOf('-of') + 1] + '.json');`);
+  setEnv(t, { PATH: bin, WHISPER_PYTHON: path.join(bin, 'missing-python'), WHISPER_CPP_MODEL: '/models/ggml-small.bin' });
+
+  const result = await detectMarkers(path.join(bin, 'talk.mp3'), { providers: ['whisper'], ...script });
+  assert.equal(result.provider, 'whisper');
+  assert.deepEqual(result.timestamps, EXPECTED_MARKERS);
+  assert.equal(result.confidence, 1); // whisper.cpp の JSON には認識確率がない
+});
+
+test('whisper provider is unavailable without any whisper installation', async (t) => {
+  const bin = tmpDir(t);
+  setEnv(t, { PATH: bin, WHISPER_PYTHON: path.join(bin, 'missing-python'), WHISPER_CPP_MODEL: undefined });
+  const logs = [];
+  const result = await detectMarkers('talk.mp3', { providers: ['whisper'], ...script, log: msg => logs.push(msg) });
+  assert.equal(result, null);
+  assert.deepEqual(logs, ['whisper: not available']);
+});
+
+// ── silence ────────────────────────────────────────
+
+test('parseSilenceDetect reads silencedetect output and clamps negative starts', () => {
+  const silences = parseSilenceDetect(fs.readFileSync(fixture('silencedetect.txt'), 'utf8'));
+  assert.deepEqual(silences, [
+    { start: 0, end: 0.25 },
+    { start: 1.0025, end: 2.0025 },
+    { start: 3.0025, end: 4.0025 },
+  ]);
+});
+
+test('snapBoundariesToSilences keeps order and skips boundaries without a nearby silence', () => {
+  const silences = [{ start: 1, end: 2 }, { start: 3, end: 4 }, { start: 20, end: 21 }];
+  const { boundaries, snapped, confidence } = snapBoundariesToSilences([0, 2.2, 4.4, 12, 25], silences, 5);
+  assert.deepEqual(boundaries, [0, 1.5, 3.5, 12, 25]);
+  assert.deepEqual(snapped, [false, true, true, false, false]);
+  assert.equal(Math.round(confidence * 100) / 100, 0.56); // (0.86 + 0.82 + 0) / 3
+});
+
+test('snapBoundariesToSilences keeps the minimum gap and leaves fixed boundaries alone', () => {
+  const silences = [{ start: 2, end: 3.4 }, { start: 5.8, end: 6.2 }];
+  const { boundaries, snapped } = snapBoundariesToSilences([0, 2.6, 3, 6.5, 8], silences, 1.5, {
+    minGap: 0.5, movable: i => i !== 2,
+  });
+  // 1 番目は無音の中央 2.7 ではなく、動かさない 2 番目（3.0）から 0.5 秒離れた 2.5 まで
+  assert.deepEqual(boundaries, [0, 2.5, 3, 6, 8]);
+  assert.deepEqual(snapped, [false, true, false, true, false]);
+});
+
+test('silence provider snaps character-ratio boundaries to pauses in synthetic audio',
+  { skip: !hasCommand('ffmpeg') && 'ffmpeg not installed' },
+  async (t) => {
+    const wav = writeWav(path.join(tmpDir(t), 'tones.wav'),
+      [{ tone: 1 }, { silence: 1 }, { tone: 1 }, { silence: 1 }, { tone: 1 }]);
+
+    const silences = await detectSilences(wav);
+    assert.equal(silences.length, 2);
+    assert.ok(Math.abs(silences[0].start - 1) < 0.05 && Math.abs(silences[1].end - 4) < 0.05);
+
+    const result = await detectMarkers(wav, { providers: ['silence'], ...script, totalDuration: 5 });
+    assert.equal(result.provider, 'silence');
+    assert.equal(result.allBoundaries, true);
+    assert.equal(result.timestamps.length, 2);
+    result.timestamps.forEach((ts, i) => assert.ok(Math.abs(ts - [1.5, 3.5][i]) < 0.05, `${ts}`));
+  });
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scriptSpec, splitScript, findNearMisses } = require('../src/script_markers');
+
+const TEXT = [
+  '一つ目。',
+  '---',
+  '二つ目。次のスライドに進んでください。三つ目。次のスライドにすすんでください。',
+  '--',
+  '四つ目',
+].join('\n');
+
+test('findNearMisses reports marker variants but not dash lines without a delimiter', () => {
+  const misses = findNearMisses(splitScript(TEXT).segments);
+  assert.deepEqual(misses, [
+    { slide: 2, text: '次のスライドにすすんでください。', expected: '次のスライドに進んでください。', similarity: 0.81 },
+  ]);
+});
+
+test('findNearMisses reports miswritten delimiter lines when script.delimiter is set', () => {
+  const spec = scriptSpec({ delimiter: '---' });
+  const misses = findNearMisses(splitScript(TEXT, spec).segments, spec);
+  assert.deepEqual(misses.map(m => [m.slide, m.text, m.expected]), [
+    [3, '次のスライドにすすんでください。', '次のスライドに進んでください。'],
+    [3, '--', '---'],
+  ]);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { frameCounts, createSegmentSink } = require('../src/segment_pipeline');
+const { resolvePresets } = require('../src/output_presets');
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'segments-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * 偽の ffmpeg を PATH の先頭に置く
+ * 出力ファイルに -frames:v と stdin の内容を書き、呼び出しを calls.log に追記する（出力名に broken を含むと失敗）
+ */
+function fakeFfmpeg(t, dir) {
+  const file = path.join(dir, 'ffmpeg');
+  fs.writeFileSync(file, `#!${process.execPath}
+const fs = require('fs');
+const argv = process.argv.slice(2);
+const out = argv[argv.length - 1];
+if (out.includes('broken')) { console.error('Invalid data found when processing input'); process.exit(1); }
+const frames = Number(argv[argv.indexOf('-frames:v') + 1]);
+fs.writeFileSync(out, JSON.stringify({ frames, image: fs.readFileSync(0, 'utf8') }));
+fs.appendFileSync(${JSON.stringify(path.join(dir, 'calls.log'))}, out + '\\n');
+`);
+  fs.chmodSync(file, 0o755);
+  const saved = process.env.PATH;
+  process.env.PATH = `${dir}${path.delimiter}${saved}`;
+  t.after(() => { process.env.PATH = saved; });
+  return () => fs.readFileSync(path.join(dir, 'calls.log'), 'utf8').trim().split('\n').map(p => path.basename(p));
+}
+
+// ── フレーム計算 ───────────────────────────────────
+
+test('frameCounts rounds at cumulative positions so the total does not drift', () => {
+  const counts = frameCounts(0, [1.01, 1.01, 1.01], 30);
+  assert.deepEqual(counts, [30, 31, 30]);
+  assert.equal(counts.reduce((a, b) => a + b, 0), Math.round(3.03 * 30));
+});
+
+test('frameCounts offsets by the start time and allows zero-frame images', () => {
+  assert.deepEqual(frameCounts(10.02, [0.01, 1], 30), [0, 30]);
+  assert.deepEqual(frameCounts(0.5, [1, 1], 24), [24, 24]);
+});
+
+// ── セグメントシンク ───────────────────────────────
+
+const PLAN = {
+  slide_001: { start: 0, durations: [2], watermark: false },
+  slide_002: { start: 2, durations: [0.01, 1.5], watermark: false },
+  broken: { start: 3.51, durations: [1], watermark: false },
+};
+
+function createSink(dir, key) {
+  return createSegmentSink({
+    dir, key, outputs: resolvePresets(['720p']), plan: unit => PLAN[unit],
+  });
+}
+
+test('createSegmentSink encodes each image for its frame count and skips empty ones', async (t) => {
+  const dir = tmpDir(t);
+  const calls = fakeFfmpeg(t, dir);
+  const segDir = path.join(dir, 'segments');
+  const sink = createSink(segDir, 'k1');
+  assert.equal(sink.resumed, 0);
+
+  await sink.write('slide_001', [Buffer.from('one')]);
+  await sink.write('slide_002', [Buffer.from('two-a'), Buffer.from('two-b')]);
+  await sink.finish();
+
+  const segments = sink.segments({ name: '720p', ext: 'mp4' }, ['slide_001', 'slide_002']);
+  assert.deepEqual(segments.map(s => path.relative(segDir, s)), ['720p/slide_001.mp4', '720p/slide_002_s02.mp4']);
+  assert.deepEqual(segments.map(s => JSON.parse(fs.readFileSync(s, 'utf8'))), [
+    { frames: 60, image: 'one' },
+    { frames: 45, image: 'two-b' },
+  ]);
+  assert.deepEqual(calls(), ['slide_001.mp4', 'slide_002_s02.mp4']);
+});
+
+test('createSegmentSink resumes finished units with the same key and starts over otherwise', async (t) => {
+  const dir = tmpDir(t);
+  const calls = fakeFfmpeg(t, dir);
+  const segDir = path.join(dir, 'segments');
+  const first = createSink(segDir, 'k1');
+  await first.write('slide_001', [Buffer.from('one')]);
+  await first.finish();
+
+  const resumed = createSink(segDir, 'k1');
+  assert.equal(resumed.resumed, 1);
+  assert.ok(resumed.has('slide_001'));
+  assert.ok(!resumed.has('slide_002'));
+  assert.equal(resumed.segments({ name: '720p', ext: 'mp4' }, ['slide_001']).length, 1);
+
+  const changed = createSink(segDir, 'k2');
+  assert.equal(changed.resumed, 0);
+  assert.ok(!changed.has('slide_001'));
+  assert.ok(!fs.existsSync(path.join(segDir, '720p', 'slide_001.mp4')));
+  assert.deepEqual(calls(), ['slide_001.mp4']);
+});
+
+test('createSegmentSink reports a failed encode from finish', async (t) => {
+  const dir = tmpDir(t);
+  fakeFfmpeg(t, dir);
+  const sink = createSink(path.join(dir, 'segments'), 'k1');
+  await sink.write('broken', [Buffer.from('bad')]);
+  await assert.rejects(sink.finish(), /segment encode failed \(broken\.mp4\): Invalid data found/);
+  assert.ok(!sink.has('broken'));
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitCaptionText, buildCues, formatSrt, formatVtt } = require('../src/subtitles');
+
+const MARKER = { text: '次のスライドに進んでください。', spoken: true };
+const round = cues => cues.map(c => ({ ...c, start: Math.round(c.start * 1000) / 1000, end: Math.round(c.end * 1000) / 1000 }));
+
+// ── テキスト分割 ───────────────────────────────────
+
+test('splitCaptionText splits long sentences at commas, then at the line length', () => {
+  assert.deepEqual(splitCaptionText('あいうえお、かきくけこさしすせそたちつ、なにぬ。\n短い文。', 10), [
+    'あいうえお、', 'かきくけこさしすせそ', 'たちつ、', 'なにぬ。', '短い文。',
+  ]);
+});
+
+test('splitCaptionText splits spaced languages between words', () => {
+  assert.deepEqual(splitCaptionText('This is a long sentence without commas that goes on.', 20, true), [
+    'This is a long', 'sentence without', 'commas that goes on.',
+  ]);
+});
+
+// ── キュー ─────────────────────────────────────────
+
+test('buildCues offsets each slide and spreads cues by voiced length', () => {
+  const segments = ['一文目です。二文目です。', 'まとめ。'];
+  // 字幕に出さないマーカーの発話（14 文字）もスライド 1 の配分に含める
+  const cues = buildCues(segments, [12, 4], { boundaries: [MARKER] });
+  assert.deepEqual(round(cues), [
+    { start: 0, end: 2.5, text: '一文目です。' },
+    { start: 2.5, end: 5, text: '二文目です。' },
+    { start: 12, end: 16, text: 'まとめ。' },
+  ]);
+
+  const withMarkers = buildCues(segments, [12, 4], { boundaries: [MARKER], includeMarkers: true });
+  assert.deepEqual(round(withMarkers)[2], { start: 5, end: 12, text: MARKER.text });
+});
+
+test('buildCues follows word timestamps when they are available', () => {
+  const words = [
+    { word: '一文目です', start: 0.5, end: 2 },
+    { word: '二文目です', start: 6, end: 7.5 },
+    { word: '次のスライドに進んでください', start: 9, end: 11 },
+  ];
+  const cues = buildCues(['一文目です。二文目です。'], [12], { words, boundaries: [MARKER] });
+  assert.deepEqual(round(cues), [
+    { start: 0, end: 2, text: '一文目です。' },
+    { start: 2, end: 7.5, text: '二文目です。' },
+  ]);
+});
+
+test('buildCues skips empty segments and unspoken delimiters', () => {
+  const cues = buildCues(['', '本文です。'], [3, 2], { boundaries: [{ text: '---', spoken: false }] });
+  assert.deepEqual(round(cues), [{ start: 3, end: 5, text: '本文です。' }]);
+});
+
+// ── 出力フォーマット ───────────────────────────────
+
+test('formatSrt and formatVtt write numbered and headed cues with millisecond timestamps', () => {
+  const cues = [{ start: 3661.5, end: 3662.0004, text: '一文目。' }, { start: 3662, end: 3663.25, text: '二文目。' }];
+  assert.equal(formatSrt(cues),
+    '1\n01:01:01,500 --> 01:01:02,000\n一文目。\n\n2\n01:01:02,000 --> 01:01:03,250\n二文目。\n');
+  assert.equal(formatVtt(cues),
+    'WEBVTT\n\n01:01:01.500 --> 01:01:02.000\n一文目。\n\n01:01:02.000 --> 01:01:03.250\n二文目。\n');
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createScorer, normalizeText, synonymRules, DEFAULT_SYNONYMS,
+} = require('../src/text_similarity');
+
+// 同義語表の導入前（extractKeywords + Jaccard、正規化なし）のスコアとキーワード
+const KEYWORDS_BASELINE = [
+  {
+    slide: 'データベース設計',
+    script: 'データベース設計について説明します',
+    score: 2 / 3,
+    slideFeatures: ['設計', 'データベース'],
+  },
+  {
+    slide: 'ＡＰＩの基本 GET / POST',
+    script: 'エーピーアイの基本として、ゲットとポストのリクエストを説明します。',
+    score: 1 / 8,
+    slideFeatures: ['基本', 'get', 'post'],
+  },
+  {
+    slide: 'サーバーの構成',
+    script: '続いてサーバの構成を見ていきましょう。Webサーバとデータベースサーバがあります。',
+    score: 1 / 5,
+    slideFeatures: ['構成', 'サーバー'],
+  },
+  {
+    slide: 'AIとUIの設計',
+    script: 'エーアイを使ったユーアイの設計について考えます。',
+    score: 1 / 3,
+    slideFeatures: ['設計'],
+  },
+  {
+    slide: '今日のまとめ',
+    script: 'お疲れさまでした。今回はHTTPの基本を学びました。',
+    score: 0,
+    slideFeatures: ['今日'],
+  },
+  {
+    slide: 'REST API design',
+    script: 'Now we look at how to design a REST API with clear resource names.',
+    language: 'en',
+    score: 3 / 7,
+    slideFeatures: ['rest', 'api', 'design'],
+  },
+];
+
+test('default keywords scores are unchanged from the pre-synonym implementation', async () => {
+  const scorer = await createScorer();
+  assert.equal(scorer.strategy, 'keywords');
+  for (const { slide, script, language, score, slideFeatures } of KEYWORDS_BASELINE) {
+    const result = scorer.compare(slide, script, language);
+    assert.equal(result.score, score, slide);
+    assert.deepEqual([...result.slideFeatures], slideFeatures, slide);
+  }
+});
+
+test('keywords applies synonyms only when the project configures them and keeps short canonical terms', async () => {
+  const scorer = await createScorer({ synonyms: { DB: ['データベース'] } });
+
+  const db = scorer.compare('DB設計', 'データベース設計について説明します');
+  assert.deepEqual([...db.slideFeatures].sort(), ['db', '設計']);
+  assert.equal(db.score, 2 / 3);
+
+  const ai = scorer.compare('AIとUIの設計', 'エーアイを使ったユーアイの設計について考えます。');
+  assert.deepEqual([...ai.slideFeatures].sort(), ['ai', 'ui', '設計']);
+  assert.equal(ai.score, 1);
+});
+
+test('default synonyms leave ordinary katakana words alone', () => {
+  const rules = synonymRules(DEFAULT_SYNONYMS);
+  for (const text of ['ポストに投函', 'ゲットする', 'プットする', 'データをデリート', 'データベースの設計']) {
+    assert.equal(normalizeText(text, rules), text);
+  }
+  assert.equal(normalizeText('エーピーアイとジェイソン', rules), 'apiとjson');
+});
+
+test('ngram normalizes width, trailing long vowels and readings by default', async () => {
+  const scorer = await createScorer({ strategy: 'ngram' });
+  const result = scorer.compare('ＡＰＩサーバー', 'エーピーアイのサーバを立てます');
+  assert.ok(result.slideFeatures.has('api'));
+  assert.equal(result.score, 1);
+});
+
+// ── 閾値の確認（test/fixtures/similarity_course_ja.json） ─────────
+
+const { slides: COURSE } = require('./fixtures/similarity_course_ja.json');
+const median = values => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+for (const strategy of ['ngram', 'tokens']) {
+  test(`${strategy} thresholds separate matching slides from off-by-one slides`, async () => {
+    const scorer = await createScorer({ strategy });
+    const { fail, warn } = scorer.compare('', '');
+    const matched = COURSE.map(p => scorer.compare(p.slide, p.script).score);
+    // スライドと台本が1つずれた組（分析で見つけたい典型的な不一致）
+    const shifted = COURSE.slice(1).flatMap((p, i) => [
+      scorer.compare(COURSE[i].slide, p.script).score,
+      scorer.compare(p.slide, COURSE[i].script).score,
+    ]);
+
+    matched.forEach((score, i) => assert.ok(score >= fail, `slide ${i + 1}: ${score} < FAIL ${fail}`));
+    shifted.forEach(score => assert.ok(score < warn, `shifted pair ${score} >= WARN ${warn}`));
+    assert.ok(median(matched) >= warn, `matched median ${median(matched)}`);
+    assert.ok(median(shifted) < fail, `shifted median ${median(shifted)}`);
+  });
+}
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  findTimingOverrideFile, loadTimingOverrides, parseSimpleYaml, writeTimings,
+} = require('../src/timing_overrides');
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'timings-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function writeFile(dir, name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+// ── YAML ───────────────────────────────────────────
+
+test('parseSimpleYaml reads top-level scalars and a list of maps', () => {
+  const data = parseSimpleYaml([
+    '# 手動補正',
+    'base_name: "01-01_intro"',
+    'audio_duration_sec: 120.5',
+    'slides:',
+    '  - index: 3',
+    '    start: 61.2   # 見出しの読み上げ後',
+    '  - index: 5',
+    '    duration: 42',
+    '    note: ~',
+  ].join('\n'));
+
+  assert.deepEqual(data, {
+    base_name: '01-01_intro',
+    audio_duration_sec: 120.5,
+    slides: [{ index: 3, start: 61.2 }, { index: 5, duration: 42, note: null }],
+  });
+});
+
+test('parseSimpleYaml rejects nested structures it does not support', () => {
+  assert.throws(() => parseSimpleYaml('slides:\n  - index: 1\n    start:\n      - 1'), /Unsupported YAML line/);
+  assert.throws(() => parseSimpleYaml('  index: 1'), /Unsupported YAML line/);
+});
+
+// ── 補正ファイルの読み込み ───────────────────────────
+
+test('findTimingOverrideFile prefers JSON over YAML', (t) => {
+  const dir = tmpDir(t);
+  assert.equal(findTimingOverrideFile(dir, 'intro'), null);
+  const yaml = writeFile(dir, 'intro.timings.yaml', 'slides:\n');
+  assert.equal(findTimingOverrideFile(dir, 'intro'), yaml);
+  const json = writeFile(dir, 'intro.timings.json', '{"slides": []}');
+  assert.equal(findTimingOverrideFile(dir, 'intro'), json);
+});
+
+test('loadTimingOverrides locks starts and turns durations into the next start', (t) => {
+  const file = writeFile(tmpDir(t), 'intro.timings.json', JSON.stringify({
+    slides: [{ index: 2, start: 10, duration: 5 }, { index: 4, start: 30 }],
+  }));
+  const { locks, warnings } = loadTimingOverrides(file, 5);
+  assert.deepEqual([...locks], [[1, 10], [2, 15], [3, 30]]);
+  assert.deepEqual(warnings, []);
+});
+
+test('loadTimingOverrides reads YAML and warns about ignored entries', (t) => {
+  const file = writeFile(tmpDir(t), 'intro.timings.yaml', [
+    'slides:',
+    '  - index: 1',
+    '    start: 2',
+    '  - index: 2',
+    '    duration: 4',
+    '  - index: 3',
+    '    start: 20',
+    '    duration: 5',
+    '  - index: 4',
+    '    start: 26',
+  ].join('\n'));
+  const { locks, warnings } = loadTimingOverrides(file, 4);
+  assert.deepEqual([...locks], [[2, 20], [3, 26]]);
+  assert.deepEqual(warnings, [
+    'slide 1: start is always 0, ignored',
+    'slide 2: duration ignored (start is not fixed)',
+    'slide 3: duration conflicts with slide 4 start, using start',
+  ]);
+});
+
+test('loadTimingOverrides rejects out-of-range indexes and files without slides', (t) => {
+  const dir = tmpDir(t);
+  const outOfRange = writeFile(dir, 'a.timings.json', '{"slides": [{"index": 6, "start": 1}]}');
+  assert.throws(() => loadTimingOverrides(outOfRange, 5), /slide index 6 out of range \(1-5\)/);
+  const noSlides = writeFile(dir, 'b.timings.json', '{"base_name": "b"}');
+  assert.throws(() => loadTimingOverrides(noSlides, 5), /"slides" list not found/);
+  const broken = writeFile(dir, 'c.timings.json', '{');
+  assert.throws(() => loadTimingOverrides(broken, 5), /Invalid timing override file c\.timings\.json/);
+});
+
+test('writeTimings output loads back as the same boundaries', (t) => {
+  const dir = tmpDir(t);
+  const file = path.join(dir, 'intro.timings.json');
+  writeTimings(file, {
+    baseName: 'intro', totalDuration: 30, timings: [10, 12.5, 7.5], sources: ['anchored', 'interpolated', 'override'],
+  });
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepEqual(data.slides[1], { index: 2, start: 10, duration: 12.5, source: 'interpolated' });
+
+  const { locks } = loadTimingOverrides(file, 3);
+  assert.deepEqual([...locks], [[1, 10], [2, 22.5]]);
+});
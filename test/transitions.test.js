@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { transitionDurations, buildTransitionGraph } = require('../src/transitions');
+
+const OPTIONS = { type: 'crossfade', duration: 0.5, scale: 'scale=1280:720:flags=lanczos', fps: 30 };
+const lengths = inputArgs => inputArgs.map(arg => Number(arg.match(/-t ([\d.]+)/)[1]));
+
+test('transitionDurations shortens transitions to the shorter neighbouring slide', () => {
+  assert.deepEqual(transitionDurations([4, 0.3, 4], 0.5), [0, 0.3, 0.3]);
+  assert.deepEqual(transitionDurations([4, 4], 1), [0, 1]);
+});
+
+test('buildTransitionGraph centers each xfade on its boundary and keeps the total length', () => {
+  const timings = [4, 1, 4];
+  const { inputArgs, filter, outLabel, audioInput } = buildTransitionGraph(
+    [[{ path: 'a.png', duration: 4 }], [{ path: 'b1.png', duration: 0.4 }, { path: 'b2.png', duration: 0.6 }],
+      [{ path: 'c.png', duration: 4 }]],
+    timings, OPTIONS,
+  );
+
+  // 先頭は後ろに、途中のスライドは前後に、末尾は前にトランジション長の半分ずつ延長
+  assert.deepEqual(lengths(inputArgs), [4.25, 0.65, 0.85, 4.25]);
+  assert.match(inputArgs[1], /-loop 1 -framerate 30 -t 0\.6500 -i "b1\.png"/);
+  assert.equal(audioInput, 4);
+  assert.equal(outLabel, 'x2');
+
+  const chains = filter.split(';');
+  assert.equal(chains[0], '[0:v]scale=1280:720:flags=lanczos,setsar=1,fps=30,format=yuv420p[v0]');
+  assert.ok(chains.includes('[v1s0][v1s1]concat=n=2:v=1:a=0[v1]'));
+  assert.deepEqual(chains.slice(-2), [
+    '[v0][v1]xfade=transition=fade:duration=0.5000:offset=3.7500[x1]',
+    '[x1][v2]xfade=transition=fade:duration=0.5000:offset=4.7500[x2]',
+  ]);
+
+  const overlap = 0.5 * 2;
+  const total = lengths(inputArgs).reduce((a, b) => a + b, 0) - overlap;
+  assert.equal(Math.round(total * 1000) / 1000, timings.reduce((a, b) => a + b, 0));
+});
+
+test('buildTransitionGraph concatenates boundaries whose transition length is zero', () => {
+  const { filter } = buildTransitionGraph(
+    [[{ path: 'a.png', duration: 2 }], [{ path: 'b.png', duration: 2 }]],
+    [2, 2], { ...OPTIONS, type: 'slide-wipe', duration: 0 },
+  );
+  assert.match(filter, /\[v0\]\[v1\]concat=n=2:v=1:a=0\[x1\]$/);
+});
+
+test('buildTransitionGraph rejects cut and unknown transition names', () => {
+  const frames = [[{ path: 'a.png', duration: 1 }]];
+  assert.throws(() => buildTransitionGraph(frames, [1], { ...OPTIONS, type: 'cut' }), /Unknown transition: cut/);
+  assert.throws(() => buildTransitionGraph(frames, [1], { ...OPTIONS, type: 'zoom' }), /Unknown transition: zoom/);
+});
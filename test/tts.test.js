@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadPronunciations, applyPronunciations, scriptSegments, synthesizeTopic,
+} = require('../src/tts');
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// ── 発音辞書 ───────────────────────────────────────
+
+test('applyPronunciations replaces longer terms first and only whole alphanumeric words', () => {
+  const dict = { API: 'エーピーアイ', 'Web API': 'ウェブエーピーアイ', 型: 'かた' };
+  assert.equal(applyPronunciations('Web APIとREST APIとAPIsの型', dict), 'ウェブエーピーアイとREST エーピーアイとAPIsのかた');
+  assert.equal(applyPronunciations('1APIと API2', dict), '1APIと API2');
+  assert.equal(applyPronunciations('そのまま', {}), 'そのまま');
+});
+
+test('applyPronunciations treats regex characters in terms literally', () => {
+  assert.equal(applyPronunciations('C++ と C#', { 'C++': 'シープラスプラス', 'C#': 'シーシャープ' }),
+    'シープラスプラス と シーシャープ');
+});
+
+test('loadPronunciations validates the dictionary file', (t) => {
+  const dir = tmpDir(t);
+  const write = (name, content) => {
+    fs.writeFileSync(path.join(dir, name), content);
+    return path.join(dir, name);
+  };
+  assert.deepEqual(loadPronunciations(path.join(dir, 'missing.json')), {});
+  assert.deepEqual(loadPronunciations(write('ok.json', '{"API": "エーピーアイ"}')), { API: 'エーピーアイ' });
+  assert.throws(() => loadPronunciations(write('list.json', '["API"]')), /list\.json: must be an object/);
+  assert.throws(() => loadPronunciations(write('num.json', '{"API": 1}')), /reading of "API" must be a string/);
+  assert.throws(() => loadPronunciations(write('bad.json', '{')), /bad\.json: /);
+});
+
+// ── 合成 ─────────────────────────────────────────
+
+const SCRIPT = [
+  'APIの概要です。',
+  '[step]',
+  '  例を見ます。次のスライドに進んでください。',
+  '',
+  'まとめです。',
+].join('\n');
+
+test('scriptSegments drops markers and step markers and collapses whitespace', () => {
+  assert.deepEqual(scriptSegments(SCRIPT), ['APIの概要です。 例を見ます。', 'まとめです。']);
+});
+
+test('synthesizeTopic synthesizes changed segments only', async (t) => {
+  const dir = tmpDir(t);
+  fs.writeFileSync(path.join(dir, 'intro.txt'), SCRIPT);
+  // 偽の TTS: 読み上げテキストをそのまま出力ファイルに書く
+  const tts = path.join(dir, 'fake-tts');
+  fs.writeFileSync(tts, `#!${process.execPath}\nconst fs = require('fs');\n` +
+    'fs.copyFileSync(process.argv[2], process.argv[3]);\n');
+  fs.chmodSync(tts, 0o755);
+  const options = { contentDir: dir, command: `${tts} {input} {output}` };
+  const read = unit => fs.readFileSync(path.join(dir, 'intro', `${unit}.wav`), 'utf8');
+
+  assert.deepEqual(await synthesizeTopic('intro', options), { synthesized: 2, reused: 0 });
+  assert.equal(read('slide_001'), 'APIの概要です。 例を見ます。');
+
+  assert.deepEqual(await synthesizeTopic('intro', options), { synthesized: 0, reused: 2 });
+
+  const pronunciations = { API: 'エーピーアイ' };
+  assert.deepEqual(await synthesizeTopic('intro', { ...options, pronunciations }), { synthesized: 1, reused: 1 });
+  assert.equal(read('slide_001'), 'エーピーアイの概要です。 例を見ます。');
+  assert.equal(read('slide_002'), 'まとめです。');
+});
+
+test('synthesizeTopic leaves recorded narration alone', async (t) => {
+  const dir = tmpDir(t);
+  fs.writeFileSync(path.join(dir, 'intro.txt'), SCRIPT);
+  fs.writeFileSync(path.join(dir, 'intro.mp3'), '');
+  assert.equal(await synthesizeTopic('intro', { contentDir: dir, command: `${process.execPath} {input}` }), null);
+  assert.ok(!fs.existsSync(path.join(dir, 'intro')));
+  await assert.rejects(synthesizeTopic('intro', { contentDir: dir, provider: 'cloud' }), /unknown TTS provider: cloud/);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  TIMING_SOURCE, MIN_SLIDE_SEC, calcHybridTimings, calcTimings, calcTopicTimings, applyTimingOverrides, snapTimingsToSilences, trimTimings,
+} = require('../src/video_generator');
+
+const { ANCHORED, INTERPOLATED, SNAPPED, OVERRIDE, SLIDE_AUDIO } = TIMING_SOURCE;
+const round = values => values.map(v => Math.round(v * 100) / 100);
+
+/** calcTimings() の進捗ログを出さない */
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+}
+
+// ── 検出結果からのタイミング ─────────────────────────
+
+test('calcHybridTimings anchors detected markers and interpolates the missing one', () => {
+  const { timings, sources } = calcHybridTimings([10, 10, 10, 10], 40, [10.5, 30.2]);
+  assert.deepEqual(round(timings), [10.5, 9.85, 9.85, 9.8]);
+  assert.deepEqual(sources, [ANCHORED, ANCHORED, INTERPOLATED, ANCHORED]);
+});
+
+test('calcHybridTimings assigns markers only to spoken transitions', () => {
+  // 遷移 0 は発話しない区切り行なので、検出した 1 件は遷移 1 に割り当てる
+  const { timings, sources } = calcHybridTimings([10, 10, 10], 30, [20], [1]);
+  assert.deepEqual(round(timings), [10, 10, 10]);
+  assert.deepEqual(sources, [ANCHORED, INTERPOLATED, ANCHORED]);
+});
+
+test('calcHybridTimings labels boundaries with the given anchor source', () => {
+  const { sources } = calcHybridTimings([10, 10, 10, 10], 40, [10.5, 30.2], null, SNAPPED);
+  assert.deepEqual(sources, [ANCHORED, SNAPPED, INTERPOLATED, SNAPPED]);
+});
+
+test('calcTimings labels silence-provider boundaries as silence-snapped', (t) => {
+  quiet(t);
+  const script = '一つ目です。次のスライドに進んでください。二つ目です。次のスライドに進んでください。三つ目です。';
+  const silence = { provider: 'silence', timestamps: [3, 6], words: [], confidence: 0.9, allBoundaries: true, snapped: true };
+  const whisper = { provider: 'whisper', timestamps: [3, 6], words: [], confidence: 0.9 };
+
+  const snapped = calcTimings(script, 9, silence);
+  assert.deepEqual(snapped.timings, [3, 3, 3]);
+  assert.deepEqual(snapped.sources, [ANCHORED, SNAPPED, SNAPPED]);
+  assert.deepEqual(calcTimings(script, 9, whisper).sources, [ANCHORED, ANCHORED, ANCHORED]);
+});
+
+// ── スライドごとの音声 ───────────────────────────────
+
+/** 連結した音声の長さを duration 秒と返す偽の ffprobe を PATH の先頭に置き、作業ディレクトリを返す */
+function fakeFfprobe(t, duration) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'generator-test-'));
+  fs.writeFileSync(path.join(dir, 'ffprobe'), `#!${process.execPath}\nconsole.log('${duration}');\n`);
+  fs.chmodSync(path.join(dir, 'ffprobe'), 0o755);
+  const saved = process.env.PATH;
+  process.env.PATH = `${dir}${path.delimiter}${saved}`;
+  t.after(() => {
+    process.env.PATH = saved;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return dir;
+}
+
+test('calcTopicTimings uses slide audio lengths and absorbs the concat error in the last slide', async (t) => {
+  quiet(t);
+  const dir = fakeFfprobe(t, 9.98);
+  const script = '一つ目です。次のスライドに進んでください。二つ目です。次のスライドに進んでください。三つ目です。';
+  const options = { contentDir: dir, audioPath: path.join(dir, 'narration.wav'), scriptText: script, trimSilence: false };
+
+  const result = await calcTopicTimings('intro', { ...options, slideDurations: [3, 4, 3] });
+  assert.deepEqual(round(result.timings), [3, 4, 2.98]);
+  assert.deepEqual(result.sources, [SLIDE_AUDIO, SLIDE_AUDIO, SLIDE_AUDIO]);
+  assert.equal(result.totalDuration, 9.98);
+  assert.equal(result.detection, null);
+
+  await assert.rejects(calcTopicTimings('intro', { ...options, slideDurations: [5, 4.98] }),
+    /Slide audio count mismatch! 2 audio files but TXT has 3 segments/);
+});
+
+// ── 無音スナップ ─────────────────────────────────────
+
+test('snapTimingsToSilences moves only interpolated boundaries into pauses', () => {
+  const silences = [{ start: 3.2, end: 3.6 }, { start: 7.5, end: 7.8 }];
+  const result = snapTimingsToSilences({ timings: [4, 4, 4], sources: [ANCHORED, INTERPOLATED, ANCHORED] }, silences, 1.5);
+  assert.deepEqual(round(result.timings), [3.4, 4.6, 4]);
+  assert.deepEqual(result.sources, [ANCHORED, SNAPPED, ANCHORED]);
+  assert.equal(result.snapped, 1);
+});
+
+test('snapTimingsToSilences does not shorten a slide below the minimum', () => {
+  // 無音の中央 0.2 秒に動かすと先頭スライドが MIN_SLIDE_SEC 未満になる
+  const result = snapTimingsToSilences({ timings: [0.8, 4], sources: [ANCHORED, INTERPOLATED] },
+    [{ start: 0.1, end: 0.3 }], 1.5);
+  assert.deepEqual(result.timings, [0.8, 4]);
+  assert.deepEqual(result.sources, [ANCHORED, INTERPOLATED]);
+  assert.equal(result.snapped, 0);
+});
+
+// ── 無音トリム ───────────────────────────────────────
+
+test('trimTimings shifts boundaries by the trimmed head and keeps the trimmed length', () => {
+  const timings = trimTimings([3, 4, 3], { start: 1, end: 9 });
+  assert.deepEqual(round(timings), [2, 4, 2]);
+});
+
+test('trimTimings keeps the first and last slides at least MIN_SLIDE_SEC', () => {
+  // 先頭スライドの大半と末尾スライドの大半が無音として削られる
+  assert.deepEqual(round(trimTimings([1, 5, 4], { start: 0.8, end: 10 })), [MIN_SLIDE_SEC, 4.7, 4]);
+  assert.deepEqual(round(trimTimings([4, 4, 0.6], { start: 0, end: 8.3 })), [4, 3.8, MIN_SLIDE_SEC]);
+});
+
+// ── 手動補正 ─────────────────────────────────────────
+
+test('applyTimingOverrides locks boundaries and reinterpolates the rest', () => {
+  const result = { timings: [10, 10, 10, 10], sources: [ANCHORED, INTERPOLATED, ANCHORED, INTERPOLATED] };
+  const { timings, sources } = applyTimingOverrides([10, 10, 10, 10], 40, result, new Map([[1, 12]]));
+  // 境界 2（アンカー 20 秒）は手動指定の後なので維持し、境界 3 は 20〜40 秒を文字数比率で補間
+  assert.deepEqual(timings, [12, 8, 10, 10]);
+  assert.deepEqual(sources, [ANCHORED, OVERRIDE, ANCHORED, INTERPOLATED]);
+});
+
+test('applyTimingOverrides drops anchors that would cross a locked boundary', () => {
+  const result = { timings: [10, 10, 10], sources: [ANCHORED, ANCHORED, ANCHORED] };
+  const { timings, sources } = applyTimingOverrides([10, 10, 10], 30, result, new Map([[1, 22]]));
+  assert.deepEqual(timings, [22, 4, 4]);
+  assert.deepEqual(sources, [ANCHORED, OVERRIDE, INTERPOLATED]);
+});
+
+test('applyTimingOverrides keeps every slide at least MIN_SLIDE_SEC', () => {
+  // 1 文字のスライドは文字数比率では 0.25 秒になるため、最短秒数を確保してから配分する
+  const result = { timings: [5, 5, 5], sources: [ANCHORED, INTERPOLATED, INTERPOLATED] };
+  const { timings } = applyTimingOverrides([1, 19, 10], 15, result, new Map([[2, 5]]));
+  assert.ok(timings.every(t => t >= MIN_SLIDE_SEC), `${timings}`);
+  assert.deepEqual(round(timings), [0.7, 4.3, 10]);
+});
+
+test('applyTimingOverrides rejects locks that leave too little time between them', () => {
+  const result = { timings: [5, 5, 5, 5], sources: [ANCHORED, INTERPOLATED, INTERPOLATED, INTERPOLATED] };
+  assert.throws(() => applyTimingOverrides([1, 1, 1, 1], 20, result, new Map([[1, 3], [3, 3.8]])),
+    /slides 2-3 would be shorter than 0\.5s each/);
+  assert.throws(() => applyTimingOverrides([1, 1, 1, 1], 20, result, new Map([[3, 19.8]])),
+    /slide 4 would be shorter than 0\.5s each/);
+  assert.throws(() => applyTimingOverrides([1, 1, 1, 1], 20, result, new Map([[1, 8], [2, 6]])),
+    /slide 3 start 6s is out of order/);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  REPORT_FILE, moovBeforeMdat, verifyVideo, formatFailures, writeVerificationReport,
+} = require('../src/video_verifier');
+const { resolvePresets } = require('../src/output_presets');
+
+const [P720, WEBM] = resolvePresets(['720p', 'webm']);
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verifier-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/** mp4 のトップレベル atom を並べたファイル（[type, size, size64?]） */
+function writeAtoms(file, atoms) {
+  const parts = atoms.map(([type, size, size64]) => {
+    const box = Buffer.alloc(size64 || size);
+    box.writeUInt32BE(size, 0);
+    box.write(type, 4, 'latin1');
+    if (size64) box.writeBigUInt64BE(BigInt(size64), 8);
+    return box;
+  });
+  fs.writeFileSync(file, Buffer.concat(parts));
+  return file;
+}
+
+/** node で動く偽のコマンドを dir に置き、テスト中だけ PATH の先頭に加える */
+function fakeCommands(t, dir, commands) {
+  for (const [name, body] of Object.entries(commands)) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, `#!${process.execPath}\nconst argv = process.argv.slice(2);\n${body}\n`);
+    fs.chmodSync(file, 0o755);
+  }
+  const saved = process.env.PATH;
+  process.env.PATH = `${dir}${path.delimiter}${saved}`;
+  t.after(() => { process.env.PATH = saved; });
+}
+
+function probeJson({ video = 'h264', audio = 'aac', width = 1280, height = 720 } = {}) {
+  return JSON.stringify({
+    streams: [
+      { codec_type: 'video', codec_name: video, width, height, avg_frame_rate: '30/1', pix_fmt: 'yuv420p' },
+      { codec_type: 'audio', codec_name: audio, start_time: '0.000000', duration: '10.000000' },
+    ],
+    format: { duration: '10.020000' },
+  });
+}
+
+// ── faststart ─────────────────────────────────────
+
+test('moovBeforeMdat reads top-level atoms including 64-bit sizes', (t) => {
+  const dir = tmpDir(t);
+  assert.equal(moovBeforeMdat(writeAtoms(path.join(dir, 'a.mp4'), [['ftyp', 16], ['moov', 8], ['mdat', 8]])), true);
+  assert.equal(moovBeforeMdat(writeAtoms(path.join(dir, 'b.mp4'), [['ftyp', 16], ['mdat', 8], ['moov', 8]])), false);
+  assert.equal(moovBeforeMdat(writeAtoms(path.join(dir, 'c.mp4'), [['ftyp', 16], ['free', 1, 24], ['moov', 8]])), true);
+  assert.equal(moovBeforeMdat(writeAtoms(path.join(dir, 'd.mp4'), [['ftyp', 16]])), null);
+});
+
+// ── 検証 ──────────────────────────────────────────
+
+test('verifyVideo reports black and frozen boundaries', async (t) => {
+  const dir = tmpDir(t);
+  fakeCommands(t, dir, {
+    ffprobe: `console.log(${JSON.stringify(probeJson())});`,
+    // 5 秒の境界に黒画面、7.5 秒の境界は前後が同じ画面
+    ffmpeg: `
+if (argv.some(a => a.includes('blackdetect'))) console.log('[blackdetect] black_start:4.8 black_end:5.05 black_duration:0.25');
+else console.log(argv[argv.indexOf('-ss') + 1] === '7.300' ? '[Parsed_ssim_0] SSIM All:0.999900' : '[Parsed_ssim_0] SSIM All:0.512000');
+`,
+  });
+  const file = writeAtoms(path.join(dir, 'intro.720p.mp4'), [['ftyp', 16], ['moov', 8], ['mdat', 8]]);
+
+  const result = await verifyVideo(file, { preset: P720, expectedDuration: 10, boundaries: [5, 7.5] });
+  assert.equal(result.file, 'intro.720p.mp4');
+  assert.equal(result.preset, '720p');
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.checks.filter(c => c.ok).map(c => c.name),
+    ['duration', 'codec', 'resolution', 'fps', 'pix_fmt', 'faststart', 'audio']);
+  assert.equal(formatFailures(result),
+    'black (expected no black frames at boundaries, got 5.00s), frozen (expected frame changes at every boundary, got 7.50s)');
+});
+
+test('verifyVideo checks codecs and resolution against the preset and skips black frames for fade', async (t) => {
+  const dir = tmpDir(t);
+  fakeCommands(t, dir, {
+    ffprobe: `console.log(${JSON.stringify(probeJson({ video: 'h264', audio: 'opus', width: 1920, height: 1080 }))});`,
+    ffmpeg: `
+if (argv.some(a => a.includes('blackdetect'))) process.exit(1);
+console.log('[Parsed_ssim_0] SSIM All:0.400000');
+`,
+  });
+  const file = path.join(dir, 'intro.webm');
+  fs.writeFileSync(file, '');
+
+  const result = await verifyVideo(file, {
+    preset: WEBM, expectedDuration: 12, boundaries: [5], transition: 'fade', transitionDuration: 1,
+  });
+  assert.deepEqual(result.checks.map(c => [c.name, c.ok]), [
+    ['duration', false], ['codec', false], ['resolution', true], ['fps', true], ['pix_fmt', true],
+    ['audio', true], ['frozen', true],
+  ]);
+  assert.equal(formatFailures(result),
+    'duration (expected 12.00s ±0.5s, got 10.02s), codec (expected vp9 / opus, got h264 / opus)');
+});
+
+// ── レポート ──────────────────────────────────────
+
+test('writeVerificationReport replaces results for the same file and keeps the others', (t) => {
+  const dir = tmpDir(t);
+  writeVerificationReport(dir, [
+    { file: 'b.mp4', preset: '1080p', passed: true, checks: [] },
+    { file: 'a.mp4', preset: '1080p', passed: true, checks: [] },
+  ]);
+  const reportPath = writeVerificationReport(dir, [{ file: 'b.mp4', preset: '1080p', passed: false, checks: [] }]);
+
+  assert.equal(reportPath, path.join(dir, REPORT_FILE));
+  const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+  assert.equal(report.passed, 1);
+  assert.equal(report.failed, 1);
+  assert.deepEqual(Object.keys(report.outputs), ['a.mp4', 'b.mp4']);
+  assert.equal(report.outputs['b.mp4'].passed, false);
+});